@@ -0,0 +1,292 @@
+/**
+ * Biome Classifier
+ * Derives temperature, moisture and biome layers from the terrain and a climate read from the prompt
+ */
+
+const { biomeDefinitions, WHITTAKER_TABLE, climatePresets, DEFAULT_CLIMATE } = require('./biomeDefinitions');
+const { createGrid } = require('../objectplacement/gridGenerator');
+const { analyzeTerrain } = require('../objectplacement/terrainAnalyzer');
+const { applyWaterLayer } = require('../objectplacement/waterLayer');
+const { getMetersPerPixel } = require('../utils/terrainMetrics');
+const { clamp, smoothstep } = require('../utils/math');
+
+// Biome names in the order of their indices in the biome layer
+const BIOME_NAMES = Object.keys(biomeDefinitions);
+
+// Temperature drop from sea level to the top of the height range, in °C. A
+// stylized lapse rate: real air cools about 6.5 °C per km, which would leave
+// a map a few hundred meters high in a single biome.
+const DEFAULT_ELEVATION_COOLING = 20;
+
+// Moisture added at the water's edge, fading out over MOISTURE_RANGE meters
+const WATER_MOISTURE = 0.35;
+const MOISTURE_RANGE = 200;
+
+// Moisture added along drainage lines, growing with the upslope area
+// from 10^2 to 10^5 square meters
+const FLOW_MOISTURE = 0.25;
+
+/**
+ * Read the climate from a prompt
+ * Climate cues (see climatePresets) set the sea-level temperature and the
+ * base moisture; "latitude 60" sets the temperature from the latitude. The
+ * climate option overrides the prompt, either as a preset name or as
+ * { temperature, moisture }.
+ * @param {string} prompt - Text prompt
+ * @param {object} [options={}] - Climate options
+ * @param {string|object} [options.climate] - Climate preset name, or { temperature, moisture }
+ * @returns {object} - Climate ({ temperature in °C, moisture 0-1, cues: names of the cues found })
+ */
+function parseClimate(prompt, options = {}) {
+  if (typeof options.climate === 'string') {
+    const preset = climatePresets[options.climate];
+    if (!preset) {
+      throw new Error(`Unknown climate: ${options.climate} (expected ${Object.keys(climatePresets).join(', ')})`);
+    }
+    return {
+      temperature: preset.temperature !== undefined ? preset.temperature : DEFAULT_CLIMATE.temperature,
+      moisture: preset.moisture !== undefined ? preset.moisture : DEFAULT_CLIMATE.moisture,
+      cues: [options.climate]
+    };
+  }
+  
+  if (options.climate) {
+    return { ...DEFAULT_CLIMATE, cues: [], ...options.climate };
+  }
+  
+  const promptLower = (prompt || '').toLowerCase();
+  const climate = { cues: [] };
+  
+  const latitude = promptLower.match(/\blatitude\s*(?:of\s*)?(-?\d+(?:\.\d+)?)/);
+  if (latitude) {
+    climate.temperature = temperatureAtLatitude(parseFloat(latitude[1]));
+    climate.cues.push('latitude');
+  }
+  
+  // Cues in the order they appear in the prompt
+  const cues = Object.entries(climatePresets)
+    .map(([name, preset]) => ({ name, preset, index: findCue(promptLower, preset.keywords) }))
+    .filter(cue => cue.index !== -1)
+    .sort((a, b) => a.index - b.index);
+  
+  for (const { name, preset } of cues) {
+    let used = false;
+    if (climate.temperature === undefined && preset.temperature !== undefined) {
+      climate.temperature = preset.temperature;
+      used = true;
+    }
+    if (climate.moisture === undefined && preset.moisture !== undefined) {
+      climate.moisture = preset.moisture;
+      used = true;
+    }
+    if (used) {
+      climate.cues.push(name);
+    }
+  }
+  
+  return { ...DEFAULT_CLIMATE, ...climate };
+}
+
+/**
+ * Find the first occurrence of any keyword at the start of a word
+ * @param {string} text - Lowercase text
+ * @param {string[]} keywords - Keywords
+ * @returns {number} - Index of the earliest match, or -1
+ */
+function findCue(text, keywords) {
+  let first = -1;
+  for (const keyword of keywords) {
+    const match = new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).exec(text);
+    if (match && (first === -1 || match.index < first)) {
+      first = match.index;
+    }
+  }
+  return first;
+}
+
+/**
+ * Approximate mean annual sea-level temperature at a latitude
+ * @param {number} latitude - Latitude in degrees (north or south)
+ * @returns {number} - Temperature in °C (27 at the equator, about 10 at 45 and -3 at 60)
+ */
+function temperatureAtLatitude(latitude) {
+  return 27 - latitude * latitude / 120;
+}
+
+/**
+ * Classify a temperature and moisture with the Whittaker table
+ * @param {number} temperature - Mean annual temperature in °C
+ * @param {number} moisture - Moisture (0-1)
+ * @returns {string} - Biome name
+ */
+function classifyBiome(temperature, moisture) {
+  const row = WHITTAKER_TABLE.find(band => temperature <= band.maxTemperature);
+  const column = row.columns.find(([maxMoisture]) => moisture <= maxMoisture) || row.columns[row.columns.length - 1];
+  return column[1];
+}
+
+/**
+ * Add temperature, moisture and biome layers to a grid
+ * Temperature falls with elevation from the climate's sea-level
+ * temperature; moisture starts from the climate's base moisture and rises
+ * near water and along drainage lines. Needs the height, waterDistance and
+ * flowAccumulation layers. Adds the grid layers temperature (°C), moisture
+ * (0-1) and biome (index into BIOME_NAMES).
+ * @param {object} grid - Grid system with terrain and water layers
+ * @param {object} climate - Climate from parseClimate
+ * @param {object} [options={}] - Biome options
+ * @param {number} [options.elevationCooling=20] - Temperature drop in °C from sea level to the top of the height range
+ * @param {number} [options.worldSize] - Map width in meters
+ * @returns {object} - Grid with biome data
+ */
+function applyBiomeLayer(grid, climate, options = {}) {
+  const elevationCooling = options.elevationCooling !== undefined ? options.elevationCooling : DEFAULT_ELEVATION_COOLING;
+  const cellSize = grid.cellWidth * getMetersPerPixel(grid.width, options);
+  const cellArea = cellSize * cellSize;
+  const { height, waterDistance, flowAccumulation } = grid.layers;
+  const temperature = grid.addLayer('temperature');
+  const moisture = grid.addLayer('moisture');
+  const biome = grid.addLayer('biome', Uint8Array);
+  const counts = new Array(BIOME_NAMES.length).fill(0);
+  
+  for (let i = 0; i < grid.cellCount; i++) {
+    temperature[i] = climate.temperature - elevationCooling * height[i];
+    
+    const nearWater = 1 - smoothstep(0, MOISTURE_RANGE, waterDistance[i]);
+    const drainage = clamp((Math.log10(flowAccumulation[i] * cellArea) - 2) / 3);
+    moisture[i] = clamp(climate.moisture + WATER_MOISTURE * nearWater + FLOW_MOISTURE * drainage);
+    
+    biome[i] = BIOME_NAMES.indexOf(classifyBiome(temperature[i], moisture[i]));
+    counts[biome[i]]++;
+  }
+  
+  const shares = BIOME_NAMES
+    .map((name, index) => ({ name, share: counts[index] / grid.cellCount }))
+    .filter(({ share }) => share > 0)
+    .map(({ name, share }) => `${name} ${(share * 100).toFixed(1)}%`);
+  console.log(`Biomes (${climate.temperature.toFixed(1)} °C, moisture ${climate.moisture.toFixed(2)}): ${shares.join(', ')}`);
+  
+  return grid;
+}
+
+/**
+ * Create a biome map matching a heightmap pixel for pixel
+ * Runs the same terrain, water and biome analysis as object placement on a
+ * grid with one cell per pixel, so splat materials and vegetation agree.
+ * @param {object} heightMap - Height field
+ * @param {object|null} waterMap - Water map from the heightmap stage, if any
+ * @param {object} climate - Climate from parseClimate
+ * @param {object} [options={}] - Terrain, water and biome options
+ * @returns {object} - Biome map ({ width, height, biome: Uint8Array of BIOME_NAMES indices, temperature, moisture })
+ */
+function createBiomeMap(heightMap, waterMap, climate, options = {}) {
+  const grid = createGrid(heightMap.width, heightMap.height, heightMap.width);
+  analyzeTerrain(heightMap, grid, options);
+  applyWaterLayer(grid, waterMap, options);
+  applyBiomeLayer(grid, climate, options);
+  
+  return {
+    width: heightMap.width,
+    height: heightMap.height,
+    biome: grid.layers.biome,
+    temperature: grid.layers.temperature,
+    moisture: grid.layers.moisture
+  };
+}
+
+/**
+ * Build a lookup of the biome indices in a list of biome names
+ * @param {string[]} biomes - Biome names
+ * @returns {Uint8Array} - 1 for each BIOME_NAMES index in the list
+ */
+function createBiomeFilter(biomes) {
+  const filter = new Uint8Array(BIOME_NAMES.length);
+  for (const name of biomes) {
+    const index = BIOME_NAMES.indexOf(name);
+    if (index !== -1) {
+      filter[index] = 1;
+    }
+  }
+  return filter;
+}
+
+/**
+ * Get the biomes that occur in a biome layer
+ * @param {Uint8Array} biome - Biome layer (BIOME_NAMES indices)
+ * @returns {Set<string>} - Names of the biomes present
+ */
+function getPresentBiomes(biome) {
+  const seen = new Uint8Array(BIOME_NAMES.length);
+  for (let i = 0; i < biome.length; i++) {
+    seen[biome[i]] = 1;
+  }
+  return new Set(BIOME_NAMES.filter((name, index) => seen[index]));
+}
+
+/**
+ * Let the biome map pick the subtypes of entries whose subtype the prompt left open
+ * An entry asking only for a type ("dense forests") is replaced by one entry
+ * per subtype that declares `biomes` present on the map and has no entry of
+ * its own, each limited to its biomes: a temperate map with cold peaks gets
+ * oaks in the forest and pines up high. A biome listed by several subtypes
+ * goes to the first of them, so the entries never stack on the same ground.
+ * Entries are dropped when their subtypes declare biomes but none of them is
+ * on the map (no trees on an ice sheet), and keep their default subtype when
+ * no subtype declares biomes and the prompt does not name it elsewhere.
+ * @param {object} objectsData - Parsed object data from the prompt
+ * @param {object} grid - Grid system with the biome layer
+ * @param {object} definitions - Object definitions keyed by type
+ * @returns {object} - Object data with the biome subtypes filled in
+ */
+function selectBiomeSubtypes(objectsData, grid, definitions) {
+  const present = getPresentBiomes(grid.layers.biome);
+  const objects = [];
+  
+  for (const entry of objectsData.objects) {
+    if (!entry.impliedSubtype) {
+      objects.push(entry);
+      continue;
+    }
+    
+    const subtypes = definitions[entry.type].subtypes;
+    const named = new Set(objectsData.objects
+      .filter(other => other.type === entry.type && !other.impliedSubtype)
+      .flatMap(other => (other.blend ? other.blend.map(member => member.subType) : [other.subType])));
+    const claimed = new Set();
+    const matches = [];
+    
+    for (const [subType, subtype] of Object.entries(subtypes)) {
+      const biomes = (subtype.biomes || []).filter(biome => present.has(biome) && !claimed.has(biome));
+      if (named.has(subType) || biomes.length === 0) {
+        continue;
+      }
+      biomes.forEach(biome => claimed.add(biome));
+      matches.push({ ...entry, subType, biomes });
+    }
+    
+    if (matches.length === 0) {
+      if (Object.values(subtypes).some(subtype => subtype.biomes)) {
+        console.log(`No ${entry.type} subtype is left to pick for the biomes present; skipping the unnamed ${entry.type} entry`);
+      } else if (!named.has(entry.subType)) {
+        objects.push(entry);
+      }
+      continue;
+    }
+    
+    console.log(`Biomes pick ${entry.type} subtypes: ${matches.map(match => `${match.subType} (${match.biomes.join(', ')})`).join(', ')}`);
+    objects.push(...matches);
+  }
+  
+  return { ...objectsData, objects };
+}
+
+module.exports = {
+  BIOME_NAMES,
+  parseClimate,
+  classifyBiome,
+  applyBiomeLayer,
+  createBiomeMap,
+  createBiomeFilter,
+  getPresentBiomes,
+  selectBiomeSubtypes
+};
@@ -0,0 +1,103 @@
+/**
+ * Biome Definitions
+ * Biomes, the Whittaker-style table that picks them from temperature and moisture, and climate prompt cues
+ */
+
+/**
+ * Biomes keyed by name
+ * Splat materials and object subtypes list the biomes they belong to by
+ * these names (`biomes`); `color` is used for the biome preview map.
+ */
+const biomeDefinitions = {
+  ice: {
+    name: 'Ice',
+    description: 'Permanent snow and ice',
+    color: [240, 248, 255]
+  },
+  tundra: {
+    name: 'Tundra',
+    description: 'Cold, treeless ground with moss and low shrubs',
+    color: [150, 160, 130]
+  },
+  borealForest: {
+    name: 'Boreal forest',
+    description: 'Cold coniferous forest (taiga)',
+    color: [50, 90, 60]
+  },
+  grassland: {
+    name: 'Grassland',
+    description: 'Temperate grassland and steppe',
+    color: [170, 190, 90]
+  },
+  temperateForest: {
+    name: 'Temperate forest',
+    description: 'Temperate deciduous and mixed forest',
+    color: [60, 130, 50]
+  },
+  temperateRainforest: {
+    name: 'Temperate rainforest',
+    description: 'Wet temperate forest, bogs and marshes',
+    color: [30, 100, 70]
+  },
+  desert: {
+    name: 'Desert',
+    description: 'Dry sand and scrub',
+    color: [220, 190, 130]
+  },
+  savanna: {
+    name: 'Savanna',
+    description: 'Warm grassland with scattered trees',
+    color: [190, 170, 80]
+  },
+  tropicalSeasonalForest: {
+    name: 'Tropical seasonal forest',
+    description: 'Warm forest with a dry season',
+    color: [110, 150, 40]
+  },
+  tropicalRainforest: {
+    name: 'Tropical rainforest',
+    description: 'Hot, wet jungle',
+    color: [20, 110, 40]
+  }
+};
+
+/**
+ * Whittaker-style biome table
+ * Rows are temperature bands (mean annual temperature in °C, up to
+ * maxTemperature); within a row the first column whose maxMoisture the
+ * moisture (0-1) does not exceed gives the biome.
+ */
+const WHITTAKER_TABLE = [
+  { maxTemperature: -6, columns: [[1, 'ice']] },
+  { maxTemperature: 0, columns: [[1, 'tundra']] },
+  { maxTemperature: 5, columns: [[0.25, 'grassland'], [1, 'borealForest']] },
+  { maxTemperature: 20, columns: [[0.15, 'desert'], [0.35, 'grassland'], [0.85, 'temperateForest'], [1, 'temperateRainforest']] },
+  { maxTemperature: Infinity, columns: [[0.2, 'desert'], [0.45, 'savanna'], [0.8, 'tropicalSeasonalForest'], [1, 'tropicalRainforest']] }
+];
+
+/**
+ * Climate cues recognized in prompts
+ * Each cue sets the sea-level temperature (°C), the base moisture (0-1), or
+ * both. The first cue in the prompt that sets a value wins.
+ */
+const climatePresets = {
+  polar: { keywords: ['polar', 'arctic', 'antarctic', 'glacial', 'frozen', 'icy'], temperature: -12, moisture: 0.3 },
+  subarctic: { keywords: ['subarctic', 'boreal', 'taiga', 'tundra', 'cold'], temperature: 2, moisture: 0.45 },
+  temperate: { keywords: ['temperate', 'mild'], temperature: 12, moisture: 0.4 },
+  mediterranean: { keywords: ['mediterranean'], temperature: 17, moisture: 0.25 },
+  tropical: { keywords: ['tropical', 'tropics', 'equatorial', 'jungle', 'rainforest'], temperature: 26, moisture: 0.7 },
+  desert: { keywords: ['desert', 'dune', 'sahara'], temperature: 24, moisture: 0.05 },
+  arid: { keywords: ['arid', 'dry', 'semi-arid', 'barren'], moisture: 0.1 },
+  wet: { keywords: ['wet', 'humid', 'rainy', 'lush', 'swamp', 'marsh', 'bog'], moisture: 0.7 },
+  hot: { keywords: ['hot', 'warm', 'subtropical'], temperature: 22 }
+};
+
+// Climate used when the prompt has no cue
+const DEFAULT_CLIMATE = { temperature: 12, moisture: 0.4 };
+
+module.exports = {
+  biomeDefinitions,
+  WHITTAKER_TABLE,
+  climatePresets,
+  DEFAULT_CLIMATE
+};
@@ -0,0 +1,317 @@
+/**
+ * Erosion
+ * Hydraulic (particle-based) and thermal (talus) erosion post-processes for height fields
+ */
+
+const { deriveRandom, resolveSeed } = require('../utils/random');
+const { createHeightField } = require('../utils/heightMapLoader');
+const { getTerrainScale, getMetersPerPixel } = require('../utils/terrainMetrics');
+
+// Default parameters for particle-based hydraulic erosion
+const DEFAULT_HYDRAULIC = {
+  iterations: null, // Number of droplets (defaults to one per 16 pixels)
+  rain: 1, // Initial water volume of a droplet
+  sedimentCapacity: 4, // Multiplier for how much sediment a droplet can carry
+  minSedimentCapacity: 0.01, // Keeps droplets eroding on almost flat terrain
+  erodeSpeed: 0.3, // Fraction of free capacity eroded per step
+  depositSpeed: 0.3, // Fraction of surplus sediment deposited per step
+  evaporateSpeed: 0.01, // Fraction of water lost per step
+  inertia: 0.05, // How much a droplet keeps its direction (0-1)
+  gravity: 4, // Acceleration of droplets on downhill steps
+  maxLifetime: 30, // Maximum number of steps per droplet
+  erosionRadius: 3 // Radius in pixels over which erosion is spread
+};
+
+// Default parameters for thermal (talus) erosion
+const DEFAULT_THERMAL = {
+  iterations: 20, // Number of relaxation passes
+  talusAngle: 35, // Steepest stable slope in degrees
+  strength: 0.5 // Fraction of the excess material moved per pass
+};
+
+/**
+ * Apply the configured erosion stages to a height field
+ * @param {object} heightField - Height field ({ width, height, data }) with normalized heights
+ * @param {object|boolean} erosionOptions - Erosion options, or true for the defaults
+ * @param {object|boolean} [erosionOptions.hydraulic] - Hydraulic erosion parameters (false to disable)
+ * @param {object|boolean} [erosionOptions.thermal] - Thermal erosion parameters (false to disable)
+ * @param {object} options - Pipeline options
+ * @param {string|number} [options.seed] - Seed for the droplet positions
+ * @returns {object} - Eroded height field, erosion-deposition map and flow map
+ */
+function applyErosion(heightField, erosionOptions, options = {}) {
+  const settings = erosionOptions === true ? {} : erosionOptions;
+  const { width, height } = heightField;
+  const original = heightField.data;
+  const data = Float32Array.from(original);
+  const flowMap = new Float32Array(width * height);
+  
+  if (settings.hydraulic !== false) {
+    const params = { ...DEFAULT_HYDRAULIC, ...(settings.hydraulic || {}) };
+    const random = deriveRandom(resolveSeed(options.seed), 'heightmap', 'erosion');
+    hydraulicErosion(data, width, height, params, random, flowMap);
+  }
+  
+  if (settings.thermal !== false) {
+    const params = { ...DEFAULT_THERMAL, ...(settings.thermal || {}) };
+    thermalErosion(data, width, height, params, getTerrainScale(options));
+  }
+  
+  // Signed change per pixel: positive where material was deposited, negative where eroded
+  const depositionMap = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.max(0, Math.min(1, data[i]));
+    depositionMap[i] = data[i] - original[i];
+  }
+  
+  return {
+    heightField: createHeightField(width, height, data),
+    depositionMap,
+    flowMap: normalizeFlow(flowMap)
+  };
+}
+
+/**
+ * Particle-based hydraulic erosion
+ * Simulates rain droplets that run downhill, eroding where they speed up and
+ * depositing sediment where they slow down or exceed their carrying capacity.
+ * @param {Float32Array} data - Heights, modified in place
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {object} params - Hydraulic erosion parameters
+ * @param {function(): number} random - Random number generator for droplet spawns
+ * @param {Float32Array} flowMap - Accumulated water per pixel, modified in place
+ */
+function hydraulicErosion(data, width, height, params, random, flowMap) {
+  const iterations = params.iterations || Math.round(width * height / 16);
+  const brush = createErosionBrush(params.erosionRadius);
+  console.log(`Running hydraulic erosion with ${iterations} droplets`);
+  
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let posX = random() * (width - 1);
+    let posY = random() * (height - 1);
+    let dirX = 0;
+    let dirY = 0;
+    let speed = 1;
+    let water = params.rain;
+    let sediment = 0;
+    
+    for (let lifetime = 0; lifetime < params.maxLifetime; lifetime++) {
+      const nodeX = Math.floor(posX);
+      const nodeY = Math.floor(posY);
+      const offsetX = posX - nodeX;
+      const offsetY = posY - nodeY;
+      const current = sampleHeightAndGradient(data, width, posX, posY);
+      
+      flowMap[nodeY * width + nodeX] += water;
+      
+      // Blend the previous direction with the downhill direction
+      dirX = dirX * params.inertia - current.gradientX * (1 - params.inertia);
+      dirY = dirY * params.inertia - current.gradientY * (1 - params.inertia);
+      const length = Math.sqrt(dirX * dirX + dirY * dirY);
+      if (length === 0) {
+        break;
+      }
+      dirX /= length;
+      dirY /= length;
+      posX += dirX;
+      posY += dirY;
+      
+      if (posX < 0 || posX >= width - 1 || posY < 0 || posY >= height - 1) {
+        break;
+      }
+      
+      const deltaHeight = sampleHeightAndGradient(data, width, posX, posY).height - current.height;
+      const capacity = Math.max(
+        -deltaHeight * speed * water * params.sedimentCapacity,
+        params.minSedimentCapacity
+      );
+      
+      if (sediment > capacity || deltaHeight > 0) {
+        // Deposit: fill the pit when moving uphill, otherwise drop the surplus
+        const amount = deltaHeight > 0
+          ? Math.min(deltaHeight, sediment)
+          : (sediment - capacity) * params.depositSpeed;
+        sediment -= amount;
+        
+        const index = nodeY * width + nodeX;
+        data[index] += amount * (1 - offsetX) * (1 - offsetY);
+        data[index + 1] += amount * offsetX * (1 - offsetY);
+        data[index + width] += amount * (1 - offsetX) * offsetY;
+        data[index + width + 1] += amount * offsetX * offsetY;
+      } else {
+        // Erode: never dig deeper than the height difference, or pits form
+        const amount = Math.min((capacity - sediment) * params.erodeSpeed, -deltaHeight);
+        
+        for (const { dx, dy, weight } of brush) {
+          const x = nodeX + dx;
+          const y = nodeY + dy;
+          if (x < 0 || x >= width || y < 0 || y >= height) {
+            continue;
+          }
+          
+          const index = y * width + x;
+          const eroded = Math.min(data[index], amount * weight);
+          data[index] -= eroded;
+          sediment += eroded;
+        }
+      }
+      
+      speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * params.gravity));
+      water *= 1 - params.evaporateSpeed;
+    }
+  }
+}
+
+/**
+ * Thermal (talus) erosion
+ * Material slides from any pixel to lower neighbors where the slope between
+ * them exceeds the talus angle, relaxing cliffs into scree slopes.
+ * @param {Float32Array} data - Heights, modified in place
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {object} params - Thermal erosion parameters
+ * @param {object} terrainScale - Terrain scale ({ worldSize, heightScale })
+ */
+function thermalErosion(data, width, height, params, terrainScale) {
+  console.log(`Running thermal erosion for ${params.iterations} iterations (talus ${params.talusAngle}°)`);
+  
+  // Largest stable height difference between neighboring pixels, in normalized height
+  const metersPerPixel = getMetersPerPixel(width, terrainScale);
+  const talus = Math.tan(params.talusAngle * Math.PI / 180) * metersPerPixel / terrainScale.heightScale;
+  const neighbors = [[1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1], [1, 1, Math.SQRT2], [-1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, -1, Math.SQRT2]];
+  const delta = new Float32Array(width * height);
+  
+  for (let iteration = 0; iteration < params.iterations; iteration++) {
+    delta.fill(0);
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const center = data[index];
+        let totalExcess = 0;
+        let maxExcess = 0;
+        
+        for (const [dx, dy, distance] of neighbors) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+            continue;
+          }
+          
+          const excess = center - data[ny * width + nx] - talus * distance;
+          if (excess > 0) {
+            totalExcess += excess;
+            maxExcess = Math.max(maxExcess, excess);
+          }
+        }
+        
+        if (totalExcess === 0) {
+          continue;
+        }
+        
+        // Move part of the excess, shared between neighbors by their own excess
+        const moved = params.strength * maxExcess / 2;
+        delta[index] -= moved;
+        
+        for (const [dx, dy, distance] of neighbors) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+            continue;
+          }
+          
+          const excess = center - data[ny * width + nx] - talus * distance;
+          if (excess > 0) {
+            delta[ny * width + nx] += moved * excess / totalExcess;
+          }
+        }
+      }
+    }
+    
+    for (let i = 0; i < data.length; i++) {
+      data[i] += delta[i];
+    }
+  }
+}
+
+/**
+ * Sample the height and gradient at a position with bilinear interpolation
+ * @param {Float32Array} data - Heights
+ * @param {number} width - Width in pixels
+ * @param {number} x - X coordinate in pixels
+ * @param {number} y - Y coordinate in pixels
+ * @returns {object} - Height and gradient ({ height, gradientX, gradientY })
+ */
+function sampleHeightAndGradient(data, width, x, y) {
+  const nodeX = Math.floor(x);
+  const nodeY = Math.floor(y);
+  const u = x - nodeX;
+  const v = y - nodeY;
+  const index = nodeY * width + nodeX;
+  
+  const heightNW = data[index];
+  const heightNE = data[index + 1];
+  const heightSW = data[index + width];
+  const heightSE = data[index + width + 1];
+  
+  return {
+    height: heightNW * (1 - u) * (1 - v) + heightNE * u * (1 - v) + heightSW * (1 - u) * v + heightSE * u * v,
+    gradientX: (heightNE - heightNW) * (1 - v) + (heightSE - heightSW) * v,
+    gradientY: (heightSW - heightNW) * (1 - u) + (heightSE - heightNE) * u
+  };
+}
+
+/**
+ * Precompute erosion brush offsets and weights
+ * @param {number} radius - Brush radius in pixels
+ * @returns {object[]} - Brush entries ({ dx, dy, weight }) with weights summing to 1
+ */
+function createErosionBrush(radius) {
+  const brush = [];
+  const reach = Math.ceil(radius);
+  let total = 0;
+  
+  for (let dy = -reach; dy <= reach; dy++) {
+    for (let dx = -reach; dx <= reach; dx++) {
+      const weight = Math.max(0, radius - Math.sqrt(dx * dx + dy * dy));
+      if (weight > 0) {
+        brush.push({ dx, dy, weight });
+        total += weight;
+      }
+    }
+  }
+  
+  for (const entry of brush) {
+    entry.weight /= total;
+  }
+  
+  return brush;
+}
+
+/**
+ * Normalize accumulated flow to 0-1 on a logarithmic scale
+ * @param {Float32Array} flowMap - Accumulated water per pixel
+ * @returns {Float32Array} - Normalized flow map
+ */
+function normalizeFlow(flowMap) {
+  let max = 0;
+  for (let i = 0; i < flowMap.length; i++) {
+    max = Math.max(max, flowMap[i]);
+  }
+  
+  if (max > 0) {
+    const logMax = Math.log1p(max);
+    for (let i = 0; i < flowMap.length; i++) {
+      flowMap[i] = Math.log1p(flowMap[i]) / logMax;
+    }
+  }
+  
+  return flowMap;
+}
+
+module.exports = {
+  applyErosion,
+  hydraulicErosion,
+  thermalErosion
+};
@@ -0,0 +1,107 @@
+/**
+ * Feature Library
+ * Topography feature types with their prompt keywords and shape defaults
+ */
+
+/**
+ * Area features, keyed by feature type
+ * Keywords match at the start of a word, so 'mountain' also matches
+ * 'mountains' and 'mountainous'. Heights and roughness are normalized (0-1);
+ * radius is a fraction of the map width; falloff selects the edge profile
+ * used by the synthesizer (smooth, linear, steep or cliff).
+ */
+const featureLibrary = {
+  mountains: {
+    keywords: ['mountain', 'peak', 'alpine'],
+    height: 0.8,
+    roughness: 0.7,
+    radius: 0.3,
+    falloff: 'smooth'
+  },
+  hills: {
+    keywords: ['hill'],
+    height: 0.5,
+    roughness: 0.4,
+    radius: 0.3,
+    falloff: 'smooth'
+  },
+  flatlands: {
+    keywords: ['flat', 'plain', 'prairie', 'steppe'],
+    height: 0.1,
+    roughness: 0.1,
+    radius: 0.3,
+    falloff: 'smooth'
+  },
+  plateau: {
+    keywords: ['plateau', 'mesa', 'tableland'],
+    height: 0.55,
+    roughness: 0.2,
+    radius: 0.25,
+    falloff: 'steep'
+  },
+  cliffs: {
+    keywords: ['cliff', 'escarpment'],
+    height: 0.45,
+    roughness: 0.3,
+    radius: 0.25,
+    falloff: 'cliff'
+  },
+  valley: {
+    keywords: ['valley', 'basin'],
+    height: 0.04,
+    roughness: 0.15,
+    radius: 0.3,
+    falloff: 'smooth'
+  },
+  lake: {
+    keywords: ['lake', 'pond', 'lagoon'],
+    height: 0.02,
+    roughness: 0.1,
+    radius: 0.12,
+    falloff: 'steep'
+  },
+  volcano: {
+    keywords: ['volcan', 'caldera', 'crater'],
+    height: 0.85,
+    roughness: 0.35,
+    radius: 0.3,
+    falloff: 'linear'
+  },
+  dunes: {
+    keywords: ['dune'],
+    height: 0.25,
+    roughness: 0.3,
+    radius: 0.35,
+    falloff: 'smooth'
+  }
+};
+
+/**
+ * Linear features, represented as polylines across the map
+ * Depth and width are normalized (0-1) and scaled by the carver.
+ */
+const linearFeatureLibrary = [
+  { type: 'river', keywords: ['river'], depth: 0.3, width: 0.2, meander: 0.15 },
+  { type: 'river', keywords: ['stream', 'creek', 'brook'], depth: 0.15, width: 0.08, meander: 0.15 },
+  { type: 'canyon', keywords: ['canyon', 'gorge', 'ravine'], depth: 2.5, width: 0.5, meander: 0.12 },
+  { type: 'road', keywords: ['road', 'trail'], depth: 0.0, width: 0.06, meander: 0.08 }
+];
+
+/**
+ * Base terrain types, selecting the height of the terrain between features
+ */
+const baseTypes = {
+  flat: { height: 0.1 },
+  // Canyons are cut into raised terrain
+  highland: { height: 0.4 }
+};
+
+// Normalized height of the sea in island and coastline maps
+const SEA_LEVEL = 0.05;
+
+module.exports = {
+  featureLibrary,
+  linearFeatureLibrary,
+  baseTypes,
+  SEA_LEVEL
+};
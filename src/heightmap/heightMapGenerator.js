@@ -1,32 +1,69 @@
 /**
  * Height Map Generator
- * Uses CivitAI heightmap generator API to convert text prompt into height maps
+ * Converts text prompts into height maps with a pluggable backend (procedural, HTTP service or file)
  */
 
-const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
 const Jimp = require('jimp');
 const { processTopographyMapping } = require('./semanticTopographyMapper');
+const { generateHeightField } = require('./heightmapBackends');
+const { applyErosion } = require('./erosion');
+const { exportHeightmap, encodePNG16 } = require('./heightmapExporter');
+const { createWaterMap } = require('./waterMap');
+const { resolveSeed } = require('../utils/random');
 
 class HeightMapGenerator {
   /**
    * Generate a heightmap from a text prompt
    * @param {string} prompt - Text prompt describing the landscape
    * @param {object} options - Additional options for heightmap generation
-   * @returns {Promise<string>} - Path to the generated heightmap file
+   * @param {string|number} [options.seed] - Seed for deterministic generation
+   * @param {number} [options.resolution=1024] - Heightmap width and height in pixels
+   * @param {string} [options.heightmapBackend='procedural'] - Backend: procedural, http or file
+   * @param {object} [options.heightmapService] - HTTP backend settings ({ url, timeout, retries, backoff, headers, fallback })
+   * @param {string} [options.heightmapFile] - Heightmap file for the file backend
+   * @param {object|boolean} [options.erosion] - Erosion settings ({ hydraulic, thermal }), or true for
+   *   the defaults. Hydraulic: iterations, rain, sedimentCapacity, ...; thermal: iterations, talusAngle
+   * @param {string[]} [options.exports] - Additional export formats (png16, r16, raw, pfm, asc)
+   * @param {number} [options.exportSize] - Export width/height in pixels (defaults to the next 2^n+1 size)
+   * @param {number} [options.heightScale] - Meters per normalized height unit, recorded in export sidecars
+   * @param {number} [options.seaLevel] - Normalized sea level for the water map (defaults to the
+   *   prompt's, set for island and coastline maps)
+   * @returns {Promise<string>} - Path to the generated heightmap file; the water map is written next to it
    */
   static async generate(prompt, options = {}) {
     try {
+      const seed = resolveSeed(options.seed);
+      
       // Step 1: Process the text prompt to extract semantic topography data
-      const topographyData = await processTopographyMapping(prompt);
+      const topographyData = await processTopographyMapping(prompt, { seed });
+      
+      // Step 2: Turn the topography data into a height field with the configured backend
+      let heightField = await this.callHeightmapAPI(topographyData, { ...options, seed });
+      
+      // Step 3: Optionally erode the terrain
+      const outputDir = path.join(process.cwd(), 'output');
+      if (options.erosion) {
+        const erosionResult = applyErosion(heightField, options.erosion, { ...options, seed });
+        heightField = erosionResult.heightField;
+        await this.saveErosionMaps(erosionResult, outputDir);
+      }
+      
+      // Step 4: Save the heightmap to disk
+      const outputPath = path.join(outputDir, 'heightmap.png');
+      await this.saveHeightmap(heightField, outputPath);
       
-      // Step 2: Call the heightmap generation API
-      const heightmapData = await this.callHeightmapAPI(topographyData, options);
+      // Step 5: Save the water map (sea, lakes and rivers) for object placement
+      // An existing heightmap file does not follow the prompt's features, so only its sea is known
+      const waterTopography = options.heightmapBackend === 'file' ? { ...topographyData, features: [] } : topographyData;
+      const waterMap = createWaterMap(heightField, waterTopography, options);
+      await this.saveWaterMap(waterMap, path.join(outputDir, 'watermap.png'));
       
-      // Step 3: Save the heightmap to disk
-      const outputPath = path.join(process.cwd(), 'output', 'heightmap.png');
-      await this.saveHeightmap(heightmapData, outputPath);
+      // Step 6: Write engine export formats, if requested
+      if (options.exports && options.exports.length > 0) {
+        await exportHeightmap(heightField, path.join(outputDir, 'exports'), options);
+      }
       
       console.log(`Height map generated successfully at: ${outputPath}`);
       return outputPath;
@@ -37,39 +74,14 @@ class HeightMapGenerator {
   }
   
   /**
-   * Call the CivitAI heightmap generator API
+   * Call the configured heightmap backend
    * @param {object} topographyData - Processed topography data
-   * @param {object} options - Additional options for the API
-   * @returns {Promise<Buffer>} - Binary image data of the heightmap
+   * @param {object} options - Heightmap options, including the backend settings
+   * @returns {Promise<object>} - Height field with normalized heights
    */
   static async callHeightmapAPI(topographyData, options) {
-    // This is a placeholder for the actual API call
-    // In a real implementation, this would call the CivitAI API
-    console.log('Calling heightmap API with topography data:', JSON.stringify(topographyData, null, 2));
-    
-    // Placeholder implementation that would be replaced with actual API call
-    // For example: using the CivitAI GameLandscape Heightmap Generator
     try {
-      // const response = await fetch('https://api.civitai.com/heightmapGenerator', {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify({
-      //     prompt: topographyData.description,
-      //     features: topographyData.features,
-      //     ...options
-      //   })
-      // });
-      
-      // if (!response.ok) {
-      //   throw new Error(`API responded with status: ${response.status}`);
-      // }
-      
-      // return await response.buffer();
-      
-      // Instead of returning a mock buffer, we'll return the topography data
-      // that can be used to generate a real heightmap
-      console.log('Using mock heightmap data (in a real implementation, this would call the CivitAI API)');
-      return topographyData;
+      return await generateHeightField(topographyData, options);
     } catch (error) {
       console.error('Error calling heightmap API:', error);
       throw error;
@@ -77,12 +89,12 @@ class HeightMapGenerator {
   }
   
   /**
-   * Save the heightmap data to disk as an actual PNG file
-   * @param {object} heightmapData - Processed topography data
+   * Save the heightmap data to disk as a 16-bit grayscale PNG file
+   * @param {object} heightField - Height field ({ width, height, data }) with normalized heights
    * @param {string} outputPath - Path to save the heightmap
    * @returns {Promise<void>}
    */
-  static async saveHeightmap(heightmapData, outputPath) {
+  static async saveHeightmap(heightField, outputPath) {
     try {
       // Ensure the output directory exists
       const outputDir = path.dirname(outputPath);
@@ -90,70 +102,85 @@ class HeightMapGenerator {
         fs.mkdirSync(outputDir, { recursive: true });
       }
       
-      // Create an actual greyscale heightmap using Jimp
-      const width = 1024;
-      const height = 1024;
-      const image = new Jimp(width, height);
+      // 16 bits per pixel avoid the terracing of 8-bit heightmaps
+      await fs.promises.writeFile(outputPath, encodePNG16(heightField));
       
-      // Fill the image with height data based on the topography features
-      // This is a simplified visualization of the heightmap
-      for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-          // Normalized coordinates between 0 and 1
-          const nx = x / width;
-          const ny = y / height;
-          
-          // Default base height (based on the baseType)
-          let pixelHeight = 0.1; // Default low height for 'flat' baseType
-          
-          // Apply height based on features
-          for (const feature of heightmapData.features) {
-            // Calculate influence based on distance to feature location
-            const dx = nx - feature.location.x;
-            const dy = ny - feature.location.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            // Falloff radius - how far the feature extends
-            const radius = feature.type === 'river' ? 0.02 : 0.3;
-            
-            if (distance < radius) {
-              // Calculate influence factor (1 at center, 0 at radius)
-              const influence = 1 - Math.pow(distance / radius, 2);
-              
-              // Apply different height depending on feature type
-              if (feature.type === 'mountains') {
-                pixelHeight = Math.max(pixelHeight, feature.height * influence);
-              } else if (feature.type === 'hills') {
-                pixelHeight = Math.max(pixelHeight, feature.height * influence);
-              } else if (feature.type === 'flatlands') {
-                pixelHeight = feature.height;
-              } else if (feature.type === 'river') {
-                // Rivers should be lower than surroundings
-                pixelHeight = Math.min(pixelHeight, 0.05);
-              }
-            }
-          }
-          
-          // Add some random noise for texture
-          pixelHeight += (Math.random() * 0.05) - 0.025;
-          
-          // Clamp height to 0-1 range
-          pixelHeight = Math.max(0, Math.min(1, pixelHeight));
-          
-          // Convert to grayscale value (0-255)
-          const gray = Math.floor(pixelHeight * 255);
-          const color = Jimp.rgbaToInt(gray, gray, gray, 255);
-          
-          image.setPixelColor(color, x, y);
-        }
+      console.log(`Heightmap saved to ${outputPath}`);
+    } catch (error) {
+      console.error('Error saving heightmap:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save a water map as a black/white PNG file (white is water)
+   * @param {object} waterMap - Water map ({ width, height, data })
+   * @param {string} outputPath - Path to save the water map
+   * @returns {Promise<void>}
+   */
+  static async saveWaterMap(waterMap, outputPath) {
+    try {
+      const image = new Jimp(waterMap.width, waterMap.height);
+      for (let i = 0; i < waterMap.data.length; i++) {
+        const value = waterMap.data[i] ? 255 : 0;
+        image.bitmap.data.fill(value, i * 4, i * 4 + 3);
+        image.bitmap.data[i * 4 + 3] = 255;
       }
       
-      // Save the image
       await image.writeAsync(outputPath);
+      console.log(`Water map saved to ${outputPath}`);
+    } catch (error) {
+      console.error('Error saving water map:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the erosion-deposition and flow maps as grayscale PNG files
+   * The erosion-deposition map is centered on mid-gray: brighter pixels gained
+   * sediment, darker pixels lost material.
+   * @param {object} erosionResult - Result of applyErosion
+   * @param {string} outputDir - Directory to save the maps to
+   * @returns {Promise<object>} - Paths to the saved maps
+   */
+  static async saveErosionMaps(erosionResult, outputDir) {
+    try {
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
       
-      console.log(`Heightmap saved to ${outputPath}`);
+      const { width, height } = erosionResult.heightField;
+      const { depositionMap, flowMap } = erosionResult;
+      
+      // Scale the signed change so the strongest change uses the full range
+      let maxChange = 0;
+      for (let i = 0; i < depositionMap.length; i++) {
+        maxChange = Math.max(maxChange, Math.abs(depositionMap[i]));
+      }
+      
+      const depositionImage = new Jimp(width, height);
+      const flowImage = new Jimp(width, height);
+      for (let i = 0; i < width * height; i++) {
+        const deposition = maxChange > 0 ? depositionMap[i] / maxChange : 0;
+        const depositionGray = Math.round(127.5 + deposition * 127.5);
+        const flowGray = Math.round(flowMap[i] * 255);
+        
+        depositionImage.bitmap.data.fill(depositionGray, i * 4, i * 4 + 3);
+        depositionImage.bitmap.data[i * 4 + 3] = 255;
+        flowImage.bitmap.data.fill(flowGray, i * 4, i * 4 + 3);
+        flowImage.bitmap.data[i * 4 + 3] = 255;
+      }
+      
+      const depositionPath = path.join(outputDir, 'erosion_deposition.png');
+      const flowPath = path.join(outputDir, 'flow_map.png');
+      await depositionImage.writeAsync(depositionPath);
+      await flowImage.writeAsync(flowPath);
+      
+      console.log(`Erosion-deposition map saved to ${depositionPath}`);
+      console.log(`Flow map saved to ${flowPath}`);
+      return { deposition: depositionPath, flow: flowPath };
     } catch (error) {
-      console.error('Error saving heightmap:', error);
+      console.error('Error saving erosion maps:', error);
       throw error;
     }
   }
@@ -0,0 +1,219 @@
+/**
+ * Heightmap Backends
+ * Turn topography data into a height field: local synthesis, an HTTP service or an existing image file
+ */
+
+const fetch = require('node-fetch');
+const { synthesizeTerrain } = require('./terrainSynthesizer');
+const { resampleHeightField } = require('./heightmapExporter');
+const { loadHeightMap, decodeImageHeightMap } = require('../utils/heightMapLoader');
+
+// Default settings for the HTTP backend
+const DEFAULT_SERVICE = {
+  url: null, // Service endpoint (defaults to the HEIGHTMAP_SERVICE_URL environment variable)
+  timeout: 30000, // Milliseconds before a request is aborted
+  retries: 3, // Additional attempts after a failed request
+  backoff: 500, // Delay before the first retry in milliseconds, doubled for every further retry
+  headers: {}, // Extra request headers (e.g. authorization)
+  fallback: true // Synthesize the terrain locally when the service cannot be used
+};
+
+// Smallest heightmap accepted from a service, in pixels per side
+const MIN_SERVICE_RESOLUTION = 2;
+
+/**
+ * Heightmap backends, keyed by name
+ * Each backend turns topography data into a height field with normalized
+ * heights (0-1).
+ */
+const heightmapBackends = {
+  procedural: {
+    description: 'Local synthesis from seeded noise',
+    generate: async (topographyData, options) => synthesizeTerrain(topographyData, options)
+  },
+  
+  http: {
+    description: 'Heightmap service over HTTP',
+    generate: async (topographyData, options) => {
+      const service = { ...DEFAULT_SERVICE, ...(options.heightmapService || {}) };
+      
+      try {
+        return await requestHeightmap(topographyData, service, options);
+      } catch (error) {
+        if (!service.fallback) {
+          throw error;
+        }
+        console.warn(`Heightmap service unavailable (${error.message}); falling back to procedural synthesis`);
+        return heightmapBackends.procedural.generate(topographyData, options);
+      }
+    }
+  },
+  
+  file: {
+    description: 'Existing heightmap image or raw file',
+    generate: async (topographyData, options) => {
+      if (!options.heightmapFile) {
+        throw new Error('The file heightmap backend needs a heightmapFile option');
+      }
+      return loadHeightMap(options.heightmapFile, options.heightMapDimensions || {});
+    }
+  }
+};
+
+/**
+ * Generate a height field with the configured backend
+ * @param {object} topographyData - Structured topography data
+ * @param {object} options - Heightmap options
+ * @param {string} [options.heightmapBackend='procedural'] - Backend name (procedural, http, file)
+ * @returns {Promise<object>} - Height field with normalized heights
+ */
+async function generateHeightField(topographyData, options = {}) {
+  const name = options.heightmapBackend || 'procedural';
+  const backend = heightmapBackends[name];
+  
+  if (!backend) {
+    throw new Error(`Unknown heightmap backend: ${name} (expected ${Object.keys(heightmapBackends).join(', ')})`);
+  }
+  
+  console.log(`Generating heightmap with the ${name} backend (${backend.description})`);
+  return backend.generate(topographyData, options);
+}
+
+/**
+ * Request a heightmap from an HTTP service, retrying with exponential backoff
+ * The topography data is POSTed as JSON and the service answers with a PNG
+ * (8- or 16-bit grayscale). Network errors, timeouts, 429 and 5xx responses
+ * are retried; other responses fail immediately.
+ * @param {object} topographyData - Structured topography data
+ * @param {object} service - Service settings (see DEFAULT_SERVICE)
+ * @param {object} options - Heightmap options (seed, resolution)
+ * @returns {Promise<object>} - Height field with normalized heights
+ */
+async function requestHeightmap(topographyData, service, options) {
+  const url = service.url || process.env.HEIGHTMAP_SERVICE_URL;
+  if (!url) {
+    throw new Error('No heightmap service URL configured (set heightmapService.url or HEIGHTMAP_SERVICE_URL)');
+  }
+  
+  const resolution = options.resolution || 1024;
+  const body = JSON.stringify({
+    prompt: topographyData.description,
+    topography: topographyData,
+    seed: options.seed,
+    resolution
+  });
+  
+  let lastError;
+  for (let attempt = 0; attempt <= service.retries; attempt++) {
+    if (attempt > 0) {
+      const delay = service.backoff * Math.pow(2, attempt - 1);
+      console.log(`Retrying heightmap request in ${delay} ms (attempt ${attempt + 1} of ${service.retries + 1})`);
+      await sleep(delay);
+    }
+    
+    try {
+      const buffer = await postWithTimeout(url, body, service);
+      const heightField = await validateHeightmapResponse(buffer);
+      
+      // Services may answer at their own resolution
+      if (heightField.width !== resolution || heightField.height !== resolution) {
+        console.log(`Resampling ${heightField.width}x${heightField.height} service heightmap to ${resolution}x${resolution}`);
+        return resampleHeightField(heightField, resolution, resolution);
+      }
+      return heightField;
+    } catch (error) {
+      lastError = error;
+      console.warn(`Heightmap request failed: ${error.message}`);
+      if (!error.retryable) {
+        break;
+      }
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * POST a JSON body and read the response, aborting after the service timeout
+ * @param {string} url - Service endpoint
+ * @param {string} body - JSON request body
+ * @param {object} service - Service settings
+ * @returns {Promise<Buffer>} - Response body
+ */
+async function postWithTimeout(url, body, service) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), service.timeout);
+  
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'image/png', ...service.headers },
+      body,
+      signal: controller.signal
+    });
+    
+    if (!response.ok) {
+      const error = new Error(`Service responded with status: ${response.status}`);
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.startsWith('image/') && !contentType.startsWith('application/octet-stream')) {
+      throw new Error(`Service responded with ${contentType || 'no content type'} instead of an image`);
+    }
+    
+    return await response.buffer();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`Request timed out after ${service.timeout} ms`);
+      timeoutError.retryable = true;
+      throw timeoutError;
+    }
+    if (error.retryable === undefined && error.type === 'system') {
+      // Connection refused, DNS failure and other network errors
+      error.retryable = true;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Decode and check a heightmap returned by a service
+ * @param {Buffer} buffer - Response body
+ * @returns {Promise<object>} - Height field with normalized heights
+ */
+async function validateHeightmapResponse(buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw new Error('Service returned an empty heightmap');
+  }
+  
+  let heightField;
+  try {
+    heightField = await decodeImageHeightMap(buffer);
+  } catch (error) {
+    throw new Error(`Service returned an unreadable heightmap: ${error.message}`);
+  }
+  
+  if (heightField.width < MIN_SERVICE_RESOLUTION || heightField.height < MIN_SERVICE_RESOLUTION) {
+    throw new Error(`Service returned a ${heightField.width}x${heightField.height} heightmap`);
+  }
+  
+  return heightField;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} milliseconds - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+module.exports = {
+  heightmapBackends,
+  generateHeightField
+};
@@ -0,0 +1,247 @@
+/**
+ * Heightmap Exporter
+ * Writes height fields in engine-ready formats (16-bit PNG, RAW, PFM, ESRI ASCII grid)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { createHeightField } = require('../utils/heightMapLoader');
+const { getTerrainScale, getMetersPerPixel } = require('../utils/terrainMetrics');
+
+/**
+ * Writers per export format
+ * Each writer names its file for a given export size and encodes a height
+ * field (plus the terrain scale) into the file contents.
+ */
+const exportFormats = {
+  png16: {
+    fileName: size => `heightmap_${size}_16bit.png`,
+    description: '16-bit grayscale PNG',
+    encode: heightField => encodePNG16(heightField)
+  },
+  r16: {
+    fileName: size => `heightmap_${size}.r16`,
+    description: 'Raw 16-bit little-endian (Unreal)',
+    encode: heightField => encodeRaw16(heightField)
+  },
+  raw: {
+    fileName: size => `heightmap_${size}.raw`,
+    description: 'Raw 16-bit little-endian (Unity)',
+    encode: heightField => encodeRaw16(heightField)
+  },
+  pfm: {
+    fileName: size => `heightmap_${size}.pfm`,
+    description: '32-bit float Portable Float Map',
+    encode: heightField => encodePFM(heightField)
+  },
+  asc: {
+    fileName: size => `heightmap_${size}.asc`,
+    description: 'ESRI ASCII grid (heights in meters)',
+    encode: (heightField, terrainScale) => encodeASCIIGrid(heightField, terrainScale)
+  }
+};
+
+/**
+ * Export a height field in the requested formats
+ * Each export is resampled to the export size and written next to a JSON
+ * sidecar that records its dimensions and height scale in meters.
+ * @param {object} heightField - Height field ({ width, height, data }) with normalized heights
+ * @param {string} outputDir - Directory to write the exports to
+ * @param {object} options - Export options
+ * @param {string[]} options.exports - Formats to write (png16, r16, raw, pfm, asc)
+ * @param {number} [options.exportSize] - Export width/height in pixels (defaults to the next 2^n+1 size)
+ * @param {number} [options.worldSize] - Map width in meters
+ * @param {number} [options.heightScale] - Meters per normalized height unit
+ * @returns {Promise<object>} - Paths to the exported files, keyed by format
+ */
+async function exportHeightmap(heightField, outputDir, options = {}) {
+  const formats = options.exports || [];
+  const terrainScale = getTerrainScale(options);
+  const size = options.exportSize || getEngineSize(Math.max(heightField.width, heightField.height));
+  
+  if (!isEngineSize(size)) {
+    console.warn(`Export size ${size} is not a 2^n+1 size; engines such as Unity and Unreal expect e.g. 1025, 2049 or 4097`);
+  }
+  
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  
+  const resampled = resampleHeightField(heightField, size, size);
+  const exportPaths = {};
+  
+  for (const format of formats) {
+    const writer = exportFormats[format];
+    if (!writer) {
+      console.warn(`Unknown heightmap export format: ${format}`);
+      continue;
+    }
+    
+    const outputPath = path.join(outputDir, writer.fileName(size));
+    await fs.promises.writeFile(outputPath, writer.encode(resampled, terrainScale));
+    
+    const sidecar = {
+      format,
+      description: writer.description,
+      width: size,
+      height: size,
+      heightScale: terrainScale.heightScale,
+      worldSize: terrainScale.worldSize,
+      metersPerPixel: getMetersPerPixel(size, terrainScale),
+      // Formats other than the ASCII grid store normalized heights (0-1)
+      heightUnits: format === 'asc' ? 'meters' : 'normalized'
+    };
+    await fs.promises.writeFile(`${outputPath}.json`, JSON.stringify(sidecar, null, 2));
+    
+    exportPaths[format] = outputPath;
+    console.log(`Heightmap exported as ${writer.description} to ${outputPath}`);
+  }
+  
+  return exportPaths;
+}
+
+/**
+ * Encode a height field as a 16-bit grayscale PNG
+ * @param {object} heightField - Height field with normalized heights
+ * @returns {Buffer} - PNG file contents
+ */
+function encodePNG16(heightField) {
+  const { width, height, data } = heightField;
+  const png = new PNG({ width, height, bitDepth: 16, colorType: 0, inputColorType: 0, inputHasAlpha: false });
+  png.data = new Uint16Array(width * height);
+  
+  for (let i = 0; i < width * height; i++) {
+    png.data[i] = toUInt16(data[i]);
+  }
+  
+  return PNG.sync.write(png, { bitDepth: 16, colorType: 0, inputColorType: 0, inputHasAlpha: false });
+}
+
+/**
+ * Encode a height field as raw unsigned 16-bit little-endian samples
+ * @param {object} heightField - Height field with normalized heights
+ * @returns {Buffer} - Raw file contents
+ */
+function encodeRaw16(heightField) {
+  const { width, height, data } = heightField;
+  const buffer = Buffer.alloc(width * height * 2);
+  
+  for (let i = 0; i < width * height; i++) {
+    buffer.writeUInt16LE(toUInt16(data[i]), i * 2);
+  }
+  
+  return buffer;
+}
+
+/**
+ * Encode a height field as a grayscale Portable Float Map
+ * PFM stores rows bottom to top; a negative scale marks little-endian data.
+ * @param {object} heightField - Height field with normalized heights
+ * @returns {Buffer} - PFM file contents
+ */
+function encodePFM(heightField) {
+  const { width, height, data } = heightField;
+  const header = Buffer.from(`Pf\n${width} ${height}\n-1.0\n`, 'ascii');
+  const body = Buffer.alloc(width * height * 4);
+  
+  for (let y = 0; y < height; y++) {
+    const sourceRow = height - 1 - y;
+    for (let x = 0; x < width; x++) {
+      body.writeFloatLE(data[sourceRow * width + x], (y * width + x) * 4);
+    }
+  }
+  
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Encode a height field as an ESRI ASCII grid with heights in meters
+ * @param {object} heightField - Height field with normalized heights
+ * @param {object} terrainScale - Terrain scale ({ worldSize, heightScale })
+ * @returns {Buffer} - ASCII grid file contents
+ */
+function encodeASCIIGrid(heightField, terrainScale) {
+  const { width, height, data } = heightField;
+  const lines = [
+    `ncols ${width}`,
+    `nrows ${height}`,
+    'xllcorner 0',
+    'yllcorner 0',
+    `cellsize ${getMetersPerPixel(width, terrainScale)}`,
+    'NODATA_value -9999'
+  ];
+  
+  // Rows are listed from north (top of the image) to south
+  for (let y = 0; y < height; y++) {
+    const row = [];
+    for (let x = 0; x < width; x++) {
+      row.push((data[y * width + x] * terrainScale.heightScale).toFixed(3));
+    }
+    lines.push(row.join(' '));
+  }
+  
+  return Buffer.from(lines.join('\n') + '\n', 'ascii');
+}
+
+/**
+ * Resample a height field to new dimensions with bilinear interpolation
+ * Corner pixels map onto corner pixels, matching how engines lay out 2^n+1 grids.
+ * @param {object} heightField - Source height field
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @returns {object} - Resampled height field
+ */
+function resampleHeightField(heightField, width, height) {
+  if (heightField.width === width && heightField.height === height) {
+    return heightField;
+  }
+  
+  const data = new Float32Array(width * height);
+  const scaleX = (heightField.width - 1) / Math.max(1, width - 1);
+  const scaleY = (heightField.height - 1) / Math.max(1, height - 1);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // getHeight samples pixel centers, hence the half-pixel offset
+      data[y * width + x] = heightField.getHeight(x * scaleX + 0.5, y * scaleY + 0.5);
+    }
+  }
+  
+  return createHeightField(width, height, data);
+}
+
+/**
+ * Get the smallest 2^n+1 size that holds a map of the given size
+ * @param {number} size - Map size in pixels
+ * @returns {number} - Engine-friendly size (e.g. 1025 for 1024)
+ */
+function getEngineSize(size) {
+  return Math.pow(2, Math.ceil(Math.log2(Math.max(2, size - 1)))) + 1;
+}
+
+/**
+ * Check whether a size follows the 2^n+1 engine convention
+ * @param {number} size - Size in pixels
+ * @returns {boolean} - True for sizes such as 513, 1025, 2049 or 4097
+ */
+function isEngineSize(size) {
+  return size > 2 && getEngineSize(size) === size;
+}
+
+/**
+ * Quantize a normalized height to an unsigned 16-bit value
+ * @param {number} value - Normalized height
+ * @returns {number} - Value in 0-65535
+ */
+function toUInt16(value) {
+  return Math.round(Math.max(0, Math.min(1, value)) * 65535);
+}
+
+module.exports = {
+  exportFormats,
+  exportHeightmap,
+  encodePNG16,
+  resampleHeightField,
+  getEngineSize
+};
@@ -0,0 +1,235 @@
+/**
+ * Linear Features
+ * Carves polyline features (rivers, canyons, roads) into a synthesized height field
+ */
+
+const { smoothstep } = require('../utils/math');
+const { createHeightField } = require('../utils/heightMapLoader');
+
+// Half the channel width in map widths per unit of the feature's `width`
+const WIDTH_SCALE = 0.05;
+
+// Channel depth in normalized height per unit of the feature's `depth`
+const DEPTH_SCALE = 0.1;
+
+// How far the banks reach, in multiples of the channel half-width
+const BANK_REACH = 3;
+
+/**
+ * Carvers per linear feature type
+ * Each carver turns the terrain profile sampled along the path into the
+ * height of the channel floor at every path point.
+ */
+const linearFeatureCarvers = {
+  river: {
+    // Water never flows uphill: the bed may only descend from source to mouth
+    profile: (terrainProfile, depth) => {
+      const bed = new Float32Array(terrainProfile.length);
+      let level = Infinity;
+      
+      for (let i = 0; i < terrainProfile.length; i++) {
+        level = Math.min(level, terrainProfile[i] - depth);
+        bed[i] = Math.max(0, level);
+      }
+      
+      return bed;
+    },
+    cut: (height, floor, depth, distance, halfWidth) => {
+      // U-shaped channel that only ever lowers the terrain
+      const target = distance < halfWidth
+        ? floor + depth * Math.pow(distance / halfWidth, 2)
+        : floor + depth + (height - floor - depth) * smoothstep(halfWidth, halfWidth * BANK_REACH, distance);
+      return Math.min(height, target);
+    }
+  },
+  
+  canyon: {
+    // Canyons are cut by rivers, so their floor descends like a river bed
+    profile: (terrainProfile, depth) => linearFeatureCarvers.river.profile(terrainProfile, depth),
+    cut: (height, floor, depth, distance, halfWidth) => {
+      // Flat floor between near-vertical walls
+      const target = floor + (height - floor) * smoothstep(halfWidth, halfWidth * 1.6, distance);
+      return Math.min(height, target);
+    }
+  },
+  
+  road: {
+    // Roads follow a smoothed version of the terrain they cross
+    profile: terrainProfile => movingAverage(terrainProfile, 15),
+    cut: (height, floor, depth, distance, halfWidth) => {
+      // Level road bed that both cuts and fills, blending back into the terrain
+      if (distance < halfWidth) {
+        return floor;
+      }
+      return floor + (height - floor) * smoothstep(halfWidth, halfWidth * BANK_REACH, distance);
+    }
+  }
+};
+
+/**
+ * Carve all linear features into a height field
+ * @param {Float32Array} data - Heights, modified in place
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {object[]} features - Topography features; those with a `path` are carved
+ */
+function carveLinearFeatures(data, width, height, features) {
+  for (const feature of features) {
+    if (!feature.path) {
+      continue;
+    }
+    
+    const carver = linearFeatureCarvers[feature.type];
+    if (!carver) {
+      console.warn(`No carver for linear feature type: ${feature.type}`);
+      continue;
+    }
+    
+    carvePath(data, width, height, feature, carver);
+  }
+}
+
+/**
+ * Carve one polyline feature into a height field
+ * @param {Float32Array} data - Heights, modified in place
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {object} feature - Linear feature with `path`, `width` and `depth`
+ * @param {object} carver - Carver for the feature type
+ */
+function carvePath(data, width, height, feature, carver) {
+  const points = toPixelPath(feature, width, height);
+  const halfWidth = getChannelHalfWidth(feature, width);
+  const depth = (feature.depth || 0) * DEPTH_SCALE;
+  const reach = halfWidth * BANK_REACH;
+  
+  // Channel floor at every path point
+  const terrain = createHeightField(width, height, data);
+  const terrainProfile = points.map(point => terrain.getHeight(point.x, point.y));
+  const floorProfile = carver.profile(Float32Array.from(terrainProfile), depth);
+  
+  const { distances, floors } = measurePath(points, width, height, reach, floorProfile);
+  
+  for (let i = 0; i < data.length; i++) {
+    if (distances[i] < reach) {
+      data[i] = Math.max(0, carver.cut(data[i], floors[i], depth, distances[i], halfWidth));
+    }
+  }
+}
+
+/**
+ * Mark the pixels inside a linear feature's channel
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {object} feature - Linear feature with `path` and `width`
+ * @returns {Uint8Array} - 1 inside the channel, 0 elsewhere
+ */
+function rasterizeChannel(width, height, feature) {
+  const halfWidth = getChannelHalfWidth(feature, width);
+  const { distances } = measurePath(toPixelPath(feature, width, height), width, height, halfWidth);
+  const channel = new Uint8Array(width * height);
+  
+  for (let i = 0; i < channel.length; i++) {
+    channel[i] = distances[i] < halfWidth ? 1 : 0;
+  }
+  
+  return channel;
+}
+
+/**
+ * Convert a feature's normalized path to pixel coordinates
+ * @param {object} feature - Linear feature with `path`
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {object[]} - Path points in pixels ({ x, y })
+ */
+function toPixelPath(feature, width, height) {
+  return feature.path.map(point => ({ x: point.x * width, y: point.y * height }));
+}
+
+/**
+ * Get the half-width of a linear feature's channel in pixels
+ * @param {object} feature - Linear feature with `width`
+ * @param {number} width - Map width in pixels
+ * @returns {number} - Half-width in pixels
+ */
+function getChannelHalfWidth(feature, width) {
+  return Math.max(1, (feature.width || 0) * WIDTH_SCALE * width);
+}
+
+/**
+ * Measure the nearest distance to a path for every pixel within reach
+ * @param {object[]} points - Path points in pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} reach - Largest distance measured, in pixels
+ * @param {Float32Array} [profile] - Values along the path, interpolated at the nearest point
+ * @returns {object} - Distances (Infinity out of reach) and interpolated profile values ({ distances, floors })
+ */
+function measurePath(points, width, height, reach, profile) {
+  const distances = new Float32Array(width * height).fill(Infinity);
+  const floors = new Float32Array(width * height);
+  
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const segmentX = b.x - a.x;
+    const segmentY = b.y - a.y;
+    const lengthSquared = segmentX * segmentX + segmentY * segmentY || 1;
+    
+    const minX = Math.max(0, Math.floor(Math.min(a.x, b.x) - reach));
+    const maxX = Math.min(width - 1, Math.ceil(Math.max(a.x, b.x) + reach));
+    const minY = Math.max(0, Math.floor(Math.min(a.y, b.y) - reach));
+    const maxY = Math.min(height - 1, Math.ceil(Math.max(a.y, b.y) + reach));
+    
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const px = x + 0.5;
+        const py = y + 0.5;
+        const t = Math.max(0, Math.min(1, ((px - a.x) * segmentX + (py - a.y) * segmentY) / lengthSquared));
+        const dx = px - (a.x + segmentX * t);
+        const dy = py - (a.y + segmentY * t);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const index = y * width + x;
+        
+        if (distance < distances[index]) {
+          distances[index] = distance;
+          if (profile) {
+            floors[index] = profile[i] + (profile[i + 1] - profile[i]) * t;
+          }
+        }
+      }
+    }
+  }
+  
+  return { distances, floors };
+}
+
+/**
+ * Smooth a profile with a centered moving average
+ * @param {Float32Array} values - Profile values
+ * @param {number} windowSize - Number of samples averaged
+ * @returns {Float32Array} - Smoothed profile
+ */
+function movingAverage(values, windowSize) {
+  const half = Math.floor(windowSize / 2);
+  const result = new Float32Array(values.length);
+  
+  for (let i = 0; i < values.length; i++) {
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - half); j <= Math.min(values.length - 1, i + half); j++) {
+      sum += values[j];
+      count++;
+    }
+    result[i] = sum / count;
+  }
+  
+  return result;
+}
+
+module.exports = {
+  carveLinearFeatures,
+  rasterizeChannel,
+  linearFeatureCarvers
+};
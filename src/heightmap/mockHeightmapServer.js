@@ -0,0 +1,108 @@
+/**
+ * Mock Heightmap Server
+ * Local stand-in for a heightmap service, for exercising the HTTP backend offline
+ *
+ * Run with `npm run mock-heightmap-server` and generate with
+ * `{ heightmapBackend: 'http', heightmapService: { url: 'http://localhost:8787/heightmap' } }`.
+ */
+
+const http = require('http');
+const { synthesizeTerrain } = require('./terrainSynthesizer');
+const { encodePNG16 } = require('./heightmapExporter');
+
+// Default port of the mock server
+const DEFAULT_PORT = 8787;
+
+// Largest heightmap the mock server will synthesize, in pixels per side
+const MAX_RESOLUTION = 4096;
+
+/**
+ * Create a mock heightmap server
+ * POST /heightmap with `{ topography, seed, resolution }` answers with a
+ * 16-bit grayscale PNG synthesized from the topography data. The failure
+ * options make the server misbehave so retries and fallbacks can be tested.
+ * @param {object} options - Server options
+ * @param {number} [options.delay=0] - Milliseconds to wait before answering
+ * @param {number} [options.failures=0] - Number of requests answered with a 503 before succeeding
+ * @returns {http.Server} - Server, not yet listening
+ */
+function createMockHeightmapServer(options = {}) {
+  const delay = options.delay || 0;
+  let failuresLeft = options.failures || 0;
+  
+  return http.createServer((request, response) => {
+    if (request.method !== 'POST' || request.url !== '/heightmap') {
+      sendError(response, 404, 'Not found; POST topography JSON to /heightmap');
+      return;
+    }
+    
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      setTimeout(() => {
+        if (failuresLeft > 0) {
+          failuresLeft--;
+          sendError(response, 503, 'Simulated service outage');
+          return;
+        }
+        
+        let payload;
+        try {
+          payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+          sendError(response, 400, `Invalid JSON: ${error.message}`);
+          return;
+        }
+        
+        const { topography, seed, resolution = 1024 } = payload;
+        if (!topography || !Array.isArray(topography.features)) {
+          sendError(response, 400, 'Request needs topography data with a features array');
+          return;
+        }
+        if (!Number.isInteger(resolution) || resolution < 2 || resolution > MAX_RESOLUTION) {
+          sendError(response, 400, `Resolution must be an integer between 2 and ${MAX_RESOLUTION}`);
+          return;
+        }
+        
+        console.log(`Mock heightmap server: synthesizing ${resolution}x${resolution} heightmap`);
+        let heightField;
+        try {
+          heightField = synthesizeTerrain(topography, { seed, resolution });
+        } catch (error) {
+          sendError(response, 400, `Invalid topography: ${error.message}`);
+          return;
+        }
+        response.writeHead(200, { 'Content-Type': 'image/png' });
+        response.end(encodePNG16(heightField));
+      }, delay);
+    });
+  });
+}
+
+/**
+ * Answer a request with a JSON error
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ */
+function sendError(response, status, message) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify({ error: message }));
+}
+
+// Run as a standalone server: node src/heightmap/mockHeightmapServer.js [port]
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_HEIGHTMAP_PORT, 10) || DEFAULT_PORT;
+  const server = createMockHeightmapServer({
+    delay: parseInt(process.env.MOCK_HEIGHTMAP_DELAY, 10) || 0,
+    failures: parseInt(process.env.MOCK_HEIGHTMAP_FAILURES, 10) || 0
+  });
+  
+  server.listen(port, () => {
+    console.log(`Mock heightmap server listening on http://localhost:${port}/heightmap`);
+  });
+}
+
+module.exports = {
+  createMockHeightmapServer
+};
@@ -0,0 +1,354 @@
+/**
+ * Phrase Parser
+ * Splits landscape prompts into phrases and links each topography feature to its own location clause
+ */
+
+const { featureLibrary, linearFeatureLibrary } = require('./featureLibrary');
+
+// Compass directions, with "northern", "north-east" and "central" style variants
+const DIRECTION_PATTERN = /\b(?:(north|south)[- ]?(east|west)|(north|south|east|west))(?:ern)?\b|\b(center|centre|central|middle)\b/g;
+
+// "along the western edge", "at the northern border"
+const EDGE_PATTERN = /\b(?:along|at|on)\s+(?:the\s+)?(north|south|east|west)(?:ern)?\s+(?:edge|border|side|boundary)\b/;
+
+// Words that turn the keyword following them into a reference to another feature
+const RELATION_PATTERNS = [
+  { type: 'between', pattern: /\bbetween\s+(?:\S+\s+){0,2}$|&\s+(?:\S+\s+){0,2}$/ },
+  { type: 'surroundedBy', pattern: /\b(?:surrounded|encircled|ringed)\s+by\s+(?:\S+\s+){0,2}$/ },
+  { type: 'surrounding', pattern: /\b(?:surrounding|around|encircling|ringing)\s+(?:\S+\s+){0,2}$/ },
+  { type: 'inside', pattern: /\b(?:inside|within|in the middle of)\s+(?:\S+\s+){0,2}$/ },
+  { type: 'near', pattern: /\b(?:near|beside|next to|close to|alongside|overlooking)\s+(?:\S+\s+){0,2}$/ },
+  { type: 'into', pattern: /\b(?:into|towards)\s+(?:\S+\s+){0,2}$/ }
+];
+
+// "in the east and west": a list of directions for one feature, as long as
+// the last direction ends the list rather than describing the next noun
+// ("the north and southern hills")
+const DIRECTION_LIST_PATTERN = /\b((?:north|south)[- ]?(?:east|west)|north|south|east|west)(ern)?\s+and\s+(?:in\s+)?(?:the\s+)?(?=(?:(?:north|south)[- ]?(?:east|west)|north|south|east|west)(?:ern)?\b\s*(?:$|[,;.]|(?:with|and|while|but|of|sides?|edges?|parts?|ends?)\b))/g;
+
+// A relation to the feature mentioned before ("hills around it", "a valley between them")
+const PRONOUN_RELATIONS = [
+  { type: 'between', pattern: /\bbetween\s+(?:them|the two|both)\b/ },
+  { type: 'surrounding', pattern: /\b(?:surrounding|around|encircling|ringing)\s+(?:it|them)\b/ },
+  { type: 'inside', pattern: /\b(?:inside|within|in the middle of)\s+(?:it|them)\b/ },
+  { type: 'near', pattern: /\b(?:near|beside|next to|close to|alongside|overlooking)\s+(?:it|them)\b/ },
+  { type: 'into', pattern: /\b(?:into|towards)\s+(?:it|them)\b/ }
+];
+
+// Phrases that only add another location to the previous feature ("one east", "the south")
+const CONTINUATION_PATTERN = /^\s*(?:(?:one|another|the other|a second)\b|(?:in\s+|to\s+)?(?:the\s+)?\S+\s*$)/;
+
+// Number words that ask for several instances of a feature
+const COUNT_WORDS = {
+  a: 1, an: 1, one: 1, single: 1,
+  two: 2, twin: 2, 'a pair of': 2, both: 2,
+  three: 3, 'a few': 3, several: 3,
+  four: 4, five: 5, many: 5
+};
+
+// Radius multipliers for size words
+const SIZE_WORDS = {
+  tiny: 0.4,
+  small: 0.6,
+  little: 0.6,
+  narrow: 0.7,
+  large: 1.4,
+  big: 1.4,
+  wide: 1.4,
+  broad: 1.4,
+  huge: 1.8,
+  vast: 1.8,
+  massive: 1.8,
+  enormous: 1.8
+};
+
+/**
+ * Parse the topography features in a prompt, phrase by phrase
+ * The prompt is split into phrases at punctuation and conjunctions. Each
+ * feature keyword starts a segment that runs to the next feature keyword, and
+ * the directions, counts and sizes inside a segment belong to that feature.
+ * A feature referred to inside the segment ("a river flowing into the lake
+ * in the east") takes the directions that follow it, up to the next keyword.
+ * Direction lists ("mountains in the east and west") give one instance per
+ * direction, and phrases without a feature keyword ("two mountain ranges,
+ * one east and one west") add their directions to the feature before them.
+ * "It" and "them" after a relation word refer to the feature before
+ * ("a lake in the east with hills around it").
+ * @param {string} prompt - Text prompt describing the landscape
+ * @returns {object[]} - Feature specs ({ kind, type, definition, count, directions, edge, sizeScale, relation, text })
+ */
+function parseFeaturePhrases(prompt) {
+  // Keep "between X and Y" and direction lists in one phrase
+  const text = prompt.toLowerCase()
+    .replace(/\bbetween\b([^,;.]*?)\band\b/g, 'between$1&')
+    .replace(DIRECTION_LIST_PATTERN, '$1$2 & ');
+  const phrases = text.split(/[,;.]|\band\b|\bwhile\b|\bbut\b/);
+  const specs = [];
+  const references = [];
+  
+  for (const phrase of phrases) {
+    const matches = findFeatureKeywords(phrase);
+    
+    if (matches.length === 0) {
+      // Continuation of the previous feature ("one east and one west")
+      const previous = specs[specs.length - 1];
+      const directions = extractDirections(phrase);
+      if (previous && directions.length > 0 &&
+          (CONTINUATION_PATTERN.test(phrase) || previous.directions.length === 0)) {
+        previous.directions.push(...directions);
+        previous.count = Math.max(previous.count, previous.directions.length);
+      }
+      continue;
+    }
+    
+    let subject = null;
+    
+    for (let i = 0; i < matches.length; i++) {
+      const match = matches[i];
+      const before = phrase.slice(i === 0 ? 0 : matches[i - 1].end, match.start);
+      const relation = RELATION_PATTERNS.find(candidate => candidate.pattern.test(before));
+      
+      if (relation && subject) {
+        // A reference to another feature ("hills surrounding the lake")
+        if (relation.type === 'surroundedBy') {
+          // "A lake surrounded by hills in the north": the hills surround the
+          // lake and follow it, so the location stays with the lake
+          references.push({ match, lead: before, scope: match.keyword, relation: { type: 'surrounding', targets: [subject.type] } });
+        } else {
+          subject.relation = subject.relation || { type: relation.type, targets: [] };
+          subject.relation.targets.push(match.type);
+          references.push({ match, lead: before, scope: findReferenceScope(phrase, matches, i), relation: null });
+        }
+        continue;
+      }
+      
+      if (subject && match.type === subject.type) {
+        // Another keyword for the same feature ("volcanic crater")
+        continue;
+      }
+      
+      // A new feature: its segment runs to the next new feature
+      const end = findSegmentEnd(phrase, matches, i);
+      const segment = removeReferenceScopes(phrase, matches, i, subject ? match.start : 0, end);
+      subject = createSpec(match, segment, before);
+      
+      // "With a valley between them" refers back to the previous feature
+      const previous = specs[specs.length - 1];
+      const pronoun = PRONOUN_RELATIONS.find(candidate => candidate.pattern.test(segment));
+      if (previous && pronoun) {
+        subject.relation = { type: pronoun.type, targets: [previous.type] };
+      }
+      
+      specs.push(subject);
+    }
+  }
+  
+  // Referenced features that are never described on their own still exist
+  for (const { match, lead, scope, relation } of references) {
+    const described = specs.find(spec => spec.type === match.type && !spec.referenced);
+    if (described) {
+      if (relation && !described.relation) {
+        described.relation = relation;
+      }
+      if (described.directions.length === 0) {
+        described.directions = extractDirections(scope);
+      }
+      continue;
+    }
+    
+    const spec = createSpec(match, scope, lead);
+    spec.relation = relation;
+    spec.referenced = true;
+    specs.push(spec);
+  }
+  
+  return specs;
+}
+
+/**
+ * Find all feature keywords in a phrase, in order of appearance
+ * @param {string} phrase - Lowercase phrase
+ * @returns {object[]} - Matches ({ kind, type, definition, keyword, start, end })
+ */
+function findFeatureKeywords(phrase) {
+  const matches = [];
+  const candidates = [
+    ...Object.entries(featureLibrary).map(([type, definition]) => ({ kind: 'area', type, definition })),
+    ...linearFeatureLibrary.map(definition => ({ kind: 'linear', type: definition.type, definition }))
+  ];
+  
+  for (const candidate of candidates) {
+    for (const keyword of candidate.definition.keywords) {
+      const pattern = new RegExp(`\\b${keyword}\\w*`, 'g');
+      let match;
+      while ((match = pattern.exec(phrase)) !== null) {
+        matches.push({ ...candidate, keyword, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+  
+  // Drop matches that overlap an earlier, longer one
+  return matches
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .filter((match, index, sorted) => index === 0 || match.start >= sorted[index - 1].end);
+}
+
+/**
+ * Find where the segment of a feature keyword ends
+ * The segment runs to the next keyword that starts a different feature.
+ * @param {string} phrase - Lowercase phrase
+ * @param {object[]} matches - Keyword matches in the phrase
+ * @param {number} index - Index of the keyword starting the segment
+ * @returns {number} - End offset of the segment in the phrase
+ */
+function findSegmentEnd(phrase, matches, index) {
+  for (let i = index + 1; i < matches.length; i++) {
+    const before = phrase.slice(matches[i - 1].end, matches[i].start);
+    const isReference = RELATION_PATTERNS.some(candidate => candidate.pattern.test(before));
+    if (!isReference && matches[i].type !== matches[index].type) {
+      return matches[i].start;
+    }
+  }
+  return phrase.length;
+}
+
+/**
+ * Find the words describing a referenced feature
+ * They run from its keyword to the next keyword of the phrase ("the lake in
+ * the east" in "a river flowing into the lake in the east").
+ * @param {string} phrase - Lowercase phrase
+ * @param {object[]} matches - Keyword matches in the phrase
+ * @param {number} index - Index of the referenced keyword
+ * @returns {string} - Text belonging to the referenced feature
+ */
+function findReferenceScope(phrase, matches, index) {
+  const end = index + 1 < matches.length ? matches[index + 1].start : phrase.length;
+  return phrase.slice(matches[index].start, end);
+}
+
+/**
+ * Get a feature's segment without the words of the features it refers to
+ * The words are blanked out, so "a river flowing into the lake in the east"
+ * leaves the river without a direction of its own.
+ * @param {string} phrase - Lowercase phrase
+ * @param {object[]} matches - Keyword matches in the phrase
+ * @param {number} index - Index of the keyword starting the segment
+ * @param {number} start - Start offset of the segment in the phrase
+ * @param {number} end - End offset of the segment in the phrase
+ * @returns {string} - The feature's own text
+ */
+function removeReferenceScopes(phrase, matches, index, start, end) {
+  let text = phrase.slice(start, end);
+  
+  for (let i = index + 1; i < matches.length && matches[i].start < end; i++) {
+    const before = phrase.slice(matches[i - 1].end, matches[i].start);
+    const relation = RELATION_PATTERNS.find(candidate => candidate.pattern.test(before));
+    if (relation && relation.type !== 'surroundedBy') {
+      const scopeStart = matches[i].start - start;
+      const scopeEnd = Math.min(end, i + 1 < matches.length ? matches[i + 1].start : end) - start;
+      text = text.slice(0, scopeStart) + ' '.repeat(scopeEnd - scopeStart) + text.slice(scopeEnd);
+    }
+  }
+  
+  return text;
+}
+
+/**
+ * Create a feature spec from a keyword match and its segment
+ * @param {object} match - Keyword match
+ * @param {string} segment - Text belonging to the feature
+ * @param {string} lead - Text just before the keyword (count and size words)
+ * @returns {object} - Feature spec
+ */
+function createSpec(match, segment, lead) {
+  const edge = segment.match(EDGE_PATTERN);
+  const areaMatch = segment.match(/(\d+(?:\.\d+)?)\s*(?:%|percent)/);
+  
+  const spec = {
+    kind: match.kind,
+    type: match.type,
+    definition: match.definition,
+    count: extractCount(lead),
+    directions: extractDirections(segment),
+    edge: edge ? edge[1] : null,
+    // Fraction of the map area, when given as a percentage
+    area: areaMatch ? Math.min(100, parseFloat(areaMatch[1])) / 100 : null,
+    sizeScale: extractSizeScale(lead),
+    relation: null,
+    text: segment
+  };
+  
+  applyDirectionList(spec, segment);
+  return spec;
+}
+
+/**
+ * Give a feature one instance per direction of a direction list
+ * "Mountains in the east and west" asks for two mountains; a count that is
+ * already given ("two mountains in the east and west") is kept.
+ * @param {object} spec - Feature spec, modified in place
+ * @param {string} segment - Text belonging to the feature
+ */
+function applyDirectionList(spec, segment) {
+  if (/\b(?:north|south|east|west)(?:ern)?\s+&\s+(?:north|south|east|west)/.test(segment)) {
+    spec.count = Math.max(spec.count, spec.directions.length);
+  }
+}
+
+/**
+ * Extract the compass directions named in a text, in order
+ * Directions in a "from X to Y" flow phrase are included; linear features
+ * read their flow separately.
+ * @param {string} text - Lowercase text
+ * @returns {string[]} - Directions (e.g. 'north', 'southwest', 'center')
+ */
+function extractDirections(text) {
+  const directions = [];
+  DIRECTION_PATTERN.lastIndex = 0;
+  let match;
+  
+  while ((match = DIRECTION_PATTERN.exec(text)) !== null) {
+    if (match[4]) {
+      // "in the middle of the lake" is a relation, not a direction
+      const rest = text.slice(match.index + match[0].length);
+      if (!/^\s+of\b/.test(rest) || /^\s+of\s+the\s+map\b/.test(rest)) {
+        directions.push('center');
+      }
+    } else {
+      directions.push(match[3] || match[1] + match[2]);
+    }
+  }
+  
+  return directions;
+}
+
+/**
+ * Extract how many instances of a feature are asked for
+ * @param {string} text - Text just before the feature keyword
+ * @returns {number} - Instance count (1 if none is given)
+ */
+function extractCount(text) {
+  const words = Object.keys(COUNT_WORDS).sort((a, b) => b.length - a.length).join('|');
+  const match = text.match(new RegExp(`\\b(${words}|\\d+)\\s+(?:\\S+\\s+){0,2}$`));
+  if (!match) {
+    return 1;
+  }
+  
+  const count = COUNT_WORDS[match[1]] || parseInt(match[1], 10) || 1;
+  return Math.min(count, 10);
+}
+
+/**
+ * Extract a radius multiplier from the size word in front of a feature
+ * @param {string} text - Text just before the feature keyword
+ * @returns {number} - Radius multiplier (1 if no size word is given)
+ */
+function extractSizeScale(text) {
+  const match = text.match(new RegExp(`\\b(${Object.keys(SIZE_WORDS).join('|')})\\s+(?:\\S+\\s+)?$`));
+  return match ? SIZE_WORDS[match[1]] : 1;
+}
+
+module.exports = {
+  parseFeaturePhrases,
+  extractDirections
+};
@@ -3,14 +3,54 @@
  * Converts text descriptions into structured topography data
  */
 
+const { deriveRandom, resolveSeed } = require('../utils/random');
+const { clamp } = require('../utils/math');
+const { SEA_LEVEL } = require('./featureLibrary');
+const { parseFeaturePhrases } = require('./phraseParser');
+
+// Feature types that raise the terrain above the base level
+const ELEVATED_TYPES = ['mountains', 'hills', 'plateau', 'cliffs', 'volcano'];
+
+// Feature centers for each direction
+const directionLocations = {
+  north: { x: 0.5, y: 0.1 },
+  south: { x: 0.5, y: 0.9 },
+  east: { x: 0.9, y: 0.5 },
+  west: { x: 0.1, y: 0.5 },
+  northeast: { x: 0.9, y: 0.1 },
+  northwest: { x: 0.1, y: 0.1 },
+  southeast: { x: 0.9, y: 0.9 },
+  southwest: { x: 0.1, y: 0.9 },
+  center: { x: 0.5, y: 0.5 }
+};
+
+// Distance from the anchor at which instances without their own direction are spread
+const SPREAD_DISTANCE = 0.25;
+
+// Points on the map edge for each direction, slightly outside the map so
+// linear features run off the edge instead of ending at it
+const edgePoints = {
+  north: { x: 0.5, y: -0.05 },
+  south: { x: 0.5, y: 1.05 },
+  east: { x: 1.05, y: 0.5 },
+  west: { x: -0.05, y: 0.5 },
+  northeast: { x: 1.05, y: -0.05 },
+  northwest: { x: -0.05, y: -0.05 },
+  southeast: { x: 1.05, y: 1.05 },
+  southwest: { x: -0.05, y: 1.05 }
+};
+
 /**
  * Process text prompt to extract topography features
  * @param {string} prompt - Text prompt describing the landscape
+ * @param {object} options - Mapping options
+ * @param {string|number} [options.seed] - Seed for the meandering of linear features
  * @returns {Promise<object>} - Structured topography data
  */
-async function processTopographyMapping(prompt) {
+async function processTopographyMapping(prompt, options = {}) {
   try {
     console.log('Processing topography mapping for prompt:', prompt);
+    const seed = resolveSeed(options.seed);
     
     // This is a placeholder implementation that would be replaced by NLP processing
     // In a real implementation, this would use a language model to extract topographic features
@@ -23,44 +63,29 @@ async function processTopographyMapping(prompt) {
     };
     
     // Simple keyword-based feature extraction - this would be more sophisticated in a real implementation
-    // Detect mountains
-    if (prompt.toLowerCase().includes('mountain')) {
-      topographyData.features.push({
-        type: 'mountains',
-        location: extractLocation(prompt, 'mountain'),
-        height: 0.8, // Normalized height value (0-1)
-        roughness: 0.7 // Normalized roughness value (0-1)
-      });
-    }
+    // Each feature is linked to the location clause of its own phrase
+    topographyData.features = placeFeatures(parseFeaturePhrases(prompt), seed);
     
-    // Detect hills
-    if (prompt.toLowerCase().includes('hill')) {
-      topographyData.features.push({
-        type: 'hills',
-        location: extractLocation(prompt, 'hill'),
-        height: 0.5,
-        roughness: 0.4
-      });
+    // A plateau with cliffs gets sheer edges instead of a separate cliff band
+    if (topographyData.features.some(f => f.type === 'plateau') && topographyData.features.some(f => f.type === 'cliffs')) {
+      topographyData.features = topographyData.features.filter(f => f.type !== 'cliffs');
+      for (const plateau of topographyData.features.filter(f => f.type === 'plateau')) {
+        plateau.falloff = 'cliff';
+      }
     }
     
-    // Detect flatlands
-    if (prompt.toLowerCase().includes('flat')) {
-      topographyData.features.push({
-        type: 'flatlands',
-        location: extractLocation(prompt, 'flat'),
-        height: 0.1,
-        roughness: 0.1
-      });
+    // Canyons need raised terrain to cut into
+    const hasCanyon = topographyData.features.some(f => f.type === 'canyon');
+    const hasElevation = topographyData.features.some(f => ELEVATED_TYPES.includes(f.type));
+    if (hasCanyon && !hasElevation) {
+      topographyData.baseType = 'highland';
     }
     
-    // Detect rivers
-    if (prompt.toLowerCase().includes('river')) {
-      topographyData.features.push({
-        type: 'river',
-        location: extractLocation(prompt, 'river'),
-        depth: 0.3, // Normalized depth value (0-1)
-        width: 0.2 // Normalized width value (0-1)
-      });
+    // Whole-map modes: islands and coastlines
+    const mapMode = extractMapMode(prompt);
+    if (mapMode) {
+      topographyData.mapMode = mapMode;
+      topographyData.seaLevel = SEA_LEVEL;
     }
     
     console.log('Extracted topography data:', topographyData);
@@ -72,46 +97,375 @@ async function processTopographyMapping(prompt) {
 }
 
 /**
- * Extract approximate location from the prompt text
- * @param {string} prompt - Text prompt
- * @param {string} feature - Feature to look for
- * @returns {object} - Approximate location data
+ * Place every instance of the parsed features on the map
+ * Features placed relative to others ("between", "surrounding") are placed
+ * last, once the features they refer to have a location.
+ * @param {object[]} specs - Feature specs from the phrase parser
+ * @param {string|number} seed - Seed for the layout and meandering
+ * @returns {object[]} - Topography features
+ */
+function placeFeatures(specs, seed) {
+  const features = [];
+  const ordered = [...specs.filter(spec => !spec.relation), ...specs.filter(spec => spec.relation)];
+  
+  for (const spec of ordered) {
+    const layoutRandom = deriveRandom(seed, 'topography', spec.type, 'layout', features.length);
+    const startAngle = layoutRandom() * Math.PI * 2;
+    
+    for (let index = 0; index < spec.count; index++) {
+      const location = locateInstance(spec, index, startAngle);
+      
+      if (spec.kind === 'linear') {
+        const count = features.filter(f => f.type === spec.type).length;
+        const random = deriveRandom(seed, 'topography', spec.type, count + 1);
+        features.push(createLinearFeature(spec, index, location, features, random));
+      } else {
+        features.push(createAreaFeature(spec, index, location, features));
+      }
+    }
+  }
+  
+  return features;
+}
+
+/**
+ * Find the location of one instance of a feature
+ * Instances take the directions of their phrase in order ("one east and one
+ * west"); instances without their own direction are spread around the first
+ * direction, or the map center.
+ * @param {object} spec - Feature spec
+ * @param {number} index - Instance index
+ * @param {number} startAngle - Angle of the first spread instance in radians
+ * @returns {object} - Location ({ x, y, direction })
  */
-function extractLocation(prompt, feature) {
-  const locationMapping = {
-    north: { x: 0.5, y: 0.1 },
-    south: { x: 0.5, y: 0.9 },
-    east: { x: 0.9, y: 0.5 },
-    west: { x: 0.1, y: 0.5 },
-    northeast: { x: 0.9, y: 0.1 },
-    northwest: { x: 0.1, y: 0.1 },
-    southeast: { x: 0.9, y: 0.9 },
-    southwest: { x: 0.1, y: 0.9 },
-    center: { x: 0.5, y: 0.5 },
+function locateInstance(spec, index, startAngle) {
+  if (spec.edge) {
+    const edge = directionLocations[spec.edge];
+    return { x: edge.x, y: edge.y, direction: spec.edge };
+  }
+  
+  const direction = spec.directions[index];
+  if (direction) {
+    return { ...directionLocations[direction], direction };
+  }
+  
+  const anchorDirection = spec.directions[0] || 'center';
+  const anchor = directionLocations[anchorDirection];
+  if (spec.count === 1) {
+    return { ...anchor, direction: anchorDirection };
+  }
+  
+  const angle = startAngle + index * Math.PI * 2 / spec.count;
+  return {
+    x: clamp(anchor.x + Math.cos(angle) * SPREAD_DISTANCE, 0.1, 0.9),
+    y: clamp(anchor.y + Math.sin(angle) * SPREAD_DISTANCE, 0.1, 0.9),
+    direction: anchorDirection
   };
+}
+
+/**
+ * Create one instance of an area feature
+ * @param {object} spec - Feature spec
+ * @param {number} index - Instance index
+ * @param {object} location - Instance location
+ * @param {object[]} features - Features placed so far
+ * @returns {object} - Topography feature
+ */
+function createAreaFeature(spec, index, location, features) {
+  const { definition } = spec;
   
-  const promptLower = prompt.toLowerCase();
+  // A percentage of the map area, or the default radius scaled by size words
+  const radius = spec.area ? Math.sqrt(spec.area / Math.PI) : definition.radius * spec.sizeScale;
   
-  // Look for feature with location phrase (e.g., "mountains in the north")
-  for (const [direction, position] of Object.entries(locationMapping)) {
-    const pattern = new RegExp(`${feature}.*\\b${direction}\\b|\\b${direction}\\b.*${feature}`);
-    if (pattern.test(promptLower)) {
-      return {
-        x: position.x,
-        y: position.y,
-        direction: direction
+  const feature = {
+    type: spec.type,
+    location,
+    height: definition.height, // Normalized height value (0-1)
+    roughness: definition.roughness, // Normalized roughness value (0-1)
+    radius, // Fraction of the map width
+    falloff: definition.falloff
+  };
+  
+  // Features along a map edge stretch along it
+  if (spec.edge) {
+    const alongY = spec.edge === 'east' || spec.edge === 'west';
+    feature.extent = alongY ? { x: radius * 0.6, y: 0.5 } : { x: 0.5, y: radius * 0.6 };
+  }
+  
+  // A caldera is a volcano whose summit has collapsed into a wide crater
+  if (spec.type === 'volcano') {
+    feature.caldera = /\bcaldera/.test(spec.text);
+  }
+  
+  if (spec.relation) {
+    applyRelation(feature, spec.relation, spec.directions[index], features);
+  }
+  
+  return feature;
+}
+
+/**
+ * Place an area feature relative to the features it refers to
+ * @param {object} feature - Feature to place, modified in place
+ * @param {object} relation - Relation ({ type, targets })
+ * @param {string} [direction] - The feature's own direction, if its phrase names one
+ * @param {object[]} features - Features placed so far
+ */
+function applyRelation(feature, relation, direction, features) {
+  const targets = relation.targets.flatMap(type => features.filter(f => f.type === type && !f.path));
+  const minimum = relation.type === 'between' ? 2 : 1;
+  
+  if (targets.length < minimum) {
+    console.warn(`Cannot place ${feature.type} ${relation.type} ${relation.targets.join(' and ')}; using its own location`);
+    return;
+  }
+  
+  const [target, other] = targets;
+  
+  switch (relation.type) {
+    case 'between':
+      feature.location = {
+        x: (target.location.x + other.location.x) / 2,
+        y: (target.location.y + other.location.y) / 2,
+        direction: feature.location.direction
       };
+      break;
+      
+    case 'surrounding':
+      // A ring around the target, wide enough to clear its edge
+      feature.location = { ...target.location };
+      feature.ringRadius = target.radius + feature.radius * 0.5;
+      feature.radius *= 0.6;
+      break;
+      
+    case 'inside':
+      feature.location = { ...target.location };
+      feature.radius = Math.min(feature.radius, target.radius * 0.6);
+      break;
+      
+    default:
+      // 'near', and 'into' for area features
+      feature.location = locateNextTo(feature, target, direction);
+  }
+}
+
+/**
+ * Find a location right next to another feature
+ * The feature moves from the target towards its own direction, or towards the
+ * map center when its phrase names none.
+ * @param {object} feature - Feature to place
+ * @param {object} target - Feature to place it next to
+ * @param {string} [direction] - The feature's own direction
+ * @returns {object} - Location ({ x, y, direction })
+ */
+function locateNextTo(feature, target, direction) {
+  const toward = directionLocations[direction] || directionLocations.center;
+  let dx = toward.x - target.location.x;
+  let dy = toward.y - target.location.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  
+  if (length < 0.01) {
+    // The target sits where the feature wants to be: step east
+    dx = 1;
+    dy = 0;
+  } else {
+    dx /= length;
+    dy /= length;
+  }
+  
+  const offset = target.radius + feature.radius * 0.6;
+  return {
+    x: clamp(target.location.x + dx * offset, 0.05, 0.95),
+    y: clamp(target.location.y + dy * offset, 0.05, 0.95),
+    direction: feature.location.direction
+  };
+}
+
+/**
+ * Create one instance of a linear feature
+ * @param {object} spec - Feature spec
+ * @param {number} index - Instance index
+ * @param {object} location - Instance location, used when no flow direction is given
+ * @param {object[]} features - Features placed so far
+ * @param {function(): number} random - Random number generator for the meandering
+ * @returns {object} - Topography feature with a `path`
+ */
+function createLinearFeature(spec, index, location, features, random) {
+  const { definition } = spec;
+  const flow = extractFlowDirection(spec.text, location);
+  let start = flow.start;
+  let end = flow.end;
+  
+  // Several instances along the same flow run side by side
+  if (spec.count > 1 && flow.explicit) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    const offset = (index - (spec.count - 1) / 2) * 0.3;
+    start = { x: start.x - dy / length * offset, y: start.y + dx / length * offset };
+    end = { x: end.x - dy / length * offset, y: end.y + dx / length * offset };
+  }
+  
+  // "A river flowing into the lake" ends at the lake
+  if (spec.relation && spec.relation.type === 'into') {
+    const target = features.find(f => spec.relation.targets.includes(f.type) && !f.path);
+    if (target) {
+      end = { x: target.location.x, y: target.location.y };
     }
   }
   
-  // Default to center if no location is specified
+  const path = createMeanderingPath(start, end, random, definition.meander);
+  
+  return {
+    type: spec.type,
+    location: { ...path[Math.floor(path.length / 2)], direction: location.direction },
+    path,
+    flow: { from: flow.from, to: flow.to },
+    depth: definition.depth, // Normalized depth value (0-1)
+    width: definition.width * spec.sizeScale // Normalized width value (0-1)
+  };
+}
+
+/**
+ * Extract a whole-map mode from the prompt
+ * "An island surrounded by ocean" gives an island with ocean at every edge;
+ * "a coast to the west" or "the sea in the south" gives a coastline with the
+ * sea on that side (south if no side is named).
+ * @param {string} prompt - Text prompt
+ * @returns {object|null} - Map mode ({ type, side }) or null for an inland map
+ */
+function extractMapMode(prompt) {
+  const promptLower = prompt.toLowerCase();
+  
+  if (/\b(island|isle|archipelago)/.test(promptLower) ||
+      /surrounded by (the )?(sea|ocean|water)/.test(promptLower)) {
+    return { type: 'island' };
+  }
+  
+  const keyword = findKeyword(promptLower, ['coast', 'sea', 'ocean', 'shore', 'beach']);
+  if (!keyword) {
+    return null;
+  }
+  
+  // Look for the side in the clause that mentions the sea
+  const clause = promptLower.split(/[,;.]/).find(part => new RegExp(`\\b${keyword}`).test(part)) || '';
+  const side = clause.match(/\b(northeast|northwest|southeast|southwest|north|south|east|west)(?:ern)?\b/);
+  
+  return { type: 'coastline', side: side ? side[1] : 'south' };
+}
+
+/**
+ * Find the first keyword that starts a word in the text
+ * @param {string} text - Lowercase text
+ * @param {string[]} keywords - Keywords to look for
+ * @returns {string|undefined} - Matching keyword
+ */
+function findKeyword(text, keywords) {
+  return keywords.find(keyword => new RegExp(`\\b${keyword}`).test(text));
+}
+
+/**
+ * Extract the direction a linear feature runs in
+ * Understands phrases such as "running east to west" or "from the north to
+ * the south" in the feature's own phrase. Without a direction the feature runs
+ * north to south through its location.
+ * @param {string} text - Phrase describing the feature
+ * @param {object} location - Location of the feature
+ * @returns {object} - Flow data ({ from, to, start, end, explicit })
+ */
+function extractFlowDirection(text, location) {
+  const directions = 'northeast|northwest|southeast|southwest|north|south|east|west';
+  const pattern = new RegExp(
+    `(?:from\\s+)?(?:the\\s+)?\\b(${directions})(?:ern)?\\b(?:\\s+(?:side|edge))?\\s+(?:to|towards|into)\\s+(?:the\\s+)?\\b(${directions})(?:ern)?\\b`
+  );
+  const match = text.match(pattern);
+  
+  if (match && match[1] !== match[2]) {
+    return {
+      from: match[1],
+      to: match[2],
+      start: edgePoints[match[1]],
+      end: edgePoints[match[2]],
+      explicit: true
+    };
+  }
+  
+  // "Flowing from the north" names only the source
+  const source = text.match(new RegExp(`\\bfrom\\s+(?:the\\s+)?(${directions})(?:ern)?\\b`));
+  if (source) {
+    const to = oppositeDirection(source[1]);
+    return { from: source[1], to, start: edgePoints[source[1]], end: edgePoints[to], explicit: true };
+  }
+  
   return {
-    x: 0.5,
-    y: 0.5,
-    direction: 'center'
+    from: 'north',
+    to: 'south',
+    start: { x: location.x, y: edgePoints.north.y },
+    end: { x: location.x, y: edgePoints.south.y },
+    explicit: false
   };
 }
 
+/**
+ * Get the opposite compass direction
+ * @param {string} direction - Compass direction
+ * @returns {string} - Opposite direction (e.g. 'south' for 'north')
+ */
+function oppositeDirection(direction) {
+  const opposites = { north: 'south', south: 'north', east: 'west', west: 'east' };
+  return direction.replace(/north|south|east|west/g, part => opposites[part]);
+}
+
+/**
+ * Create a naturally meandering polyline between two points
+ * Uses midpoint displacement perpendicular to each segment, then smooths the
+ * result with Chaikin's corner cutting.
+ * @param {object} start - Start point ({ x, y }) in normalized map coordinates
+ * @param {object} end - End point ({ x, y }) in normalized map coordinates
+ * @param {function(): number} random - Random number generator
+ * @param {number} meander - Displacement relative to segment length
+ * @returns {object[]} - Polyline points ({ x, y })
+ */
+function createMeanderingPath(start, end, random, meander) {
+  let points = [start, end];
+  
+  // Midpoint displacement: each level halves the segments and the displacement
+  for (let level = 0; level < 6; level++) {
+    const next = [points[0]];
+    
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const offset = (random() * 2 - 1) * meander;
+      
+      // Perpendicular of (dx, dy) scaled by the segment length
+      next.push({ x: (a.x + b.x) / 2 - dy * offset, y: (a.y + b.y) / 2 + dx * offset });
+      next.push(b);
+    }
+    
+    points = next;
+  }
+  
+  // Chaikin smoothing, keeping the end points fixed
+  for (let iteration = 0; iteration < 2; iteration++) {
+    const next = [points[0]];
+    
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      next.push({ x: a.x * 0.75 + b.x * 0.25, y: a.y * 0.75 + b.y * 0.25 });
+      next.push({ x: a.x * 0.25 + b.x * 0.75, y: a.y * 0.25 + b.y * 0.75 });
+    }
+    
+    next.push(points[points.length - 1]);
+    points = next;
+  }
+  
+  return points;
+}
+
 module.exports = {
   processTopographyMapping
 }; 
\ No newline at end of file
@@ -0,0 +1,285 @@
+/**
+ * Terrain Synthesizer
+ * Builds a height field from topography data using seeded gradient noise
+ */
+
+const { createNoise2D, fbm, ridged, billow } = require('../utils/noise');
+const { deriveRandom, resolveSeed } = require('../utils/random');
+const { createHeightField } = require('../utils/heightMapLoader');
+const { clamp, lerp, smoothstep } = require('../utils/math');
+const { carveLinearFeatures } = require('./linearFeatures');
+const { baseTypes } = require('./featureLibrary');
+
+// Default output resolution in pixels
+const DEFAULT_RESOLUTION = 1024;
+
+// Default falloff radius of a feature as a fraction of the map width
+const DEFAULT_FEATURE_RADIUS = 0.3;
+
+// Height of the open sea floor in island and coastline maps
+const SEA_FLOOR = 0;
+
+// Sides a coastline's sea can lie on
+const COAST_SIDES = ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'];
+
+/**
+ * Edge profiles per falloff type
+ * Each profile maps the warped distance from the feature center (0 at the
+ * center, 1 at the radius) to the feature's influence (1 to 0).
+ */
+const falloffProfiles = {
+  smooth: distance => 1 - smoothstep(0, 1, distance),
+  linear: distance => 1 - distance,
+  steep: distance => 1 - smoothstep(0.6, 1, distance),
+  cliff: distance => 1 - smoothstep(0.85, 0.92, distance)
+};
+
+/**
+ * Shape generators per feature type
+ * Each generator receives the current height and a sampling context and
+ * returns the new height for that pixel.
+ */
+const featureShapes = {
+  mountains: (height, context) => {
+    // Ridged multifractal; roughness decides how much the crests break up the dome
+    const { feature, mask, sample } = context;
+    const crest = sample(ridged, 5);
+    const elevation = feature.height * Math.pow(mask, 0.7) * lerp(1, 0.2 + 0.8 * crest, feature.roughness);
+    return Math.max(height, elevation);
+  },
+  
+  hills: (height, context) => {
+    // Billowy noise gives rounded, rolling shapes
+    const { feature, mask, sample } = context;
+    const swell = sample(billow, 6);
+    const elevation = feature.height * mask * lerp(1, 0.3 + 0.7 * swell, Math.min(1, feature.roughness * 1.5));
+    return Math.max(height, elevation);
+  },
+  
+  flatlands: (height, context) => {
+    // Pull the terrain towards the plain's level, keeping only gentle undulation
+    const { feature, mask, sample } = context;
+    const level = feature.height + sample(fbm, 2) * feature.roughness * 0.1;
+    return lerp(height, level, mask);
+  },
+  
+  plateau: (height, context) => {
+    // Flat, slightly uneven top; the falloff profile shapes the flanks
+    const { feature, mask, sample } = context;
+    const top = feature.height + sample(fbm, 3) * feature.roughness * 0.05;
+    return Math.max(height, top * mask);
+  },
+  
+  cliffs: (height, context) => {
+    // Terraced steps with sheer risers between them
+    const { feature, mask, sample } = context;
+    const steps = 3;
+    const level = feature.height * mask * steps;
+    const step = Math.floor(level);
+    const riser = smoothstep(0.8, 1, level - step);
+    const elevation = (step + riser) / steps * feature.height + sample(fbm, 8) * feature.roughness * 0.02;
+    return Math.max(height, elevation);
+  },
+  
+  valley: (height, context) => {
+    // Lower the terrain towards the valley floor
+    const { feature, mask, sample } = context;
+    const floor = feature.height + sample(fbm, 2) * feature.roughness * 0.05;
+    return lerp(height, Math.min(height, floor), mask);
+  },
+  
+  lake: (height, context) => {
+    // Flat lake bed with a steep shore, only ever lowering the terrain
+    const { feature, mask } = context;
+    return Math.min(height, lerp(height, feature.height, mask));
+  },
+  
+  volcano: (height, context) => {
+    // Concave cone with gullies down the flanks and a crater at the summit
+    const { feature, distance, mask, sample } = context;
+    const gullies = sample(ridged, 10);
+    const cone = feature.height * Math.pow(mask, 1.5) * lerp(1, 0.85 + 0.15 * gullies, feature.roughness);
+    
+    // A caldera is a much wider, deeper crater
+    const craterRadius = feature.caldera ? 0.4 : 0.15;
+    if (distance >= craterRadius) {
+      return Math.max(height, cone);
+    }
+    
+    const rim = feature.height * Math.pow(1 - craterRadius, 1.5);
+    const craterDepth = feature.height * (feature.caldera ? 0.35 : 0.2);
+    const crater = rim - craterDepth * (1 - Math.pow(distance / craterRadius, 4));
+    return Math.max(height, crater);
+  },
+  
+  dunes: (height, context) => {
+    // Parallel, wind-swept ridges bent by noise
+    const { feature, nx, ny, mask, sample } = context;
+    const phase = (nx * 0.8 + ny * 0.6) * 60 + sample(fbm, 3) * 4;
+    const ridge = Math.pow(0.5 + 0.5 * Math.sin(phase), 3);
+    return Math.max(height, height + feature.height * mask * ridge * lerp(0.6, 1, feature.roughness));
+  }
+};
+
+/**
+ * Whole-map modes
+ * Each mode returns how much land remains at a pixel (0 is open sea, 1 is
+ * untouched terrain); `warp` is a noise value that roughens the shoreline.
+ */
+const mapModes = {
+  island: (nx, ny, mode, warp) => {
+    // Ocean along every edge
+    const distance = Math.sqrt(Math.pow(nx - 0.5, 2) + Math.pow(ny - 0.5, 2)) / 0.5 + warp * 0.25;
+    return 1 - smoothstep(0.55, 0.9, distance);
+  },
+  
+  coastline: (nx, ny, mode, warp) => {
+    // Sea along one side; diagonal sides average their two edges
+    const edgeDistances = {
+      north: ny,
+      south: 1 - ny,
+      west: nx,
+      east: 1 - nx
+    };
+    const sides = (mode.side || 'south').match(/north|south|east|west/g);
+    const distance = sides.reduce((sum, side) => sum + edgeDistances[side], 0) / sides.length + warp * 0.08;
+    return smoothstep(0.12, 0.3, distance);
+  }
+};
+
+/**
+ * Synthesize a height field from topography data
+ * @param {object} topographyData - Structured topography data
+ * @param {object} options - Synthesis options
+ * @param {string|number} [options.seed] - Seed for deterministic synthesis
+ * @param {number} [options.resolution=1024] - Output width and height in pixels
+ * @returns {object} - Height field with normalized heights (0-1)
+ */
+function synthesizeTerrain(topographyData, options = {}) {
+  const seed = resolveSeed(options.seed);
+  const resolution = options.resolution || DEFAULT_RESOLUTION;
+  console.log(`Synthesizing ${resolution}x${resolution} terrain`);
+  
+  const noise = createNoise2D(deriveRandom(seed, 'heightmap', 'noise'));
+  const layers = prepareFeatureLayers(topographyData.features, seed);
+  const baseHeight = (baseTypes[topographyData.baseType] || baseTypes.flat).height;
+  const mapMode = topographyData.mapMode && mapModes[topographyData.mapMode.type];
+  const data = new Float32Array(resolution * resolution);
+  
+  if (topographyData.mapMode && !mapMode) {
+    console.warn(`Unknown map mode: ${topographyData.mapMode.type}`);
+  }
+  if (mapMode === mapModes.coastline && topographyData.mapMode.side !== undefined &&
+      !COAST_SIDES.includes(topographyData.mapMode.side)) {
+    throw new Error(`Unknown coastline side: ${topographyData.mapMode.side} (expected ${COAST_SIDES.join(', ')})`);
+  }
+  
+  for (let y = 0; y < resolution; y++) {
+    for (let x = 0; x < resolution; x++) {
+      // Normalized coordinates between 0 and 1
+      const nx = x / resolution;
+      const ny = y / resolution;
+      
+      // Gently undulating base terrain
+      let pixelHeight = baseHeight + fbm(noise, nx * 3, ny * 3, { octaves: 4 }) * 0.03;
+      
+      for (const layer of layers) {
+        const { feature, radiusX, radiusY, offsetX, offsetY, octaves, shape, falloff } = layer;
+        
+        // Warp the distance with noise so outlines are not perfect ellipses
+        const dx = (nx - feature.location.x) / radiusX;
+        const dy = (ny - feature.location.y) / radiusY;
+        const warp = fbm(noise, nx * 2.5 + offsetX, ny * 2.5 + offsetY, { octaves: 3 }) * 0.3 * (feature.roughness || 0);
+        let distance = Math.sqrt(dx * dx + dy * dy) + warp;
+        
+        // Rings ("hills surrounding the lake") peak at their ring radius
+        if (feature.ringRadius) {
+          distance = Math.abs(distance - feature.ringRadius / radiusX);
+        }
+        
+        if (distance >= 1) {
+          continue;
+        }
+        
+        const mask = falloff(Math.max(0, distance));
+        const sample = (fractal, frequency) => fractal(
+          noise,
+          nx * frequency + offsetX,
+          ny * frequency + offsetY,
+          { octaves }
+        );
+        
+        pixelHeight = shape(pixelHeight, { feature, nx, ny, distance, mask, sample });
+      }
+      
+      // Sink everything outside the land area below sea level
+      if (mapMode) {
+        const warp = fbm(noise, nx * 4 + 512, ny * 4 + 512, { octaves: 5 });
+        const land = mapMode(nx, ny, topographyData.mapMode, warp);
+        pixelHeight = lerp(SEA_FLOOR, pixelHeight, land);
+      }
+      
+      data[y * resolution + x] = clamp(pixelHeight);
+    }
+  }
+  
+  // Rivers, canyons and roads are carved last so they cut through every other feature
+  carveLinearFeatures(data, resolution, resolution, topographyData.features);
+  
+  return createHeightField(resolution, resolution, data);
+}
+
+/**
+ * Prepare per-feature synthesis parameters for area features
+ * Linear features (those with a path) are carved separately.
+ * Each feature gets its own noise offset from a stream keyed by its type and
+ * index among features of that type, so adding a feature does not reshape the others.
+ * @param {object[]} features - Topography features
+ * @param {string|number} seed - Seed for the run
+ * @returns {object[]} - Feature layers
+ */
+function prepareFeatureLayers(features, seed) {
+  const typeCounts = {};
+  
+  return features
+    .filter(feature => !feature.path)
+    .filter(feature => {
+      if (!featureShapes[feature.type]) {
+        console.warn(`No terrain shape for feature type: ${feature.type}`);
+        return false;
+      }
+      return true;
+    })
+    .map(feature => {
+      const index = typeCounts[feature.type] = (typeCounts[feature.type] || 0) + 1;
+      const random = deriveRandom(seed, 'heightmap', feature.type, index);
+      const roughness = feature.roughness || 0;
+      
+      if (feature.falloff && !falloffProfiles[feature.falloff]) {
+        console.warn(`Unknown falloff for ${feature.type}: ${feature.falloff}`);
+      }
+      
+      // Features stretched along an edge have their own extent per axis
+      const radius = feature.radius || DEFAULT_FEATURE_RADIUS;
+      const extent = feature.extent || { x: radius, y: radius };
+      
+      return {
+        feature,
+        radiusX: extent.x,
+        radiusY: extent.y,
+        offsetX: random() * 256,
+        offsetY: random() * 256,
+        // Rougher features get more octaves of detail
+        octaves: 1 + Math.round(roughness * 7),
+        shape: featureShapes[feature.type],
+        falloff: falloffProfiles[feature.falloff] || falloffProfiles.smooth
+      };
+    });
+}
+
+module.exports = {
+  synthesizeTerrain,
+  featureShapes,
+  falloffProfiles,
+  mapModes
+};
@@ -0,0 +1,100 @@
+/**
+ * Water Map
+ * Marks the pixels covered by water: the sea, lakes and rivers of the topography
+ */
+
+const { rasterizeChannel } = require('./linearFeatures');
+
+// Water stands this far (normalized height) above a lake bed
+const LAKE_DEPTH = 0.02;
+
+// Lake outlines are warped by noise, so their water may reach a little past the radius
+const LAKE_REACH = 1.1;
+
+// Linear feature types that carry water
+const WATER_CHANNEL_TYPES = ['river'];
+
+/**
+ * Create a water map for a height field
+ * Sea water covers everything at or below the sea level, lakes fill their
+ * beds up to LAKE_DEPTH above the lake floor, and rivers fill their channels.
+ * @param {object} heightField - Height field with normalized heights
+ * @param {object} topographyData - Topography data the height field was generated from
+ * @param {object} options - Water options
+ * @param {number} [options.seaLevel] - Normalized sea level (defaults to the topography's, if any)
+ * @returns {object} - Water map ({ width, height, data: Uint8Array, 1 where there is water })
+ */
+function createWaterMap(heightField, topographyData, options = {}) {
+  const { width, height, data } = heightField;
+  const water = new Uint8Array(width * height);
+  const seaLevel = getSeaLevel(topographyData, options);
+  
+  if (seaLevel !== null) {
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] <= seaLevel) {
+        water[i] = 1;
+      }
+    }
+  }
+  
+  for (const feature of topographyData.features) {
+    if (feature.type === 'lake' && !feature.path) {
+      fillLake(water, heightField, feature);
+    } else if (feature.path && WATER_CHANNEL_TYPES.includes(feature.type)) {
+      const channel = rasterizeChannel(width, height, feature);
+      for (let i = 0; i < channel.length; i++) {
+        water[i] |= channel[i];
+      }
+    }
+  }
+  
+  return { width, height, data: water };
+}
+
+/**
+ * Mark the water of a lake
+ * @param {Uint8Array} water - Water map data, modified in place
+ * @param {object} heightField - Height field with normalized heights
+ * @param {object} feature - Lake feature ({ location, radius, extent, height })
+ */
+function fillLake(water, heightField, feature) {
+  const { width, height, data } = heightField;
+  const radius = feature.radius || 0.3;
+  const extent = feature.extent || { x: radius, y: radius };
+  const level = feature.height + LAKE_DEPTH;
+  
+  const minX = Math.max(0, Math.floor((feature.location.x - extent.x * LAKE_REACH) * width));
+  const maxX = Math.min(width - 1, Math.ceil((feature.location.x + extent.x * LAKE_REACH) * width));
+  const minY = Math.max(0, Math.floor((feature.location.y - extent.y * LAKE_REACH) * height));
+  const maxY = Math.min(height - 1, Math.ceil((feature.location.y + extent.y * LAKE_REACH) * height));
+  
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const dx = (x / width - feature.location.x) / extent.x;
+      const dy = (y / height - feature.location.y) / extent.y;
+      const index = y * width + x;
+      
+      if (Math.sqrt(dx * dx + dy * dy) < LAKE_REACH && data[index] <= level) {
+        water[index] = 1;
+      }
+    }
+  }
+}
+
+/**
+ * Get the sea level for a map
+ * @param {object} topographyData - Topography data
+ * @param {object} options - Water options
+ * @param {number} [options.seaLevel] - Normalized sea level override
+ * @returns {number|null} - Normalized sea level, or null if the map has no sea
+ */
+function getSeaLevel(topographyData, options = {}) {
+  if (typeof options.seaLevel === 'number') {
+    return options.seaLevel;
+  }
+  return typeof topographyData.seaLevel === 'number' ? topographyData.seaLevel : null;
+}
+
+module.exports = {
+  createWaterMap
+};
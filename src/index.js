@@ -7,30 +7,44 @@ require('dotenv').config();
 const HeightMapGenerator = require('./heightmap/heightMapGenerator');
 const SplatMapGenerator = require('./splatmap/splatMapGenerator');
 const ObjectPlacementGenerator = require('./objectplacement/objectPlacementGenerator');
+const { resolveSeed } = require('./utils/random');
+const { parseClimate } = require('./biome/biomeClassifier');
 
 /**
  * Main function to run the full map generation pipeline
  * @param {string} landscapePrompt - Text prompt describing the landscape
  * @param {string} worldPrompt - Text prompt describing the world objects
  * @param {object} options - Additional options for map generation
+ * @param {string|number} [options.seed] - Seed for deterministic generation (random if omitted)
+ * @param {string|object} [options.climate] - Climate preset name or { temperature, moisture } (read from both prompts if omitted)
  */
 async function generateMap(landscapePrompt, worldPrompt, options = {}) {
   try {
     console.log('Starting map generation pipeline...');
     
+    // Every stage derives its own random streams from this seed
+    const seed = resolveSeed(options.seed);
+    console.log(`Using seed: ${seed}`);
+    
+    // Both prompts can set the climate; splat materials and vegetation share it
+    const climate = parseClimate(`${landscapePrompt} ${worldPrompt}`, options);
+    const stageOptions = { ...options, seed, climate };
+    console.log(`Using climate: ${climate.temperature.toFixed(1)} °C, moisture ${climate.moisture.toFixed(2)}${climate.cues.length ? ` (${climate.cues.join(', ')})` : ''}`);
+    
     // Step 1: Generate Height Map
     console.log('Generating height map...');
-    const heightMap = await HeightMapGenerator.generate(landscapePrompt);
+    const heightMap = await HeightMapGenerator.generate(landscapePrompt, stageOptions);
     
     // Step 2: Generate Splat Map (can be concurrent with object placement)
     console.log('Generating splat map...');
-    const splatMap = await SplatMapGenerator.generate(landscapePrompt, heightMap);
+    const splatMap = await SplatMapGenerator.generate(landscapePrompt, heightMap, stageOptions);
     
     // Step 3: Generate Object Placement Maps
     console.log('Generating object placement maps...');
-    const objectPlacementMaps = await ObjectPlacementGenerator.generate(worldPrompt, heightMap, options);
+    const objectPlacementMaps = await ObjectPlacementGenerator.generate(worldPrompt, heightMap, stageOptions);
     
     return {
+      seed,
       heightMap,
       splatMap,
       objectPlacementMaps
@@ -49,6 +63,7 @@ if (require.main === module) {
   generateMap(landscapePrompt, worldPrompt)
     .then(result => {
       console.log('Map generation completed successfully');
+      console.log('Seed:', result.seed);
       console.log('Result files:');
       console.log('- Height Map:', result.heightMap);
       console.log('- Splat Map:', result.splatMap);
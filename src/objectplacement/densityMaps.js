@@ -0,0 +1,112 @@
+/**
+ * Density Maps
+ * Turns placement suitability into continuous density maps for GPU instancing
+ */
+
+const { distanceTransform } = require('../utils/distanceTransform');
+const { getTerrainScale } = require('../utils/terrainMetrics');
+const { smoothstep } = require('../utils/math');
+
+// Box blur passes; three passes approximate a Gaussian
+const BLUR_PASSES = 3;
+
+/**
+ * Create density maps from placement masks
+ * Each entry's density is its final suitability (terrain, rules, prompt
+ * density and occupancy, 0-1). A falloff fades density to zero towards the
+ * edges of the area an entry covers, and a blur softens it overall.
+ * @param {object} placementMasks - Placement masks keyed by entry (with their density)
+ * @param {object} options - Density options
+ * @param {number} [options.densityFalloff=0] - Width of the fade at area edges, in meters
+ * @param {number} [options.densityBlur=0] - Blur radius in meters
+ * @param {number} [options.worldSize] - Map width in meters
+ * @returns {object} - Density data ({ size, entries: [{ key, type, subType, values: Float32Array }] })
+ */
+function createDensityMaps(placementMasks, options = {}) {
+  const masks = Object.entries(placementMasks);
+  const size = masks.length > 0 ? masks[0][1].grid : 0;
+  const cellSize = getTerrainScale(options).worldSize / size;
+  const falloff = (options.densityFalloff || 0) / cellSize;
+  const blur = Math.round((options.densityBlur || 0) / cellSize);
+  
+  const entries = masks.map(([key, mask]) => {
+    const values = Float32Array.from(mask.density);
+    if (falloff > 0) {
+      applyFalloff(values, size, falloff);
+    }
+    if (blur > 0) {
+      blurValues(values, size, blur);
+    }
+    return { key, type: mask.type, subType: mask.subType, values };
+  });
+  
+  return { size, entries };
+}
+
+/**
+ * Fade values towards zero near the edge of the nonzero area
+ * @param {Float32Array} values - Values per cell, modified in place
+ * @param {number} size - Grid size in cells per side
+ * @param {number} falloff - Width of the fade in cells
+ */
+function applyFalloff(values, size, falloff) {
+  const covered = new Uint8Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    covered[i] = values[i] > 0 ? 1 : 0;
+  }
+  
+  // Distance from each covered cell to the nearest uncovered one
+  const distances = distanceTransform(covered, size, 0);
+  for (let i = 0; i < values.length; i++) {
+    if (covered[i]) {
+      values[i] *= smoothstep(0, falloff, distances[i]);
+    }
+  }
+}
+
+/**
+ * Blur values with repeated separable box blurs
+ * @param {Float32Array} values - Values per cell, modified in place
+ * @param {number} size - Grid size in cells per side
+ * @param {number} radius - Box radius in cells
+ */
+function blurValues(values, size, radius) {
+  const scratch = new Float32Array(values.length);
+  
+  for (let pass = 0; pass < BLUR_PASSES; pass++) {
+    boxBlur(values, scratch, size, radius, 1, size);
+    boxBlur(scratch, values, size, radius, size, 1);
+  }
+}
+
+/**
+ * One box blur pass along rows or columns, clamping at the borders
+ * @param {Float32Array} source - Values to blur
+ * @param {Float32Array} target - Output values
+ * @param {number} size - Grid size in cells per side
+ * @param {number} radius - Box radius in cells
+ * @param {number} step - Index step along a line (1 for rows, size for columns)
+ * @param {number} lineStep - Index step between lines
+ */
+function boxBlur(source, target, size, radius, step, lineStep) {
+  const width = radius * 2 + 1;
+  
+  for (let line = 0; line < size; line++) {
+    const start = line * lineStep;
+    const at = i => source[start + Math.max(0, Math.min(size - 1, i)) * step];
+    
+    // Running sum over the window centered on each cell
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+      sum += at(i);
+    }
+    for (let i = 0; i < size; i++) {
+      target[start + i * step] = sum / width;
+      sum += at(i + radius + 1) - at(i - radius);
+    }
+  }
+}
+
+module.exports = {
+  createDensityMaps
+};
@@ -3,8 +3,20 @@
  * Creates a grid system for object placement
  */
 
+// Offsets of the eight neighbors of a cell, as [dx, dy]
+const NEIGHBOR_OFFSETS = [
+  [-1, -1], [0, -1], [1, -1],
+  [-1, 0],           [1, 0],
+  [-1, 1],  [0, 1],  [1, 1]
+];
+
 /**
  * Create a grid system for the map
+ * Cell data lives in flat typed arrays indexed by `gridY * gridSize + gridX`
+ * instead of one object per cell, so grids of 4096x4096 and more stay compact
+ * and fast to scan. Terrain and water analysis add per-cell layers to
+ * `grid.layers` (e.g. layers.height, layers.slope), and placement keeps one
+ * suitability array per entry in `grid.suitability`.
  * @param {number} mapWidth - Width of the map in pixels
  * @param {number} mapHeight - Height of the map in pixels
  * @param {number} gridSize - Number of grid cells (e.g., 1024 for a 1024x1024 grid)
@@ -16,6 +28,7 @@ function createGrid(mapWidth, mapHeight, gridSize) {
   // Calculate cell dimensions
   const cellWidth = mapWidth / gridSize;
   const cellHeight = mapHeight / gridSize;
+  const cellCount = gridSize * gridSize;
   
   // Initialize the grid data structure
   const grid = {
@@ -24,110 +37,89 @@ function createGrid(mapWidth, mapHeight, gridSize) {
     gridSize: gridSize,
     cellWidth: cellWidth,
     cellHeight: cellHeight,
-    cells: [],
+    cellCount: cellCount,
+    layers: {}, // Per-cell terrain and water data (height, slope, isWater, ...)
+    suitability: {}, // Per-cell suitability scores keyed by placement entry
     
-    // Helper method to get cell at specific coordinates
-    getCellAt: function(x, y) {
-      const gridX = Math.floor(x / this.cellWidth);
-      const gridY = Math.floor(y / this.cellHeight);
+    // Helper method to get the index of the cell at map coordinates (-1 outside the map)
+    indexAt: function(x, y) {
+      const gridX = Math.floor(x / cellWidth);
+      const gridY = Math.floor(y / cellHeight);
       
       if (gridX >= 0 && gridX < gridSize && gridY >= 0 && gridY < gridSize) {
-        return this.cells[gridY * gridSize + gridX];
+        return gridY * gridSize + gridX;
       }
       
-      return null;
+      return -1;
     },
     
-    // Helper method to get cell at grid indices
-    getCellByIndices: function(gridX, gridY) {
-      if (gridX >= 0 && gridX < gridSize && gridY >= 0 && gridY < gridSize) {
-        return this.cells[gridY * gridSize + gridX];
-      }
-      
-      return null;
+    // Helper methods to get the center of a cell in map coordinates
+    centerX: function(index) {
+      return (index % gridSize + 0.5) * cellWidth;
     },
     
-    // Helper method to get neighboring cells
-    getNeighbors: function(cell) {
-      const neighbors = [];
-      const directions = [
-        [-1, -1], [0, -1], [1, -1],
-        [-1, 0],           [1, 0],
-        [-1, 1],  [0, 1],  [1, 1]
-      ];
+    centerY: function(index) {
+      return (Math.floor(index / gridSize) + 0.5) * cellHeight;
+    },
+    
+    // Helper method to get the indices of a cell's neighbors without allocating;
+    // fills `out` (length 8 or more) and returns the neighbor count
+    getNeighbors: function(index, out) {
+      const gridX = index % gridSize;
+      const gridY = Math.floor(index / gridSize);
+      let count = 0;
       
-      for (const [dx, dy] of directions) {
-        const neighborX = cell.gridX + dx;
-        const neighborY = cell.gridY + dy;
-        const neighbor = this.getCellByIndices(neighborX, neighborY);
+      for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+        const neighborX = gridX + dx;
+        const neighborY = gridY + dy;
         
-        if (neighbor) {
-          neighbors.push(neighbor);
+        if (neighborX >= 0 && neighborX < gridSize && neighborY >= 0 && neighborY < gridSize) {
+          out[count++] = neighborY * gridSize + neighborX;
         }
       }
       
-      return neighbors;
+      return count;
     },
     
-    // Helper method to get cells within a radius
-    getCellsInRadius: function(centerX, centerY, radius) {
-      const cells = [];
-      const centerGridX = Math.floor(centerX / this.cellWidth);
-      const centerGridY = Math.floor(centerY / this.cellHeight);
-      const radiusInCells = Math.ceil(radius / Math.min(this.cellWidth, this.cellHeight));
+    // Helper method to visit the cells whose centers lie within a radius
+    forEachCellInRadius: function(centerX, centerY, radius, callback) {
+      const minX = Math.max(0, Math.ceil((centerX - radius) / cellWidth - 0.5));
+      const maxX = Math.min(gridSize - 1, Math.floor((centerX + radius) / cellWidth - 0.5));
+      const minY = Math.max(0, Math.ceil((centerY - radius) / cellHeight - 0.5));
+      const maxY = Math.min(gridSize - 1, Math.floor((centerY + radius) / cellHeight - 0.5));
       
-      for (let dy = -radiusInCells; dy <= radiusInCells; dy++) {
-        for (let dx = -radiusInCells; dx <= radiusInCells; dx++) {
-          const gridX = centerGridX + dx;
-          const gridY = centerGridY + dy;
+      for (let gridY = minY; gridY <= maxY; gridY++) {
+        const dy = (gridY + 0.5) * cellHeight - centerY;
+        for (let gridX = minX; gridX <= maxX; gridX++) {
+          const dx = (gridX + 0.5) * cellWidth - centerX;
+          const distance = Math.sqrt(dx * dx + dy * dy);
           
-          if (gridX >= 0 && gridX < gridSize && gridY >= 0 && gridY < gridSize) {
-            const cell = this.getCellByIndices(gridX, gridY);
-            
-            // Check if the cell is within the radius
-            const cellCenterX = (gridX + 0.5) * this.cellWidth;
-            const cellCenterY = (gridY + 0.5) * this.cellHeight;
-            const distance = Math.sqrt(
-              Math.pow(cellCenterX - centerX, 2) + 
-              Math.pow(cellCenterY - centerY, 2)
-            );
-            
-            if (distance <= radius) {
-              cells.push(cell);
-            }
+          if (distance <= radius) {
+            callback(gridY * gridSize + gridX, distance);
           }
         }
       }
-      
-      return cells;
+    },
+    
+    // Helper method to add a per-cell layer
+    addLayer: function(name, ArrayType = Float32Array) {
+      this.layers[name] = new ArrayType(cellCount);
+      return this.layers[name];
+    },
+    
+    // Helper method to get an entry's suitability scores (zeroed on first use)
+    getSuitability: function(key) {
+      if (!this.suitability[key]) {
+        this.suitability[key] = new Float32Array(cellCount);
+      }
+      return this.suitability[key];
     }
   };
   
-  // Initialize all cells
-  for (let y = 0; y < gridSize; y++) {
-    for (let x = 0; x < gridSize; x++) {
-      const cell = {
-        gridX: x,
-        gridY: y,
-        x: x * cellWidth,
-        y: y * cellHeight,
-        width: cellWidth,
-        height: cellHeight,
-        centerX: (x + 0.5) * cellWidth,
-        centerY: (y + 0.5) * cellHeight,
-        objects: [], // Objects placed in this cell
-        properties: {}, // Properties of this cell (height, slope, etc.)
-        suitability: {} // Suitability scores for different object types
-      };
-      
-      grid.cells.push(cell);
-    }
-  }
-  
-  console.log(`Grid created with ${grid.cells.length} cells`);
+  console.log(`Grid created with ${cellCount} cells`);
   return grid;
 }
 
 module.exports = {
   createGrid
-}; 
\ No newline at end of file
+};
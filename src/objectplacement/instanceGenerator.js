@@ -0,0 +1,207 @@
+/**
+ * Instance Generator
+ * Turns placement masks into individual object instances with position, rotation and scale
+ */
+
+const { objectDefinitions } = require('./objectDefinitions');
+const { deriveRandom, resolveSeed } = require('../utils/random');
+const { getTerrainScale, getMetersPerPixel } = require('../utils/terrainMetrics');
+const { lerp } = require('../utils/math');
+
+// Default maximum number of instances per object type
+const DEFAULT_MAX_INSTANCES = 10000;
+
+/**
+ * Generate one instance record per placed object
+ * Masks with scattered points place one object per point; otherwise every
+ * active mask cell holds one object at a random point inside the cell. Each
+ * mask carries the type and subtype of the objects it holds.
+ * Positions are in meters with Y up: x runs east and z runs south across the
+ * map, and y is the ground height sampled from the heightmap.
+ * @param {object} placementMasks - Placement masks keyed by entry (e.g. tree_pine)
+ * @param {object} grid - Grid system the masks were generated on
+ * @param {object} heightMap - Height field ({ width, height, getHeight })
+ * @param {object} options - Instance options
+ * @param {string|number} [options.seed] - Seed for deterministic instances
+ * @param {number|object} [options.maxInstances=10000] - Cap per mask, or caps keyed by entry (tree_pine) or type (tree)
+ * @param {boolean} [options.alignToTerrain=false] - Tilt types marked alignToTerrain (e.g. rocks) to the terrain normal
+ * @param {number} [options.worldSize] - Map width in meters
+ * @param {number} [options.heightScale] - Meters per normalized height unit
+ * @param {object} [options.definitions] - Object definitions keyed by type (defaults to the built-ins)
+ * @returns {object[]} - Instance records
+ */
+function generatePlacementInstances(placementMasks, grid, heightMap, options = {}) {
+  const seed = resolveSeed(options.seed);
+  const definitions = options.definitions || objectDefinitions;
+  const terrainScale = getTerrainScale(options);
+  const metersPerPixel = getMetersPerPixel(heightMap.width, options);
+  const instances = [];
+  
+  // Pixel centers line up with the exported heightmap samples, so pixel
+  // coordinate px lies px - 0.5 pixels from the map's west (or north) edge
+  const toMeters = value => Math.max(0, Math.min(terrainScale.worldSize, (value - 0.5) * metersPerPixel));
+  
+  for (const [key, mask] of Object.entries(placementMasks)) {
+    const objectDef = definitions[mask.type];
+    const subtype = objectDef.subtypes[mask.subType];
+    const scaling = (subtype && subtype.scaling) || { min: 1, max: 1 };
+    const align = Boolean(options.alignToTerrain && objectDef.alignToTerrain);
+    const random = deriveRandom(seed, 'instances', key);
+    
+    // Scattered points (in meters), or a random point inside each active cell
+    const locations = mask.points
+      ? mask.points.map(point => ({ x: point.x / metersPerPixel, y: point.y / metersPerPixel }))
+      : collectCellLocations(mask, grid, random);
+    
+    // Cap to a random subset
+    const cap = getInstanceCap(options.maxInstances, key, mask.type);
+    const selected = locations.length > cap ? sampleSubset(locations, cap, random) : locations;
+    if (locations.length > cap) {
+      console.log(`Capped ${key} instances from ${locations.length} to ${cap}`);
+    }
+    
+    for (const location of selected) {
+      // Pixel coordinates of the object
+      const px = location.x;
+      const py = location.y;
+      
+      const instance = {
+        id: instances.length,
+        type: mask.type,
+        subtype: mask.subType,
+        position: {
+          x: toMeters(px),
+          y: heightMap.getHeight(px, py) * terrainScale.heightScale,
+          z: toMeters(py)
+        },
+        rotation: {
+          yaw: random() * 360,
+          pitch: 0,
+          roll: 0
+        },
+        scale: lerp(scaling.min, scaling.max, random())
+      };
+      
+      if (align) {
+        alignToNormal(instance, heightMap, px, py, metersPerPixel, terrainScale.heightScale);
+      }
+      
+      instances.push(instance);
+    }
+    
+    console.log(`Generated ${selected.length} ${key} instances`);
+  }
+  
+  return instances;
+}
+
+/**
+ * Tilt an instance so its up axis follows the terrain normal
+ * Pitch tilts around the X axis and roll around the Z axis (right-handed,
+ * degrees), applied before yaw; the normal itself is recorded too for engines
+ * that prefer it.
+ * @param {object} instance - Instance record, modified in place
+ * @param {object} heightMap - Height field
+ * @param {number} px - X coordinate in pixels
+ * @param {number} py - Y coordinate in pixels
+ * @param {number} metersPerPixel - Horizontal scale
+ * @param {number} heightScale - Meters per normalized height unit
+ */
+function alignToNormal(instance, heightMap, px, py, metersPerPixel, heightScale) {
+  // Central differences in meters of height per meter of distance
+  const slopeX = (heightMap.getHeight(px + 1, py) - heightMap.getHeight(px - 1, py)) * heightScale / (2 * metersPerPixel);
+  const slopeZ = (heightMap.getHeight(px, py + 1) - heightMap.getHeight(px, py - 1)) * heightScale / (2 * metersPerPixel);
+  const length = Math.sqrt(slopeX * slopeX + 1 + slopeZ * slopeZ);
+  
+  instance.normal = { x: -slopeX / length, y: 1 / length, z: -slopeZ / length };
+  instance.rotation.pitch = -Math.atan(slopeZ) * 180 / Math.PI;
+  instance.rotation.roll = Math.atan(slopeX) * 180 / Math.PI;
+}
+
+/**
+ * Get the instance cap for a placement mask
+ * @param {number|object} [maxInstances] - Cap for every mask, or caps keyed by entry or type
+ * @param {string} key - Placement entry (e.g. tree_pine)
+ * @param {string} type - Object type
+ * @returns {number} - Maximum number of instances
+ */
+function getInstanceCap(maxInstances, key, type) {
+  if (typeof maxInstances === 'number') {
+    return maxInstances;
+  }
+  if (maxInstances && maxInstances[key] !== undefined) {
+    return maxInstances[key];
+  }
+  if (maxInstances && maxInstances[type] !== undefined) {
+    return maxInstances[type];
+  }
+  return DEFAULT_MAX_INSTANCES;
+}
+
+/**
+ * Pick a random point inside every active mask cell
+ * @param {object} mask - Placement mask
+ * @param {object} grid - Grid system the mask was generated on
+ * @param {function(): number} random - Random number generator
+ * @returns {object[]} - Locations in pixels ({ x, y })
+ */
+function collectCellLocations(mask, grid, random) {
+  const locations = [];
+  for (let i = 0; i < mask.cells.length; i++) {
+    if (mask.cells[i] === 1) {
+      const gridX = i % grid.gridSize;
+      const gridY = Math.floor(i / grid.gridSize);
+      locations.push({ x: (gridX + random()) * grid.cellWidth, y: (gridY + random()) * grid.cellHeight });
+    }
+  }
+  return locations;
+}
+
+/**
+ * Pick a random subset of items, keeping their original order
+ * @param {object[]} items - Candidate items
+ * @param {number} count - Number of items to keep
+ * @param {function(): number} random - Random number generator
+ * @returns {object[]} - Selected items
+ */
+function sampleSubset(items, count, random) {
+  const indices = items.map((item, index) => index);
+  
+  // Partial Fisher-Yates shuffle
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (indices.length - i));
+    const swap = indices[i];
+    indices[i] = indices[j];
+    indices[j] = swap;
+  }
+  
+  return indices.slice(0, count).sort((a, b) => a - b).map(index => items[index]);
+}
+
+/**
+ * Format instance records as CSV
+ * @param {object[]} instances - Instance records
+ * @returns {string} - CSV text with a header row
+ */
+function instancesToCSV(instances) {
+  const header = 'id,type,subtype,x,y,z,yaw,pitch,roll,scale';
+  const rows = instances.map(instance => [
+    instance.id,
+    instance.type,
+    instance.subtype,
+    instance.position.x.toFixed(3),
+    instance.position.y.toFixed(3),
+    instance.position.z.toFixed(3),
+    instance.rotation.yaw.toFixed(2),
+    instance.rotation.pitch.toFixed(2),
+    instance.rotation.roll.toFixed(2),
+    instance.scale.toFixed(3)
+  ].join(','));
+  
+  return [header, ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  generatePlacementInstances,
+  instancesToCSV
+};
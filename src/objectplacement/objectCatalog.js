@@ -0,0 +1,199 @@
+/**
+ * Object Catalog
+ * Loads user object catalogs from JSON, validates them and merges them over the built-in definitions
+ */
+
+const fs = require('fs');
+const { objectDefinitions } = require('./objectDefinitions');
+const { suitabilityRules } = require('./suitabilityRules');
+const { biomeDefinitions } = require('../biome/biomeDefinitions');
+
+// Distribution methods understood by the placement mask generator
+const DISTRIBUTIONS = ['natural', 'clustered', 'random', 'water'];
+
+/**
+ * Load object catalogs and merge them over the built-in definitions
+ * Catalogs are applied in order, so later files override earlier ones.
+ * @param {string|string[]} [catalogPaths] - Paths to JSON catalog files
+ * @returns {Promise<object>} - Object definitions keyed by type
+ */
+async function loadObjectCatalogs(catalogPaths) {
+  const paths = [].concat(catalogPaths || []);
+  let definitions = objectDefinitions;
+  
+  for (const catalogPath of paths) {
+    let catalog;
+    try {
+      catalog = JSON.parse(await fs.promises.readFile(catalogPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read object catalog ${catalogPath}: ${error.message}`);
+    }
+    
+    definitions = mergeObjectCatalog(definitions, catalog, catalogPath);
+    console.log(`Loaded object catalog ${catalogPath} (${Object.keys(catalog).join(', ')})`);
+  }
+  
+  return definitions;
+}
+
+/**
+ * Merge a catalog over a set of definitions
+ * New types are added as they are. For existing types the catalog's fields
+ * replace the existing ones, placementRules are merged rule by rule and
+ * subtypes are merged subtype by subtype, so a catalog can override a single
+ * subtype (or a single field of it) without repeating the rest. The merged
+ * definitions are validated and the base definitions are left untouched.
+ * @param {object} definitions - Object definitions keyed by type
+ * @param {object} catalog - Catalog contents keyed by type
+ * @param {string} [source='catalog'] - Name of the catalog, for error messages
+ * @returns {object} - Merged object definitions
+ */
+function mergeObjectCatalog(definitions, catalog, source = 'catalog') {
+  if (!isPlainObject(catalog)) {
+    throw new Error(`Invalid object catalog ${source}: expected an object of object types keyed by name`);
+  }
+  
+  const merged = { ...definitions };
+  const errors = [];
+  
+  for (const [type, entry] of Object.entries(catalog)) {
+    if (!isPlainObject(entry)) {
+      errors.push(`${type}: expected an object`);
+      continue;
+    }
+    
+    const existing = definitions[type];
+    merged[type] = existing ? mergeDefinition(existing, entry) : entry;
+    errors.push(...validateObjectDefinition(type, merged[type]));
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid object catalog ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return merged;
+}
+
+/**
+ * Merge a catalog entry over an existing definition
+ * @param {object} existing - Existing object definition
+ * @param {object} entry - Catalog entry for the same type
+ * @returns {object} - Merged definition
+ */
+function mergeDefinition(existing, entry) {
+  const subtypes = { ...existing.subtypes };
+  for (const [name, subtype] of Object.entries(entry.subtypes || {})) {
+    subtypes[name] = subtypes[name] && isPlainObject(subtype) ? { ...subtypes[name], ...subtype } : subtype;
+  }
+  
+  return {
+    ...existing,
+    ...entry,
+    placementRules: { ...existing.placementRules, ...entry.placementRules },
+    subtypes
+  };
+}
+
+/**
+ * Check an object definition against the catalog schema
+ * @param {string} type - Object type
+ * @param {object} definition - Object definition
+ * @returns {string[]} - Error messages (empty if the definition is valid)
+ */
+function validateObjectDefinition(type, definition) {
+  const errors = [];
+  const check = (condition, message) => {
+    if (!condition) {
+      errors.push(`${type}: ${message}`);
+    }
+  };
+  
+  check(definition.name === undefined || typeof definition.name === 'string', 'name must be a string');
+  check(isStringArray(definition.keywords), 'keywords must be an array of prompt words (e.g. ["cactus", "cacti"])');
+  check(typeof definition.priority === 'number', 'priority must be a number (lower is placed first)');
+  check(
+    DISTRIBUTIONS.includes(definition.defaultDistribution),
+    `defaultDistribution must be one of ${DISTRIBUTIONS.join(', ')}`
+  );
+  
+  const rules = definition.placementRules;
+  if (!isPlainObject(rules)) {
+    check(false, 'placementRules is required');
+  } else {
+    for (const field of ['maxSlope', 'minHeight', 'maxHeight', 'minDistanceToSameType']) {
+      check(rules[field] === undefined || (typeof rules[field] === 'number' && rules[field] >= 0),
+        `placementRules.${field} must be a non-negative number`);
+    }
+    for (const field of ['avoidWater', 'requireWater', 'canOverlap']) {
+      check(rules[field] === undefined || typeof rules[field] === 'boolean', `placementRules.${field} must be true or false`);
+    }
+    check(!(rules.minHeight > rules.maxHeight),
+      `placementRules.minHeight (${rules.minHeight}) is greater than maxHeight (${rules.maxHeight})`);
+    check(!(rules.maxHeight > 1), 'placementRules.maxHeight must be a normalized height (0-1)');
+    check(!(rules.avoidWater && rules.requireWater), 'placementRules cannot both avoid and require water');
+    check(rules.clearance === undefined ||
+      (isPlainObject(rules.clearance) && Object.values(rules.clearance).every(value => typeof value === 'number' && value >= 0)),
+    'placementRules.clearance must map object types to distances in meters');
+  }
+  
+  if (!isPlainObject(definition.subtypes) || Object.keys(definition.subtypes).length === 0) {
+    check(false, 'subtypes must declare at least one subtype');
+    return errors;
+  }
+  
+  check(definition.defaultSubtype === undefined || definition.subtypes[definition.defaultSubtype],
+    `defaultSubtype "${definition.defaultSubtype}" is not one of its subtypes`);
+  
+  for (const [name, subtype] of Object.entries(definition.subtypes)) {
+    const label = `subtypes.${name}`;
+    if (!isPlainObject(subtype)) {
+      check(false, `${label} must be an object`);
+      continue;
+    }
+    
+    check(subtype.keywords === undefined || isStringArray(subtype.keywords), `${label}.keywords must be an array of prompt words`);
+    check(subtype.biomes === undefined || (isStringArray(subtype.biomes) && subtype.biomes.every(biome => biomeDefinitions[biome])),
+      `${label}.biomes must be an array of biome names (known: ${Object.keys(biomeDefinitions).join(', ')})`);
+    
+    const scaling = subtype.scaling;
+    if (!isPlainObject(scaling) || typeof scaling.min !== 'number' || typeof scaling.max !== 'number') {
+      check(false, `${label}.scaling must be { min, max } numbers`);
+    } else {
+      check(scaling.min <= scaling.max, `${label}.scaling.min (${scaling.min}) is greater than max (${scaling.max})`);
+    }
+    
+    if (subtype.customRules !== undefined && !isPlainObject(subtype.customRules)) {
+      check(false, `${label}.customRules must be an object of rule names`);
+    } else {
+      for (const ruleName of Object.keys(subtype.customRules || {})) {
+        check(suitabilityRules[ruleName], `${label}.customRules.${ruleName} is not a known rule (known: ${Object.keys(suitabilityRules).join(', ')})`);
+      }
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for arrays whose items are all strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+module.exports = {
+  loadObjectCatalogs,
+  mergeObjectCatalog,
+  validateObjectDefinition
+};
@@ -1,6 +1,15 @@
 /**
  * Object Definitions
  * Defines various game objects and their placement requirements
+ *
+ * `keywords` are the prompt words that ask for a type. Subtype keywords ask
+ * for the type too, and every subtype a prompt names is placed as its own
+ * entry; a prompt that only names the type gets `defaultSubtype`. Keywords
+ * also match plurals and other word endings ("trees", "forested").
+ *
+ * Subtype `biomes` name the biomes (see src/biome/biomeDefinitions.js) a
+ * subtype grows in. When a prompt names only the type, the biome map picks
+ * the subtypes instead of `defaultSubtype`, each placed within its biomes.
  */
 
 const objectDefinitions = {
@@ -8,24 +17,31 @@ const objectDefinitions = {
   tree: {
     name: 'Tree',
     category: 'vegetation',
+    keywords: ['tree', 'forest', 'woods', 'woodland', 'grove'],
     placementRules: {
-      maxSlope: 0.15, // Maximum slope (15%)
+      maxSlope: 0.15, // Maximum grade (15% rise over run)
       minHeight: 0.05, // Minimum normalized height (5%)
       maxHeight: 0.8, // Maximum normalized height (80%)
       avoidWater: true,
-      minDistanceToSameType: 2, // Minimum distance to other trees in grid units
-      canOverlap: false
+      minDistanceToSameType: 2, // Minimum distance to other trees in meters
+      canOverlap: false,
+      clearance: { building: 3 } // Meters to keep from higher-priority objects
     },
     defaultDistribution: 'natural',
     priority: 2, // Medium priority
+    defaultSubtype: 'oak',
     subtypes: {
       oak: {
         name: 'Oak Tree',
+        keywords: ['oak'],
+        biomes: ['temperateForest', 'grassland'],
         scaling: { min: 0.8, max: 1.2 },
         customRules: {}
       },
       pine: {
         name: 'Pine Tree',
+        keywords: ['pine', 'conifer', 'spruce', 'fir'],
+        biomes: ['borealForest', 'temperateRainforest', 'tundra'],
         scaling: { min: 0.9, max: 1.5 },
         customRules: {
           preferHigherElevation: true
@@ -33,11 +49,19 @@ const objectDefinitions = {
       },
       palm: {
         name: 'Palm Tree',
+        keywords: ['palm'],
+        biomes: ['tropicalRainforest', 'tropicalSeasonalForest', 'savanna', 'desert'],
         scaling: { min: 0.9, max: 1.1 },
         customRules: {
-          preferLowerElevation: true,
+          preferLowElevation: true,
           preferBeaches: true
         }
+      },
+      birch: {
+        name: 'Birch Tree',
+        keywords: ['birch'],
+        scaling: { min: 0.8, max: 1.3 },
+        customRules: {}
       }
     }
   },
@@ -46,16 +70,20 @@ const objectDefinitions = {
   rock: {
     name: 'Rock',
     category: 'terrain',
+    keywords: ['rock', 'stone'],
     placementRules: {
-      maxSlope: 0.3, // Maximum slope (30%)
+      maxSlope: 0.3, // Maximum grade (30% rise over run)
       minHeight: 0.0, // No minimum height
       maxHeight: 1.0, // Can be placed at any height
       avoidWater: true,
       minDistanceToSameType: 1,
-      canOverlap: false
+      canOverlap: false,
+      clearance: { building: 2 }
     },
     defaultDistribution: 'random',
     priority: 3, // Medium-high priority
+    alignToTerrain: true, // Tilted to the terrain normal when instances are aligned
+    defaultSubtype: 'rock',
     subtypes: {
       rock: {
         name: 'Small Rock',
@@ -64,6 +92,7 @@ const objectDefinitions = {
       },
       boulder: {
         name: 'Boulder',
+        keywords: ['boulder', 'large rock'],
         scaling: { min: 1.0, max: 2.0 },
         customRules: {
           preferHigherElevation: true,
@@ -77,8 +106,9 @@ const objectDefinitions = {
   building: {
     name: 'Building',
     category: 'structure',
+    keywords: ['building', 'settlement'],
     placementRules: {
-      maxSlope: 0.05, // Maximum slope (5%)
+      maxSlope: 0.05, // Maximum grade (5% rise over run)
       minHeight: 0.1, // Minimum normalized height (10%)
       maxHeight: 0.5, // Maximum normalized height (50%)
       avoidWater: true,
@@ -87,14 +117,17 @@ const objectDefinitions = {
     },
     defaultDistribution: 'clustered',
     priority: 1, // Highest priority (placed first)
+    defaultSubtype: 'house',
     subtypes: {
       house: {
         name: 'House',
+        keywords: ['house', 'cottage', 'hut'],
         scaling: { min: 0.8, max: 1.2 },
         customRules: {}
       },
       village: {
         name: 'Village',
+        keywords: ['village', 'hamlet'],
         scaling: { min: 1.0, max: 1.0 }, // Village is a collection of houses
         customRules: {
           requireFlatArea: true,
@@ -104,6 +137,7 @@ const objectDefinitions = {
       },
       town: {
         name: 'Town',
+        keywords: ['town'],
         scaling: { min: 1.0, max: 1.0 },
         customRules: {
           requireFlatArea: true,
@@ -114,6 +148,7 @@ const objectDefinitions = {
       },
       city: {
         name: 'City',
+        keywords: ['city'],
         scaling: { min: 1.0, max: 1.0 },
         customRules: {
           requireFlatArea: true,
@@ -125,6 +160,7 @@ const objectDefinitions = {
       },
       farm: {
         name: 'Farm',
+        keywords: ['farm'],
         scaling: { min: 0.9, max: 1.1 },
         customRules: {
           requireVeryFlatArea: true,
@@ -138,6 +174,7 @@ const objectDefinitions = {
   waterObject: {
     name: 'Water Object',
     category: 'water',
+    keywords: ['harbor', 'harbour'],
     placementRules: {
       requireWater: true,
       minHeight: 0.0,
@@ -147,9 +184,11 @@ const objectDefinitions = {
     },
     defaultDistribution: 'water',
     priority: 2,
+    defaultSubtype: 'boat',
     subtypes: {
       boat: {
         name: 'Boat',
+        keywords: ['boat', 'ship'],
         scaling: { min: 0.8, max: 1.2 },
         customRules: {
           requireDeepWater: true
@@ -157,6 +196,7 @@ const objectDefinitions = {
       },
       dock: {
         name: 'Dock',
+        keywords: ['dock', 'pier', 'jetty', 'harbor', 'harbour'],
         scaling: { min: 0.9, max: 1.1 },
         customRules: {
           requireWaterEdge: true,
@@ -170,24 +210,31 @@ const objectDefinitions = {
   vegetation: {
     name: 'Vegetation',
     category: 'vegetation',
+    keywords: ['vegetation', 'undergrowth'],
     placementRules: {
       maxSlope: 0.2,
       minHeight: 0.05,
       maxHeight: 0.7,
       avoidWater: true,
       minDistanceToSameType: 0.5, // Can be placed closer together than trees
-      canOverlap: true
+      canOverlap: true, // Can grow under trees and around rocks
+      clearance: { building: 1 }
     },
     defaultDistribution: 'natural',
     priority: 4, // Lower priority (placed after major elements)
+    defaultSubtype: 'bush',
     subtypes: {
       bush: {
         name: 'Bush',
+        keywords: ['bush', 'shrub'],
+        biomes: ['tundra', 'desert', 'temperateRainforest', 'tropicalRainforest', 'tropicalSeasonalForest'],
         scaling: { min: 0.7, max: 1.3 },
         customRules: {}
       },
       grass: {
         name: 'Tall Grass',
+        keywords: ['grass', 'meadow'],
+        biomes: ['grassland', 'temperateForest', 'borealForest', 'savanna'],
         scaling: { min: 0.8, max: 1.2 },
         customRules: {
           canPlaceInLargeGroups: true
@@ -195,6 +242,7 @@ const objectDefinitions = {
       },
       flower: {
         name: 'Flower',
+        keywords: ['flower'],
         scaling: { min: 0.9, max: 1.1 },
         customRules: {
           canPlaceInLargeGroups: true,
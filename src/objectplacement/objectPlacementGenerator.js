@@ -6,11 +6,22 @@
 const fs = require('fs');
 const path = require('path');
 const Jimp = require('jimp');
+const { PNG } = require('pngjs');
 const { parseObjectsFromPrompt } = require('./promptParser');
 const { createGrid } = require('./gridGenerator');
-const { calculateHeightAndSlope } = require('./terrainAnalyzer');
+const { analyzeTerrain } = require('./terrainAnalyzer');
+const { applyWaterLayer } = require('./waterLayer');
 const { generatePlacementMasks } = require('./placementMaskGenerator');
-const { objectDefinitions } = require('./objectDefinitions');
+const { generatePlacementInstances, instancesToCSV } = require('./instanceGenerator');
+const { createDensityMaps } = require('./densityMaps');
+const { loadObjectCatalogs } = require('./objectCatalog');
+const { resolveSeed } = require('../utils/random');
+const { getTerrainScale } = require('../utils/terrainMetrics');
+const { loadHeightMap: loadHeightMapFile, loadWaterMap: loadWaterMapFile } = require('../utils/heightMapLoader');
+const { parseClimate, applyBiomeLayer, selectBiomeSubtypes } = require('../biome/biomeClassifier');
+
+// Outputs that can be requested with the placementOutput option ('both' is masks and instances)
+const PLACEMENT_OUTPUTS = ['masks', 'instances', 'density'];
 
 class ObjectPlacementGenerator {
   /**
@@ -18,33 +29,95 @@ class ObjectPlacementGenerator {
    * @param {string} prompt - Text prompt describing the world objects
    * @param {string} heightMapPath - Path to the heightmap file
    * @param {object} options - Additional options for object placement
-   * @returns {Promise<object>} - Paths to the generated object placement maps
+   * @param {string|number} [options.seed] - Seed for deterministic generation
+   * @param {string|string[]} [options.placementOutput='masks'] - Output mode: 'masks' (black/white mask per type and subtype),
+   *   'instances' (one record per placed object, as JSON and CSV), 'density' (continuous density maps packed
+   *   four entries per RGBA texture), 'both' (masks and instances), or an array of modes
+   * @param {number|object} [options.maxInstances=10000] - Instance cap per mask, or caps keyed by entry (tree_pine) or type
+   * @param {boolean} [options.alignToTerrain=false] - Tilt instances of types such as rocks to the terrain normal
+   * @param {string} [options.waterMap] - Water map PNG (defaults to watermap.png next to the heightmap, if present)
+   * @param {number} [options.seaLevel] - Normalized sea level; cells at or below it are water
+   * @param {number} [options.densityBitDepth=8] - Bit depth of the density textures (8 or 16)
+   * @param {number} [options.densityBlur=0] - Blur radius of the density maps in meters
+   * @param {number} [options.densityFalloff=0] - Width in meters over which density fades out at area edges
+   * @param {string|string[]} [options.objectCatalogs] - JSON object catalogs merged over the built-in object types
+   * @param {number} [options.tpiRadius=50] - Radius in meters of the window the topographic position index compares against
+   * @param {boolean|string[]} [options.terrainLayers] - Save terrain layers (all with true, or the named ones) as debug images
+   * @param {string|object} [options.climate] - Climate preset name or { temperature, moisture } (read from the prompt if omitted)
+   * @param {number} [options.elevationCooling=20] - Temperature drop in °C from sea level to the top of the height range
+   * @returns {Promise<object>} - Paths to the placement masks keyed by entry (e.g. tree_pine) in 'masks' mode without
+   *   terrainLayers, otherwise an object with the paths of each requested output (masks, instances, density) and of
+   *   the terrain layer images
    */
   static async generate(prompt, heightMapPath, options = {}) {
     try {
       console.log('Generating object placement maps from prompt and heightmap');
+      const seed = resolveSeed(options.seed);
+      
+      // Step 0: Load the object types (built-ins plus any user catalogs)
+      const definitions = await loadObjectCatalogs(options.objectCatalogs);
       
       // Step 1: Parse objects from the prompt
-      const objectsData = await parseObjectsFromPrompt(prompt);
+      const objectsData = await parseObjectsFromPrompt(prompt, definitions);
       
       // Step 2: Load the heightmap
-      const heightMap = await this.loadHeightMap(heightMapPath);
+      const heightMap = await this.loadHeightMap(heightMapPath, options);
       
       // Step 3: Create a grid system for the map
       const gridSize = options.gridSize || 1024; // Default 1024x1024 grid
       const grid = createGrid(heightMap.width, heightMap.height, gridSize);
       
-      // Step 4: Calculate height and slope for each grid cell
-      const terrainData = calculateHeightAndSlope(heightMap, grid);
+      // Step 4: Analyze the terrain of each grid cell (height, slope, derivatives, drainage, features)
+      const terrainData = analyzeTerrain(heightMap, grid, options);
       
-      // Step 5: Generate placement masks for each object type
-      const placementMasks = await generatePlacementMasks(objectsData, terrainData, grid);
+      // Step 4b: Mark water cells and their distance to the shore
+      const waterMap = await this.loadWaterMap(heightMapPath, options);
+      applyWaterLayer(terrainData, waterMap, options);
       
-      // Step 6: Save the placement masks to disk
-      const outputPaths = await this.savePlacementMasks(placementMasks);
+      // Step 4c: Classify biomes and let them pick the subtypes the prompt left open
+      const climate = parseClimate(prompt, options);
+      applyBiomeLayer(terrainData, climate, options);
+      const placementData = selectBiomeSubtypes(objectsData, terrainData, definitions);
       
-      console.log('Object placement maps generated successfully');
-      return outputPaths;
+      // Step 4d: Save terrain layers as debug images if requested
+      const terrainLayers = options.terrainLayers ? await this.saveTerrainLayers(terrainData, options.terrainLayers) : null;
+      
+      // Step 5: Generate placement masks for each type/subtype entry
+      const placementMasks = await generatePlacementMasks(placementData, terrainData, { ...options, seed, definitions });
+      
+      // Step 6: Save the placement masks, instances and/or density maps to disk
+      const placementOutput = options.placementOutput || 'masks';
+      const outputs = placementOutput === 'both' ? ['masks', 'instances'] : [].concat(placementOutput);
+      const unknown = outputs.filter(output => !PLACEMENT_OUTPUTS.includes(output));
+      if (outputs.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown placement output: ${unknown.join(', ')} (expected masks, instances, density or both)`);
+      }
+      if (placementOutput === 'masks' && !terrainLayers) {
+        const outputPaths = await this.savePlacementMasks(placementMasks);
+        console.log('Object placement maps generated successfully');
+        return outputPaths;
+      }
+      
+      const result = {};
+      if (terrainLayers) {
+        result.terrainLayers = terrainLayers;
+      }
+      if (outputs.includes('masks')) {
+        result.masks = await this.savePlacementMasks(placementMasks);
+      }
+      
+      if (outputs.includes('density')) {
+        const densityData = createDensityMaps(placementMasks, options);
+        result.density = await this.saveDensityMaps(densityData, options);
+      }
+      
+      if (outputs.includes('instances')) {
+        const instances = generatePlacementInstances(placementMasks, grid, heightMap, { ...options, seed, definitions });
+        result.instances = await this.saveInstances(instances, { ...options, seed });
+      }
+      
+      console.log(`Object placement ${outputs.join(', ')} generated successfully`);
+      return result;
     } catch (error) {
       console.error('Error generating object placement maps:', error);
       throw error;
@@ -53,37 +126,45 @@ class ObjectPlacementGenerator {
   
   /**
    * Load the heightmap from disk
-   * @param {string} heightMapPath - Path to the heightmap file
-   * @returns {Promise<object>} - Heightmap data
+   * @param {string} heightMapPath - Path to the heightmap file (PNG, or .r16/.raw)
+   * @param {object} options - Loading options
+   * @param {object} [options.heightMapDimensions] - Width/height of a raw heightmap
+   * @returns {Promise<object>} - Heightmap data with normalized heights and a bilinear getHeight
    */
-  static async loadHeightMap(heightMapPath) {
+  static async loadHeightMap(heightMapPath, options = {}) {
     try {
-      // In a real implementation, this would load the actual heightmap image
-      // For now, we'll create a mock heightmap
       console.log(`Loading heightmap from ${heightMapPath}`);
       
-      // Mock heightmap (for development - would use actual heightmap in production)
-      const mockHeight = {
-        width: 1024,
-        height: 1024,
-        data: new Array(1024 * 1024).fill(0).map(() => Math.random()), // Random height values
-        getHeight: function(x, y) {
-          const idx = Math.floor(y) * this.width + Math.floor(x);
-          return this.data[idx] || 0;
-        }
-      };
+      const heightMap = await loadHeightMapFile(heightMapPath, options.heightMapDimensions || {});
       
-      return mockHeight;
+      console.log(`Loaded ${heightMap.width}x${heightMap.height} heightmap`);
+      return heightMap;
     } catch (error) {
       console.error('Error loading heightmap:', error);
       throw error;
     }
   }
   
+  /**
+   * Load the water map written by the heightmap stage
+   * @param {string} heightMapPath - Path to the heightmap file
+   * @param {object} options - Loading options
+   * @param {string} [options.waterMap] - Path to the water map
+   * @returns {Promise<object|null>} - Water map with a bilinear getHeight, or null if there is none
+   */
+  static async loadWaterMap(heightMapPath, options = {}) {
+    try {
+      return await loadWaterMapFile(heightMapPath, options);
+    } catch (error) {
+      console.error('Error loading water map:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Save the placement masks to disk as actual PNG files
-   * @param {object} placementMasks - Generated placement masks for each object type
-   * @returns {Promise<object>} - Paths to the saved placement mask files
+   * @param {object} placementMasks - Generated placement masks keyed by entry (e.g. tree_pine)
+   * @returns {Promise<object>} - Paths to the saved placement mask files (<entry>_mask.png)
    */
   static async savePlacementMasks(placementMasks) {
     try {
@@ -95,32 +176,32 @@ class ObjectPlacementGenerator {
       const outputPaths = {};
       
       // Save each placement mask as a separate image
-      for (const [objectType, maskData] of Object.entries(placementMasks)) {
-        const outputPath = path.join(outputDir, `${objectType}_mask.png`);
+      for (const [key, maskData] of Object.entries(placementMasks)) {
+        const outputPath = path.join(outputDir, `${key}_mask.png`);
         
-        // Create an actual bitmap image using Jimp
-        const width = maskData.width || 1024;
-        const height = maskData.height || 1024;
+        // Create an actual bitmap image using Jimp (one pixel per grid cell)
         const gridSize = maskData.grid || 1024;
         
         // Create a new Jimp image
-        const image = new Jimp(width, height);
+        const image = new Jimp(gridSize, gridSize);
         
-        // Fill the image with data from the mask
-        for (let y = 0; y < gridSize; y++) {
-          for (let x = 0; x < gridSize; x++) {
-            const idx = y * gridSize + x;
-            // Create a visible pattern: white for placement, black for no placement
-            const color = maskData.cells[idx] === 1 ? 0xFFFFFFFF : 0x000000FF;
-            image.setPixelColor(color, x, y);
-          }
+        // Fill the image with data from the mask, writing the RGBA bitmap
+        // directly since per-pixel calls are slow on large grids
+        const pixels = image.bitmap.data;
+        for (let idx = 0; idx < gridSize * gridSize; idx++) {
+          // Create a visible pattern: white for placement, black for no placement
+          const value = maskData.cells[idx] === 1 ? 255 : 0;
+          pixels[idx * 4] = value;
+          pixels[idx * 4 + 1] = value;
+          pixels[idx * 4 + 2] = value;
+          pixels[idx * 4 + 3] = 255;
         }
         
         // Save the image
         await image.writeAsync(outputPath);
         
-        outputPaths[objectType] = outputPath;
-        console.log(`${objectType} placement mask saved to ${outputPath}`);
+        outputPaths[key] = outputPath;
+        console.log(`${key} placement mask saved to ${outputPath}`);
       }
       
       return outputPaths;
@@ -129,6 +210,203 @@ class ObjectPlacementGenerator {
       throw error;
     }
   }
+  
+  /**
+   * Save density maps as RGBA textures plus a JSON manifest
+   * Four entries are packed into each texture (R, G, B, A), using as many
+   * textures as needed: density_0.png, density_1.png, ... The manifest maps
+   * each entry to its texture and channel.
+   * @param {object} densityData - Density data from createDensityMaps
+   * @param {object} options - Density options
+   * @param {number} [options.densityBitDepth=8] - Bits per channel (8 or 16)
+   * @returns {Promise<object>} - Paths to the density textures and the manifest
+   */
+  static async saveDensityMaps(densityData, options = {}) {
+    try {
+      const bitDepth = options.densityBitDepth || 8;
+      if (bitDepth !== 8 && bitDepth !== 16) {
+        throw new Error(`Unsupported density bit depth: ${bitDepth} (expected 8 or 16)`);
+      }
+      
+      const outputDir = path.join(process.cwd(), 'output', 'objects');
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      
+      const { size, entries } = densityData;
+      const maxValue = bitDepth === 16 ? 65535 : 255;
+      const channelNames = ['r', 'g', 'b', 'a'];
+      const textureCount = Math.ceil(entries.length / 4);
+      const densityMaps = [];
+      const manifest = {
+        width: size,
+        height: size,
+        bitDepth,
+        textures: [],
+        entries: []
+      };
+      
+      for (let t = 0; t < textureCount; t++) {
+        const fileName = `density_${t}.png`;
+        const outputPath = path.join(outputDir, fileName);
+        const pixels = bitDepth === 16 ? new Uint16Array(size * size * 4) : Buffer.alloc(size * size * 4);
+        const channels = {};
+        
+        for (let c = 0; c < 4; c++) {
+          const e = t * 4 + c;
+          if (e >= entries.length) {
+            break;
+          }
+          
+          const values = entries[e].values;
+          for (let idx = 0; idx < size * size; idx++) {
+            pixels[idx * 4 + c] = Math.round(Math.min(1, Math.max(0, values[idx])) * maxValue);
+          }
+          
+          channels[channelNames[c]] = entries[e].key;
+          manifest.entries.push({
+            key: entries[e].key,
+            type: entries[e].type,
+            subType: entries[e].subType,
+            texture: fileName,
+            channel: channelNames[c]
+          });
+        }
+        
+        const png = new PNG({ width: size, height: size, bitDepth, colorType: 6, inputColorType: 6, inputHasAlpha: true });
+        png.data = pixels;
+        await fs.promises.writeFile(outputPath, PNG.sync.write(png, { bitDepth, colorType: 6, inputColorType: 6, inputHasAlpha: true }));
+        
+        manifest.textures.push({ file: fileName, channels });
+        densityMaps.push(outputPath);
+        console.log(`Density texture saved to ${outputPath}`);
+      }
+      
+      const manifestPath = path.join(outputDir, 'density_manifest.json');
+      await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+      console.log(`Density manifest saved to ${manifestPath}`);
+      
+      return { densityMaps, manifest: manifestPath };
+    } catch (error) {
+      console.error('Error saving density maps:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save grid terrain layers as 16-bit grayscale debug images
+   * Each layer is stretched over its own value range (flowAccumulation on a
+   * log scale, so drainage lines stand out) and written to
+   * output/objects/terrain/<layer>.png. terrain_layers.json records each
+   * image's range so pixel values can be mapped back to layer values.
+   * Non-finite values, such as waterDistance on a map without water, are
+   * left out of the range and drawn at its nearest end.
+   * @param {object} grid - Grid system with terrain and water layers
+   * @param {boolean|string[]} layerNames - true for every layer, or the names of the layers to save
+   * @returns {Promise<object>} - Paths to the layer images keyed by layer, and the manifest path
+   */
+  static async saveTerrainLayers(grid, layerNames) {
+    try {
+      const names = layerNames === true ? Object.keys(grid.layers) : [].concat(layerNames);
+      const unknown = names.filter(name => !grid.layers[name]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown terrain layer: ${unknown.join(', ')} (expected ${Object.keys(grid.layers).join(', ')})`);
+      }
+      
+      const outputDir = path.join(process.cwd(), 'output', 'objects', 'terrain');
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      
+      const size = grid.gridSize;
+      const layers = {};
+      const manifest = { width: size, height: size, bitDepth: 16, layers: {} };
+      
+      for (const name of names) {
+        const scale = name === 'flowAccumulation' ? 'log' : 'linear';
+        const toValue = scale === 'log' ? value => Math.log10(value) : value => value;
+        
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of grid.layers[name]) {
+          if (Number.isFinite(toValue(value))) {
+            min = Math.min(min, toValue(value));
+            max = Math.max(max, toValue(value));
+          }
+        }
+        if (min > max) {
+          min = 0;
+          max = 0;
+        }
+        const range = max - min || 1;
+        
+        const png = new PNG({ width: size, height: size, bitDepth: 16, colorType: 0, inputColorType: 0, inputHasAlpha: false });
+        png.data = new Uint16Array(size * size);
+        for (let i = 0; i < size * size; i++) {
+          const value = toValue(grid.layers[name][i]);
+          const clamped = Number.isFinite(value) ? value : (value > 0 ? max : min);
+          png.data[i] = Math.round((clamped - min) / range * 65535);
+        }
+        
+        const outputPath = path.join(outputDir, `${name}.png`);
+        await fs.promises.writeFile(outputPath, PNG.sync.write(png, { bitDepth: 16, colorType: 0, inputColorType: 0, inputHasAlpha: false }));
+        
+        layers[name] = outputPath;
+        manifest.layers[name] = { file: `${name}.png`, min, max, scale };
+      }
+      
+      const manifestPath = path.join(outputDir, 'terrain_layers.json');
+      await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+      console.log(`${names.length} terrain layers saved to ${outputDir}`);
+      
+      return { layers, manifest: manifestPath };
+    } catch (error) {
+      console.error('Error saving terrain layers:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save placement instances as JSON and CSV files
+   * @param {object[]} instances - Instance records
+   * @param {object} options - Pipeline options recorded in the JSON file (seed, terrain scale)
+   * @returns {Promise<object>} - Paths to the JSON and CSV files and the instance count
+   */
+  static async saveInstances(instances, options = {}) {
+    try {
+      const outputDir = path.join(process.cwd(), 'output', 'objects');
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      
+      const counts = {};
+      for (const instance of instances) {
+        counts[instance.type] = (counts[instance.type] || 0) + 1;
+      }
+      
+      const terrainScale = getTerrainScale(options);
+      const document = {
+        seed: options.seed,
+        worldSize: terrainScale.worldSize,
+        heightScale: terrainScale.heightScale,
+        // Meters, Y up: x runs east and z runs south from the map's north-west corner
+        coordinateSystem: 'y-up, x east, z south, meters, degrees',
+        counts,
+        instances
+      };
+      
+      const jsonPath = path.join(outputDir, 'instances.json');
+      const csvPath = path.join(outputDir, 'instances.csv');
+      await fs.promises.writeFile(jsonPath, JSON.stringify(document, null, 2));
+      await fs.promises.writeFile(csvPath, instancesToCSV(instances));
+      
+      console.log(`${instances.length} placement instances saved to ${jsonPath} and ${csvPath}`);
+      return { json: jsonPath, csv: csvPath, count: instances.length };
+    } catch (error) {
+      console.error('Error saving placement instances:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = ObjectPlacementGenerator; 
\ No newline at end of file
@@ -0,0 +1,227 @@
+/**
+ * Occupancy Layer
+ * Tracks the space claimed by placed objects so later object types keep clear of it
+ */
+
+const { objectDefinitions } = require('./objectDefinitions');
+
+// Size of the lookup buckets in meters
+const BUCKET_SIZE = 4;
+
+// Suitability left for overlapping types (canOverlap) on top of a claimed object
+const OVERLAP_SUITABILITY = 0.5;
+
+/**
+ * Create an occupancy layer for a map
+ * Object types are placed in priority order; each type that cannot overlap
+ * claims a footprint around every object it places. Later types lose the
+ * claimed space: non-overlapping types are blocked entirely and overlapping
+ * ones (e.g. grass under trees) keep reduced suitability. Clearance buffers
+ * between pairs of types block the space around the footprints as well.
+ * Claims are tagged with the placement entry that made them, so separate
+ * entries of one type (pine and oak trees) keep out of each other's footprints.
+ * @param {number} width - Map width in meters
+ * @param {number} height - Map height in meters
+ * @param {object} [clearanceOverrides={}] - Clearances in meters keyed by type, then by claimed type
+ *   (e.g. { tree: { building: 3 } }); these replace the definitions' placementRules.clearance
+ * @param {object} [definitions=objectDefinitions] - Object definitions keyed by type
+ * @returns {object} - Occupancy layer
+ */
+function createOccupancyLayer(width, height, clearanceOverrides = {}, definitions = objectDefinitions) {
+  const columns = Math.max(1, Math.ceil(width / BUCKET_SIZE));
+  const rows = Math.max(1, Math.ceil(height / BUCKET_SIZE));
+  const buckets = new Array(columns * rows);
+  const claimedTypes = new Set();
+  const clearanceTables = new Map(); // Clearances towards the claimed types, per type being placed
+  let maxRadius = 0;
+  
+  // Clearances a type must keep from each claimed type, and the largest of them
+  const getClearanceTable = type => {
+    let table = clearanceTables.get(type);
+    if (!table) {
+      table = { clearances: {}, maxClearance: 0 };
+      for (const claimedType of claimedTypes) {
+        table.clearances[claimedType] = layer.getClearance(type, claimedType);
+        table.maxClearance = Math.max(table.maxClearance, table.clearances[claimedType]);
+      }
+      clearanceTables.set(type, table);
+    }
+    return table;
+  };
+  
+  const layer = {
+    /**
+     * Claim circular footprints for placed objects
+     * @param {string} type - Object type that placed the objects
+     * @param {object[]} points - Object positions in meters ({ x, y })
+     * @param {number} radius - Footprint radius in meters
+     * @param {string} [key=type] - Placement entry that placed the objects (e.g. tree_pine)
+     */
+    claim: function(type, points, radius, key = type) {
+      for (const point of points) {
+        const column = Math.min(columns - 1, Math.floor(point.x / BUCKET_SIZE));
+        const row = Math.min(rows - 1, Math.floor(point.y / BUCKET_SIZE));
+        const index = row * columns + column;
+        (buckets[index] || (buckets[index] = [])).push({ type, key, x: point.x, y: point.y, radius });
+      }
+      
+      if (!claimedTypes.has(type)) {
+        claimedTypes.add(type);
+        clearanceTables.clear();
+      }
+      maxRadius = Math.max(maxRadius, radius);
+    },
+    
+    /**
+     * Get the clearance a type must keep from objects of a claimed type
+     * Either type can declare it; the larger value wins.
+     * @param {string} type - Object type being placed
+     * @param {string} claimedType - Object type that claimed the space
+     * @returns {number} - Clearance in meters
+     */
+    getClearance: function(type, claimedType) {
+      return Math.max(
+        lookupClearance(type, claimedType, clearanceOverrides, definitions),
+        lookupClearance(claimedType, type, clearanceOverrides, definitions)
+      );
+    },
+    
+    /**
+     * Get the suitability factor the claimed space leaves at a position
+     * @param {string} type - Object type being placed
+     * @param {boolean} canOverlap - Whether the type may overlap other objects
+     * @param {number} x - X position in meters
+     * @param {number} y - Y position in meters
+     * @param {string} [key=type] - Placement entry being placed (e.g. tree_pine)
+     * @returns {number} - 1 where free, OVERLAP_SUITABILITY on footprints an overlapping type may share, 0 where blocked
+     */
+    getSuitabilityFactor: function(type, canOverlap, x, y, key = type) {
+      if (claimedTypes.size === 0) {
+        return 1;
+      }
+      
+      const { clearances, maxClearance } = getClearanceTable(type);
+      const reach = Math.ceil((maxRadius + maxClearance) / BUCKET_SIZE);
+      const column = Math.floor(x / BUCKET_SIZE);
+      const row = Math.floor(y / BUCKET_SIZE);
+      let factor = 1;
+      
+      for (let r = Math.max(0, row - reach); r <= Math.min(rows - 1, row + reach); r++) {
+        for (let c = Math.max(0, column - reach); c <= Math.min(columns - 1, column + reach); c++) {
+          const bucket = buckets[r * columns + c];
+          if (!bucket) {
+            continue;
+          }
+          
+          for (const claim of bucket) {
+            if (claim.key === key) {
+              continue; // Spacing within an entry is left to the scatter step
+            }
+            
+            const clearance = clearances[claim.type];
+            const dx = claim.x - x;
+            const dy = claim.y - y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            if (distance < claim.radius + clearance) {
+              if (clearance > 0 || !canOverlap) {
+                return 0;
+              }
+              factor = OVERLAP_SUITABILITY;
+            }
+          }
+        }
+      }
+      
+      return factor;
+    },
+    
+    /**
+     * Get the suitability factors the claimed space leaves on every grid cell
+     * Same result as getSuitabilityFactor at each cell center, computed by
+     * stamping each claim onto the grid instead of querying every cell.
+     * @param {string} type - Object type being placed
+     * @param {boolean} canOverlap - Whether the type may overlap other objects
+     * @param {string} key - Placement entry being placed (e.g. tree_pine)
+     * @param {object} grid - Grid system
+     * @param {number} metersPerPixel - Horizontal scale of the grid's map
+     * @returns {Float32Array|null} - Factor per cell, or null if nothing constrains the entry
+     */
+    getSuitabilityFactors: function(type, canOverlap, key, grid, metersPerPixel) {
+      if (claimedTypes.size === 0) {
+        return null;
+      }
+      
+      const { clearances } = getClearanceTable(type);
+      const factors = new Float32Array(grid.cellCount).fill(1);
+      let stamped = false;
+      
+      for (const bucket of buckets) {
+        for (const claim of bucket || []) {
+          if (claim.key === key) {
+            continue; // Spacing within an entry is left to the scatter step
+          }
+          
+          const clearance = clearances[claim.type];
+          const blocks = clearance > 0 || !canOverlap;
+          stamped = true;
+          
+          // Strictly inside the footprint plus clearance, as in getSuitabilityFactor
+          const reach = (claim.radius + clearance) / metersPerPixel;
+          grid.forEachCellInRadius(claim.x / metersPerPixel, claim.y / metersPerPixel, reach, (index, distance) => {
+            if (distance >= reach) {
+              return;
+            }
+            if (blocks) {
+              factors[index] = 0;
+            } else if (factors[index] > 0) {
+              factors[index] = OVERLAP_SUITABILITY;
+            }
+          });
+        }
+      }
+      
+      return stamped ? factors : null;
+    },
+    
+    /**
+     * Get the positions claimed by a type
+     * @param {string} type - Object type
+     * @returns {object[]} - Claimed positions in meters ({ x, y })
+     */
+    getClaims: function(type) {
+      const claims = [];
+      for (const bucket of buckets) {
+        for (const claim of bucket || []) {
+          if (claim.type === type) {
+            claims.push(claim);
+          }
+        }
+      }
+      return claims;
+    }
+  };
+  
+  return layer;
+}
+
+/**
+ * Look up the clearance one type declares towards another
+ * @param {string} type - Declaring object type
+ * @param {string} otherType - Other object type
+ * @param {object} overrides - Clearance overrides keyed by type, then by other type
+ * @param {object} definitions - Object definitions keyed by type
+ * @returns {number} - Clearance in meters (0 if none is declared)
+ */
+function lookupClearance(type, otherType, overrides, definitions) {
+  if (overrides[type] && overrides[type][otherType] !== undefined) {
+    return overrides[type][otherType];
+  }
+  
+  const clearance = definitions[type] && definitions[type].placementRules.clearance;
+  return (clearance && clearance[otherType]) || 0;
+}
+
+module.exports = {
+  createOccupancyLayer
+};
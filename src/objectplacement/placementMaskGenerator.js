@@ -4,81 +4,296 @@
  */
 
 const { objectDefinitions } = require('./objectDefinitions');
+const { poissonDiskSample } = require('./poissonDiskSampler');
+const { createOccupancyLayer } = require('./occupancyLayer');
+const { prepareRules, applyRules } = require('./suitabilityRules');
+const { getElevationClass, TERRAIN_FEATURES } = require('./terrainAnalyzer');
+const { deriveRandom, resolveSeed } = require('../utils/random');
+const { getMetersPerPixel } = require('../utils/terrainMetrics');
+const { createBiomeFilter } = require('../biome/biomeClassifier');
+
+// Spacing in the least suitable cells, as a multiple of minDistanceToSameType
+const MAX_SPACING_SCALE = 4;
+
+// "Near the river/lake" means this close to water, in meters
+const NEAR_WATER_DISTANCE = 100;
 
 /**
- * Generate placement masks for each object type
+ * Generate placement masks for each placement entry
+ * Every type/subtype entry gets its own mask, keyed `<type>_<subType>` (e.g.
+ * tree_pine). A blend entry is scattered once over its combined suitability
+ * and its objects are then shared out into one mask per blended subtype.
  * @param {object} objectsData - Parsed object data from the prompt
  * @param {object} grid - Grid system with terrain data
- * @returns {Promise<object>} - Placement masks for each object type
+ * @param {object} options - Placement options
+ * @param {string|number} [options.seed] - Seed for deterministic placement
+ * @param {number} [options.worldSize] - Map width in meters, the unit of minDistanceToSameType
+ * @param {object} [options.clearance] - Clearance overrides in meters keyed by type, then by
+ *   higher-priority type (e.g. { tree: { building: 3 } })
+ * @param {object} [options.definitions] - Object definitions keyed by type (defaults to the built-ins)
+ * @returns {Promise<object>} - Placement masks ({ type, subType, grid, width, height, cells, density, points? }) keyed by entry
  */
-async function generatePlacementMasks(objectsData, grid) {
+async function generatePlacementMasks(objectsData, grid, options = {}) {
   console.log('Generating placement masks for objects');
   
+  const seed = resolveSeed(options.seed);
+  const metersPerPixel = getMetersPerPixel(grid.width, options);
+  const definitions = options.definitions || objectDefinitions;
   const placementMasks = {};
   
+  // Space claimed by the objects placed so far, shared by all types
+  const occupancy = createOccupancyLayer(grid.width * metersPerPixel, grid.height * metersPerPixel, options.clearance, definitions);
+  
   // Sort objects by priority (higher priority objects get placed first)
   const sortedObjects = [...objectsData.objects].sort((a, b) => {
-    const objDefA = objectDefinitions[a.type] || { priority: 999 };
-    const objDefB = objectDefinitions[b.type] || { priority: 999 };
+    const objDefA = definitions[a.type] || { priority: 999 };
+    const objDefB = definitions[b.type] || { priority: 999 };
     return objDefA.priority - objDefB.priority;
   });
   
-  // Process each object type
-  for (const objectData of sortedObjects) {
-    console.log(`Processing placement for object type: ${objectData.type}`);
-    
+  // Process each placement entry
+  for (const entry of sortedObjects) {
     // Get object definition
-    const objectDef = objectDefinitions[objectData.type];
+    const objectDef = definitions[entry.type];
     if (!objectDef) {
-      console.warn(`No definition found for object type: ${objectData.type}`);
+      console.warn(`No definition found for object type: ${entry.type}`);
       continue;
     }
     
-    // Initialize placement mask for this object type
-    placementMasks[objectData.type] = {
+    const objectData = { ...entry, key: getPlacementKey(entry) };
+    console.log(`Processing placement for ${objectData.key}`);
+    
+    // Initialize placement mask for this entry
+    const mask = {
+      type: objectData.type,
+      subType: objectData.subType,
       grid: grid.gridSize,
       width: grid.width,
       height: grid.height,
-      cells: new Array(grid.cells.length).fill(0) // 0 = cannot place, 1 = can place
+      cells: new Uint8Array(grid.cellCount) // 0 = cannot place, 1 = can place
     };
     
-    // Calculate suitability for each cell
-    calculateObjectSuitability(objectData, objectDef, grid);
+    // Calculate suitability for each cell, minus the space higher-priority objects claimed
+    const context = { grid, layers: grid.layers, metersPerPixel, occupancy };
+    if (objectData.blend) {
+      calculateBlendSuitability(objectData, objectDef, grid, context);
+    } else {
+      calculateObjectSuitability(objectData, objectDef, grid, context);
+    }
+    applyOccupancy(objectData, objectDef, grid, occupancy, metersPerPixel);
+    mask.density = captureDensity(objectData, grid);
+    
+    // Create the placement mask from this entry's own random stream
+    const random = deriveRandom(seed, 'placement', objectData.key);
+    createPlacementMask(objectData, mask, grid, random);
     
-    // Create the placement mask
-    createPlacementMask(objectData, placementMasks[objectData.type], grid);
+    // Thin the mask to blue-noise points that keep their distance
+    scatterPoints(objectData, objectDef, mask, grid, random, metersPerPixel, occupancy);
+    
+    // Non-overlapping objects claim their space from the entries placed after them
+    if (!objectDef.placementRules.canOverlap) {
+      claimOccupancy(objectData, objectDef, mask, grid, occupancy, metersPerPixel);
+    }
     
-    console.log(`Placement mask for ${objectData.type} generated`);
+    if (objectData.blend) {
+      Object.assign(placementMasks, splitBlend(objectData, mask, grid, random, metersPerPixel));
+    } else {
+      placementMasks[objectData.key] = mask;
+    }
+    
+    // Suitability lives on in the mask's density; free it for the next entries
+    for (const key of Object.keys(grid.suitability)) {
+      delete grid.suitability[key];
+    }
+    
+    console.log(`Placement mask for ${objectData.key} generated`);
   }
   
   return placementMasks;
 }
 
 /**
- * Calculate object placement suitability for each cell
- * @param {object} objectData - Object data from the prompt
+ * Get the key of a placement entry
+ * @param {object} objectData - Placement entry ({ type, subType, blend? })
+ * @returns {string} - `<type>_<subType>`, or the type followed by every blended subtype
+ */
+function getPlacementKey(objectData) {
+  const subTypes = objectData.blend ? objectData.blend.map(member => member.subType) : [objectData.subType];
+  return [objectData.type, ...subTypes].join('_');
+}
+
+/**
+ * Calculate the suitability of a blend
+ * Each blended subtype's suitability is calculated under its own key and the
+ * blend's suitability is their weighted sum.
+ * @param {object} objectData - Blend entry
  * @param {object} objectDef - Object definition
+ * @param {object} grid - Grid system with terrain and water data
+ * @param {object} context - Rule context ({ grid, layers, metersPerPixel, occupancy })
+ */
+function calculateBlendSuitability(objectData, objectDef, grid, context) {
+  const members = objectData.blend.map(member => ({
+    ...member,
+    key: getPlacementKey({ type: objectData.type, subType: member.subType })
+  }));
+  
+  for (const member of members) {
+    const memberData = { ...objectData, subType: member.subType, key: member.key };
+    delete memberData.blend;
+    calculateObjectSuitability(memberData, objectDef, grid, context);
+  }
+  
+  const suitability = grid.getSuitability(objectData.key);
+  for (const member of members) {
+    const memberSuitability = grid.suitability[member.key];
+    for (let i = 0; i < grid.cellCount; i++) {
+      suitability[i] += member.weight * memberSuitability[i];
+    }
+  }
+}
+
+/**
+ * Capture an entry's final suitability as a continuous density
+ * This is the score after terrain, rules, prompt density and occupancy, the
+ * same value the mask was drawn from, clamped to 0-1.
+ * @param {object} objectData - Placement entry (with its key)
+ * @param {object} grid - Grid system with suitability scores
+ * @returns {Float32Array} - Density per grid cell
+ */
+function captureDensity(objectData, grid) {
+  const density = Float32Array.from(grid.suitability[objectData.key]);
+  for (let i = 0; i < density.length; i++) {
+    density[i] = Math.min(1, density[i]);
+  }
+  return density;
+}
+
+/**
+ * Share a blend's placed objects out among its subtypes
+ * Each object goes to a subtype with probability proportional to the
+ * subtype's weight times its own suitability at the object's cell, so the
+ * weights set the mix where the subtypes suit the ground equally and each
+ * subtype leans towards the ground its rules prefer. The blend's density is
+ * shared out the same way, by each subtype's expected share of each cell.
+ * @param {object} objectData - Blend entry
+ * @param {object} mask - Placement mask of the whole blend
  * @param {object} grid - Grid system with terrain data
+ * @param {function(): number} random - Random number generator for the blend
+ * @param {number} metersPerPixel - Horizontal scale of the heightmap
+ * @returns {object} - One placement mask per blended subtype, keyed by entry
+ */
+function splitBlend(objectData, mask, grid, random, metersPerPixel) {
+  const members = objectData.blend.map(member => {
+    const key = getPlacementKey({ type: objectData.type, subType: member.subType });
+    const memberMask = {
+      ...mask,
+      subType: member.subType,
+      cells: new Uint8Array(mask.cells.length),
+      density: new Float32Array(mask.density.length)
+    };
+    if (mask.points) {
+      memberMask.points = [];
+    }
+    return { ...member, key, suitability: grid.suitability[key], mask: memberMask };
+  });
+  
+  const getShares = index => {
+    const weights = members.map(member => member.weight * member.suitability[index]);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return total > 0 ? weights.map(weight => weight / total) : members.map((member, i) => (i === 0 ? 1 : 0));
+  };
+  
+  for (let i = 0; i < mask.density.length; i++) {
+    if (mask.density[i] > 0) {
+      getShares(i).forEach((share, m) => { members[m].mask.density[i] = mask.density[i] * share; });
+    }
+  }
+  
+  const pickMember = index => {
+    const shares = getShares(index);
+    let threshold = random();
+    for (let i = 0; i < members.length; i++) {
+      threshold -= shares[i];
+      if (threshold < 0) {
+        return members[i];
+      }
+    }
+    return members[members.length - 1];
+  };
+  
+  if (mask.points) {
+    for (const point of mask.points) {
+      const index = grid.indexAt(point.x / metersPerPixel, point.y / metersPerPixel);
+      const member = pickMember(index);
+      member.mask.points.push(point);
+      member.mask.cells[index] = 1;
+    }
+  } else {
+    for (let i = 0; i < mask.cells.length; i++) {
+      if (mask.cells[i] === 1) {
+        pickMember(i).mask.cells[i] = 1;
+      }
+    }
+  }
+  
+  const masks = {};
+  for (const member of members) {
+    masks[member.key] = member.mask;
+  }
+  console.log(`Split ${objectData.key} blend: ${members.map(member =>
+    `${member.subType} ${member.mask.points ? member.mask.points.length : countActive(member.mask.cells)}`).join(', ')}`);
+  
+  return masks;
+}
+
+/**
+ * Calculate object placement suitability for each cell
+ * The type's placementRules set hard limits; the subtype's customRules are
+ * resolved through the suitability rule registry. Scores are stored in the
+ * grid's suitability array for the entry's key. Entries the biome map
+ * picked (see selectBiomeSubtypes) are kept within their `biomes`.
+ * @param {object} objectData - Placement entry (with its key)
+ * @param {object} objectDef - Object definition
+ * @param {object} grid - Grid system with terrain and water data
+ * @param {object} context - Rule context ({ grid, layers, metersPerPixel, occupancy })
  */
-function calculateObjectSuitability(objectData, objectDef, grid) {
+function calculateObjectSuitability(objectData, objectDef, grid, context) {
   const placementRules = objectDef.placementRules;
-  const subTypeRules = objectDef.subtypes[objectData.subType]?.customRules || {};
+  const subtype = objectDef.subtypes[objectData.subType];
+  const subTypeRules = (subtype && subtype.customRules) || {};
+  const ruleContext = { ...context, placementRules };
+  const rules = prepareRules(subTypeRules, ruleContext, `${objectData.type}.${objectData.subType}`);
+  const { height, grade, isWater, biome } = grid.layers;
+  const biomeFilter = objectData.biomes && biome ? createBiomeFilter(objectData.biomes) : null;
+  const suitabilities = grid.getSuitability(objectData.key);
   
   // Process each cell in the grid
-  for (const cell of grid.cells) {
+  for (let i = 0; i < grid.cellCount; i++) {
     // Initialize suitability score
-    cell.suitability[objectData.type] = 0;
+    suitabilities[i] = 0;
     
     // Check if cell meets basic requirements
-    if (cell.properties.slope > placementRules.maxSlope) {
+    if (grade[i] > placementRules.maxSlope) {
       continue; // Slope too steep
     }
     
-    if (cell.properties.height < placementRules.minHeight || 
-        cell.properties.height > placementRules.maxHeight) {
+    if (height[i] < placementRules.minHeight || 
+        height[i] > placementRules.maxHeight) {
       continue; // Height out of range
     }
     
+    if (placementRules.avoidWater && isWater[i]) {
+      continue; // Land object in water
+    }
+    
+    if (placementRules.requireWater && !isWater[i]) {
+      continue; // Water object on land
+    }
+    
+    if (biomeFilter && !biomeFilter[biome[i]]) {
+      continue; // Outside the subtype's biomes
+    }
+    
     // Start with base suitability score
     let suitability = 1.0;
     
@@ -87,7 +302,7 @@ function calculateObjectSuitability(objectData, objectDef, grid) {
       // Check if we should use terrain association
       if (objectData.location.terrain) {
         // Check if cell has terrain features matching the required terrain
-        const hasTerrain = cellHasTerrainFeature(cell, objectData.location.terrain);
+        const hasTerrain = cellHasTerrainFeature(i, grid.layers, objectData.location.terrain);
         if (!hasTerrain) {
           suitability *= 0.1; // Greatly reduce suitability for non-matching terrain
         } else {
@@ -96,8 +311,8 @@ function calculateObjectSuitability(objectData, objectDef, grid) {
       } else {
         // Use location-based placement
         const distance = calculateDistance(
-          cell.centerX / grid.width, 
-          cell.centerY / grid.height,
+          grid.centerX(i) / grid.width, 
+          grid.centerY(i) / grid.height,
           objectData.location.x, 
           objectData.location.y
         );
@@ -113,39 +328,13 @@ function calculateObjectSuitability(objectData, objectDef, grid) {
     }
     
     // Apply subtype-specific rules
-    if (subTypeRules.preferHigherElevation) {
-      suitability *= 0.5 + cell.properties.height * 0.5;
-    }
-    
-    if (subTypeRules.preferLowerElevation) {
-      suitability *= 1.0 - cell.properties.height * 0.5;
-    }
-    
-    if (subTypeRules.preferSteepSlopes) {
-      suitability *= 0.5 + (cell.properties.slope / placementRules.maxSlope) * 0.5;
-    }
-    
-    if (subTypeRules.requireFlatArea && !cell.properties.terrainFeatures.isFlat) {
-      suitability *= 0.1;
-    }
-    
-    if (subTypeRules.requireWaterAccess) {
-      // Check if any neighboring cells have water (simplified)
-      const neighbors = grid.getNeighbors(cell);
-      const hasWaterNeighbor = neighbors.some(n => 
-        n.properties.height < 0.1 && n.properties.terrainFeatures.elevationClass === 'lowland'
-      );
-      
-      if (!hasWaterNeighbor) {
-        suitability *= 0.1;
-      }
-    }
+    suitability *= applyRules(rules, i, ruleContext);
     
     // Apply density factor
     suitability *= objectData.density;
     
     // Store the suitability score
-    cell.suitability[objectData.type] = suitability;
+    suitabilities[i] = suitability;
   }
 }
 
@@ -154,28 +343,29 @@ function calculateObjectSuitability(objectData, objectDef, grid) {
  * @param {object} objectData - Object data from the prompt
  * @param {object} mask - Placement mask data
  * @param {object} grid - Grid system with terrain data
+ * @param {function(): number} random - Random number generator for this object type
  */
-function createPlacementMask(objectData, mask, grid) {
+function createPlacementMask(objectData, mask, grid, random) {
   // Get distribution method
   const distribution = objectData.distribution || 'random';
   
   // Process cells based on distribution method
   switch (distribution) {
     case 'natural':
-      createNaturalDistributionMask(objectData, mask, grid);
+      createNaturalDistributionMask(objectData, mask, grid, random);
       break;
       
     case 'clustered':
-      createClusteredDistributionMask(objectData, mask, grid);
+      createClusteredDistributionMask(objectData, mask, grid, random);
       break;
       
     case 'water':
-      createWaterDistributionMask(objectData, mask, grid);
+      createWaterDistributionMask(objectData, mask, grid, random);
       break;
       
     case 'random':
     default:
-      createRandomDistributionMask(objectData, mask, grid);
+      createRandomDistributionMask(objectData, mask, grid, random);
       break;
   }
 }
@@ -185,53 +375,50 @@ function createPlacementMask(objectData, mask, grid) {
  * @param {object} objectData - Object data from the prompt
  * @param {object} mask - Placement mask data
  * @param {object} grid - Grid system with terrain data
+ * @param {function(): number} random - Random number generator for this object type
  */
-function createNaturalDistributionMask(objectData, mask, grid) {
+function createNaturalDistributionMask(objectData, mask, grid, random) {
   // Natural distribution uses suitability as a probability factor
   // and adds clustering through cellular automata rules
+  const suitabilities = grid.suitability[objectData.key];
   
   // First, set initial mask values based on suitability thresholds
   const suitabilityThreshold = 0.3;
   
-  for (let i = 0; i < grid.cells.length; i++) {
-    const cell = grid.cells[i];
-    const suitability = cell.suitability[objectData.type] || 0;
+  for (let i = 0; i < grid.cellCount; i++) {
+    const suitability = suitabilities[i];
     
     // Apply suitability threshold with some randomness
-    if (suitability > suitabilityThreshold && Math.random() < suitability) {
+    if (suitability > suitabilityThreshold && random() < suitability) {
       mask.cells[i] = 1;
     }
   }
   
   // Apply cellular automata rules to create natural clustering
+  const neighbors = new Int32Array(8);
   const iterations = 2;
   for (let iter = 0; iter < iterations; iter++) {
-    const newMask = [...mask.cells];
+    const newMask = mask.cells.slice();
     
-    for (let i = 0; i < grid.cells.length; i++) {
-      const cell = grid.cells[i];
-      
-      // Get neighbors
-      const neighbors = grid.getNeighbors(cell);
-      
+    for (let i = 0; i < grid.cellCount; i++) {
       // Count neighbors with mask value 1
-      const activeNeighbors = neighbors.filter(n => {
-        const idx = n.gridY * grid.gridSize + n.gridX;
-        return mask.cells[idx] === 1;
-      }).length;
+      const neighborCount = grid.getNeighbors(i, neighbors);
+      let activeNeighbors = 0;
+      for (let n = 0; n < neighborCount; n++) {
+        activeNeighbors += mask.cells[neighbors[n]];
+      }
       
       // Apply cellular automata rules
-      const idx = cell.gridY * grid.gridSize + cell.gridX;
-      if (mask.cells[idx] === 1) {
+      if (mask.cells[i] === 1) {
         // Survival rule: remain active if 2-6 active neighbors
         if (activeNeighbors < 2 || activeNeighbors > 6) {
-          newMask[idx] = 0;
+          newMask[i] = 0;
         }
       } else {
         // Birth rule: become active if 3-4 active neighbors
         if (activeNeighbors >= 3 && activeNeighbors <= 4 && 
-            cell.suitability[objectData.type] > suitabilityThreshold * 0.7) {
-          newMask[idx] = 1;
+            suitabilities[i] > suitabilityThreshold * 0.7) {
+          newMask[i] = 1;
         }
       }
     }
@@ -246,59 +433,51 @@ function createNaturalDistributionMask(objectData, mask, grid) {
  * @param {object} objectData - Object data from the prompt
  * @param {object} mask - Placement mask data
  * @param {object} grid - Grid system with terrain data
+ * @param {function(): number} random - Random number generator for this object type
  */
-function createClusteredDistributionMask(objectData, mask, grid) {
+function createClusteredDistributionMask(objectData, mask, grid, random) {
   // Clustered distribution creates concentrated groups of objects
+  const suitabilities = grid.suitability[objectData.key];
   
-  // Find cells with high suitability to use as cluster centers
-  const clusterCenters = [];
+  // Keep the most suitable cells as cluster centers, highest first (earlier
+  // cells win ties), limited to a reasonable number of clusters
+  const maxClusters = 5;
   const suitabilityThreshold = 0.6;
+  const finalCenters = [];
   
-  for (let i = 0; i < grid.cells.length; i++) {
-    const cell = grid.cells[i];
-    const suitability = cell.suitability[objectData.type] || 0;
+  for (let i = 0; i < grid.cellCount; i++) {
+    const suitability = suitabilities[i];
+    if (suitability <= suitabilityThreshold) {
+      continue;
+    }
     
-    if (suitability > suitabilityThreshold) {
-      clusterCenters.push(cell);
+    let rank = finalCenters.length;
+    while (rank > 0 && suitabilities[finalCenters[rank - 1]] < suitability) {
+      rank--;
+    }
+    if (rank < maxClusters) {
+      finalCenters.splice(rank, 0, i);
+      finalCenters.length = Math.min(finalCenters.length, maxClusters);
     }
   }
   
-  // Sort centers by suitability (highest first)
-  clusterCenters.sort((a, b) => 
-    (b.suitability[objectData.type] || 0) - (a.suitability[objectData.type] || 0)
-  );
-  
-  // Limit to a reasonable number of clusters
-  const maxClusters = 5;
-  const finalCenters = clusterCenters.slice(0, maxClusters);
-  
   // Create clusters around the centers
   const clusterRadius = grid.width * 0.1; // 10% of map width
   
   for (const center of finalCenters) {
-    // Get cells within cluster radius
-    const clusterCells = grid.getCellsInRadius(center.centerX, center.centerY, clusterRadius);
-    
-    // Activate cells with probability based on:
+    // Activate cells within the cluster radius with probability based on:
     // 1. Distance from center (closer = higher probability)
     // 2. Suitability (higher = higher probability)
-    for (const cell of clusterCells) {
-      const distance = Math.sqrt(
-        Math.pow(cell.centerX - center.centerX, 2) + 
-        Math.pow(cell.centerY - center.centerY, 2)
-      );
-      
+    grid.forEachCellInRadius(grid.centerX(center), grid.centerY(center), clusterRadius, (i, distance) => {
       const distanceFactor = 1.0 - (distance / clusterRadius);
-      const suitability = cell.suitability[objectData.type] || 0;
       
       // Calculate placement probability
-      const probability = distanceFactor * suitability;
+      const probability = distanceFactor * suitabilities[i];
       
-      if (Math.random() < probability) {
-        const idx = cell.gridY * grid.gridSize + cell.gridX;
-        mask.cells[idx] = 1;
+      if (random() < probability) {
+        mask.cells[i] = 1;
       }
-    }
+    });
   }
 }
 
@@ -307,17 +486,16 @@ function createClusteredDistributionMask(objectData, mask, grid) {
  * @param {object} objectData - Object data from the prompt
  * @param {object} mask - Placement mask data
  * @param {object} grid - Grid system with terrain data
+ * @param {function(): number} random - Random number generator for this object type
  */
-function createRandomDistributionMask(objectData, mask, grid) {
+function createRandomDistributionMask(objectData, mask, grid, random) {
   // Random distribution places objects based purely on suitability
   // with no additional patterns
+  const suitabilities = grid.suitability[objectData.key];
   
-  for (let i = 0; i < grid.cells.length; i++) {
-    const cell = grid.cells[i];
-    const suitability = cell.suitability[objectData.type] || 0;
-    
+  for (let i = 0; i < grid.cellCount; i++) {
     // Use suitability as probability
-    if (Math.random() < suitability) {
+    if (random() < suitabilities[i]) {
       mask.cells[i] = 1;
     }
   }
@@ -328,47 +506,168 @@ function createRandomDistributionMask(objectData, mask, grid) {
  * @param {object} objectData - Object data from the prompt
  * @param {object} mask - Placement mask data
  * @param {object} grid - Grid system with terrain data
+ * @param {function(): number} random - Random number generator for this object type
  */
-function createWaterDistributionMask(objectData, mask, grid) {
-  // Water distribution places objects in water or along shorelines
+function createWaterDistributionMask(objectData, mask, grid, random) {
+  // Water distribution places objects in water or along shorelines;
+  // the water rules have already shaped the suitability
+  const suitabilities = grid.suitability[objectData.key];
   
-  for (let i = 0; i < grid.cells.length; i++) {
-    const cell = grid.cells[i];
-    const suitability = cell.suitability[objectData.type] || 0;
-    
-    // Check if cell is water or near water
-    const isWater = cell.properties.height < 0.1;
-    
-    // For objects that require deep water
-    const isDeepWater = cell.properties.height < 0.05;
-    
-    // For objects that require water edges
-    const isWaterEdge = !isWater && grid.getNeighbors(cell).some(n => 
-      n.properties.height < 0.1
-    );
-    
-    let waterSuitability = 0;
-    
-    // Get object definition and subtype rules
-    const objectDef = objectDefinitions[objectData.type];
-    const subTypeRules = objectDef?.subtypes[objectData.subType]?.customRules || {};
+  for (let i = 0; i < grid.cellCount; i++) {
+    // Apply suitability as probability
+    if (random() < suitabilities[i]) {
+      mask.cells[i] = 1;
+    }
+  }
+}
+
+/**
+ * Scatter object points over a placement mask with Poisson-disk sampling
+ * Points keep at least minDistanceToSameType (in meters) from each other. The
+ * spacing grows as suitability drops, so the most suitable cells pack objects
+ * as tightly as the rule allows while marginal cells spread them out. The
+ * mask is reduced to the cells that received a point, and the points are kept
+ * on the mask (mask.points, in meters) for instance output.
+ * @param {object} objectData - Object data from the prompt
+ * @param {object} objectDef - Object definition
+ * @param {object} mask - Placement mask data, modified in place
+ * @param {object} grid - Grid system with terrain data
+ * @param {function(): number} random - Random number generator for this object type
+ * @param {number} metersPerPixel - Horizontal scale of the heightmap
+ * @param {object} occupancy - Occupancy layer of the objects placed so far
+ */
+function scatterPoints(objectData, objectDef, mask, grid, random, metersPerPixel, occupancy) {
+  const minDistance = objectDef.placementRules.minDistanceToSameType;
+  if (!(minDistance > 0)) {
+    return;
+  }
+  
+  const suitabilities = grid.suitability[objectData.key];
+  const spacingAt = (x, y) => {
+    const index = grid.indexAt(x / metersPerPixel, y / metersPerPixel);
+    if (index === -1 || mask.cells[index] !== 1) {
+      return 0;
+    }
     
-    // Adjust suitability based on water requirements
-    if (subTypeRules.requireDeepWater && isDeepWater) {
-      waterSuitability = suitability;
-    } else if (subTypeRules.requireWaterEdge && isWaterEdge) {
-      waterSuitability = suitability;
-    } else if (!subTypeRules.requireDeepWater && !subTypeRules.requireWaterEdge && isWater) {
-      waterSuitability = suitability;
-    } else {
-      waterSuitability = 0; // Not suitable for this water object
+    // Density of points follows suitability: spacing ~ 1 / sqrt(suitability)
+    const suitability = Math.min(1, suitabilities[index]);
+    if (suitability <= 0) {
+      return 0;
+    }
+    if (occupancy.getSuitabilityFactor(objectData.type, objectDef.placementRules.canOverlap, x, y, objectData.key) === 0) {
+      return 0; // Inside another object's footprint or clearance
+    }
+    return minDistance * Math.min(MAX_SPACING_SCALE, 1 / Math.sqrt(suitability));
+  };
+  
+  // Seed from the active cells in random order so each region is reached.
+  // Sampling grows outwards from every seed, so one seed per block of cells
+  // about minDistance wide is enough, which keeps fine grids from seeding
+  // millions of points.
+  const blockCells = Math.max(1, Math.ceil(minDistance / (grid.cellWidth * metersPerPixel)));
+  const blockColumns = Math.ceil(grid.gridSize / blockCells);
+  const seededBlocks = new Uint8Array(blockColumns * blockColumns);
+  const seeds = [];
+  for (let i = 0; i < mask.cells.length; i++) {
+    if (mask.cells[i] !== 1) {
+      continue;
     }
     
-    // Apply water suitability as probability
-    if (Math.random() < waterSuitability) {
-      mask.cells[i] = 1;
+    const gridX = i % grid.gridSize;
+    const gridY = Math.floor(i / grid.gridSize);
+    const block = Math.floor(gridY / blockCells) * blockColumns + Math.floor(gridX / blockCells);
+    if (!seededBlocks[block]) {
+      seededBlocks[block] = 1;
+      seeds.push({
+        x: (gridX + random()) * grid.cellWidth * metersPerPixel,
+        y: (gridY + random()) * grid.cellHeight * metersPerPixel
+      });
+    }
+  }
+  for (let i = seeds.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [seeds[i], seeds[j]] = [seeds[j], seeds[i]];
+  }
+  
+  const points = poissonDiskSample({
+    width: grid.width * metersPerPixel,
+    height: grid.height * metersPerPixel,
+    minDistance,
+    maxDistance: minDistance * MAX_SPACING_SCALE,
+    spacingAt,
+    seeds
+  }, random);
+  
+  // Keep only the cells that received a point
+  mask.cells.fill(0);
+  for (const point of points) {
+    mask.cells[grid.indexAt(point.x / metersPerPixel, point.y / metersPerPixel)] = 1;
+  }
+  mask.points = points.map(point => ({ x: point.x, y: point.y }));
+  
+  console.log(`Scattered ${points.length} ${objectData.key} points at least ${minDistance} m apart`);
+}
+
+/**
+ * Reduce cell suitability where higher-priority objects claimed the space
+ * @param {object} objectData - Object data from the prompt
+ * @param {object} objectDef - Object definition
+ * @param {object} grid - Grid system with terrain data
+ * @param {object} occupancy - Occupancy layer of the objects placed so far
+ * @param {number} metersPerPixel - Horizontal scale of the heightmap
+ */
+function applyOccupancy(objectData, objectDef, grid, occupancy, metersPerPixel) {
+  const canOverlap = Boolean(objectDef.placementRules.canOverlap);
+  const factors = occupancy.getSuitabilityFactors(objectData.type, canOverlap, objectData.key, grid, metersPerPixel);
+  if (!factors) {
+    return; // Nothing claimed yet
+  }
+  
+  const suitabilities = grid.suitability[objectData.key];
+  for (let i = 0; i < grid.cellCount; i++) {
+    suitabilities[i] *= factors[i];
+  }
+}
+
+/**
+ * Claim the footprints of a type's placed objects in the occupancy layer
+ * Scattered objects claim a circle of half their minimum spacing; masks
+ * without scattered points claim their active cells.
+ * @param {object} objectData - Object data from the prompt
+ * @param {object} objectDef - Object definition
+ * @param {object} mask - Placement mask data
+ * @param {object} grid - Grid system with terrain data
+ * @param {object} occupancy - Occupancy layer
+ * @param {number} metersPerPixel - Horizontal scale of the heightmap
+ */
+function claimOccupancy(objectData, objectDef, mask, grid, occupancy, metersPerPixel) {
+  if (mask.points) {
+    occupancy.claim(objectData.type, mask.points, objectDef.placementRules.minDistanceToSameType / 2, objectData.key);
+    return;
+  }
+  
+  const centers = [];
+  for (let i = 0; i < mask.cells.length; i++) {
+    if (mask.cells[i] === 1) {
+      centers.push({ x: grid.centerX(i) * metersPerPixel, y: grid.centerY(i) * metersPerPixel });
     }
   }
+  
+  // Half the cell diagonal covers the whole cell
+  occupancy.claim(objectData.type, centers, Math.hypot(grid.cellWidth, grid.cellHeight) / 2 * metersPerPixel, objectData.key);
+}
+
+/**
+ * Count the active cells of a mask
+ * @param {Uint8Array} cells - Mask cells (0 or 1)
+ * @returns {number} - Number of active cells
+ */
+function countActive(cells) {
+  let count = 0;
+  for (let i = 0; i < cells.length; i++) {
+    count += cells[i];
+  }
+  return count;
 }
 
 /**
@@ -385,33 +684,34 @@ function calculateDistance(x1, y1, x2, y2) {
 
 /**
  * Check if a cell has a specific terrain feature
- * @param {object} cell - Grid cell
+ * @param {number} index - Cell index
+ * @param {object} layers - Grid layers
  * @param {string} terrainType - Required terrain type
  * @returns {boolean} - True if the cell has the terrain feature
  */
-function cellHasTerrainFeature(cell, terrainType) {
-  const features = cell.properties.terrainFeatures;
+function cellHasTerrainFeature(index, layers, terrainType) {
+  const { height, grade, features, waterDistance } = layers;
   
   switch (terrainType) {
     case 'mountains':
-      return features.elevationClass === 'highland' && features.slope > 0.2;
+      return getElevationClass(height[index]) === 'highland' && grade[index] > 0.2;
       
     case 'hills':
-      return features.elevationClass === 'midland' && features.slope > 0.1;
+      return getElevationClass(height[index]) === 'midland' && grade[index] > 0.1;
       
     case 'flatlands':
-      return features.isFlat;
+      return (features[index] & TERRAIN_FEATURES.FLAT) !== 0;
       
     case 'river':
     case 'lake':
-      return cell.properties.height < 0.1;
+      return waterDistance[index] <= NEAR_WATER_DISTANCE;
       
     case 'forest':
       // In a real implementation, this would check for existing forest cover
       // For now, just use suitable areas for trees
-      return cell.properties.slope < 0.15 && 
-             cell.properties.height > 0.05 && 
-             cell.properties.height < 0.8;
+      return grade[index] < 0.15 && 
+             height[index] > 0.05 && 
+             height[index] < 0.8;
       
     default:
       return false;
@@ -0,0 +1,118 @@
+/**
+ * Poisson Disk Sampler
+ * Blue-noise point sampling with a spacing that can vary across the map
+ */
+
+// Candidate points tried around each active point before it is retired
+const DEFAULT_ATTEMPTS = 20;
+
+/**
+ * Scatter points so that no two are closer than their spacing
+ * Bridson's algorithm with a variable radius: every point gets the spacing
+ * returned by spacingAt at its position, and two points must be at least the
+ * larger of their spacings apart. Sampling grows outwards from each seed
+ * point in turn, so every region reached by a seed is filled, and regions
+ * where spacingAt returns 0 stay empty.
+ * @param {object} options - Sampling options
+ * @param {number} options.width - Width of the sampled area
+ * @param {number} options.height - Height of the sampled area
+ * @param {number} options.minDistance - Smallest spacing spacingAt can return
+ * @param {number} options.maxDistance - Largest spacing spacingAt can return
+ * @param {function(number, number): number} options.spacingAt - Spacing at a position, or 0 where no point may be placed
+ * @param {object[]} options.seeds - Starting points ({ x, y }), tried in order
+ * @param {number} [options.attempts=20] - Candidates tried around each point
+ * @param {function(): number} random - Random number generator
+ * @returns {object[]} - Points ({ x, y, radius })
+ */
+function poissonDiskSample(options, random) {
+  const { width, height, minDistance, maxDistance, spacingAt, seeds } = options;
+  const attempts = options.attempts || DEFAULT_ATTEMPTS;
+  
+  // Background grid with at most one point per cell
+  const cellSize = minDistance / Math.SQRT2;
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const lookup = new Int32Array(columns * rows).fill(-1);
+  const searchCells = Math.ceil(maxDistance / cellSize);
+  const points = [];
+  
+  const fits = (x, y, radius) => {
+    const column = Math.floor(x / cellSize);
+    const row = Math.floor(y / cellSize);
+    
+    for (let r = Math.max(0, row - searchCells); r <= Math.min(rows - 1, row + searchCells); r++) {
+      for (let c = Math.max(0, column - searchCells); c <= Math.min(columns - 1, column + searchCells); c++) {
+        const index = lookup[r * columns + c];
+        if (index === -1) {
+          continue;
+        }
+        
+        const other = points[index];
+        const spacing = Math.max(radius, other.radius);
+        const dx = other.x - x;
+        const dy = other.y - y;
+        if (dx * dx + dy * dy < spacing * spacing) {
+          return false;
+        }
+      }
+    }
+    
+    return true;
+  };
+  
+  const tryAdd = (x, y) => {
+    if (x < 0 || x >= width || y < 0 || y >= height) {
+      return null;
+    }
+    
+    const radius = spacingAt(x, y);
+    if (!(radius > 0) || !fits(x, y, radius)) {
+      return null;
+    }
+    
+    const point = { x, y, radius };
+    lookup[Math.floor(y / cellSize) * columns + Math.floor(x / cellSize)] = points.length;
+    points.push(point);
+    return point;
+  };
+  
+  for (const seed of seeds) {
+    const start = tryAdd(seed.x, seed.y);
+    if (!start) {
+      continue;
+    }
+    
+    // Grow from the seed until no more points fit around it
+    const active = [start];
+    while (active.length > 0) {
+      const activeIndex = Math.floor(random() * active.length);
+      const point = active[activeIndex];
+      let added = false;
+      
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        // Candidate in the annulus between one and two spacings away
+        const angle = random() * Math.PI * 2;
+        const distance = point.radius * (1 + random());
+        const candidate = tryAdd(point.x + Math.cos(angle) * distance, point.y + Math.sin(angle) * distance);
+        
+        if (candidate) {
+          active.push(candidate);
+          added = true;
+          break;
+        }
+      }
+      
+      if (!added) {
+        // Retire the point: swap-remove from the active list
+        active[activeIndex] = active[active.length - 1];
+        active.pop();
+      }
+    }
+  }
+  
+  return points;
+}
+
+module.exports = {
+  poissonDiskSample
+};
@@ -5,12 +5,26 @@
 
 const { objectDefinitions } = require('./objectDefinitions');
 
+// Words and punctuation that separate the clauses of a prompt
+const CLAUSE_DELIMITER = /[,;.]|\band\b/;
+
+// Marks that a type's implied entry (see parseObjectsFromPrompt) was found
+const IMPLIED = Symbol('implied');
+
 /**
  * Parse objects and their properties from a text prompt
+ * Object types are recognized by the keywords declared in their definitions,
+ * so types added through object catalogs are picked up automatically. Every
+ * subtype the prompt mentions becomes its own entry, with the density and
+ * location of the clause that mentions it, so "pine forests on the slopes and
+ * oak groves by the river" yields a pine entry and an oak entry. Weighted
+ * mixes such as "70% pine, 30% birch" become a single entry with a `blend`
+ * of subtypes and weights.
  * @param {string} prompt - Text prompt describing the world objects
+ * @param {object} [definitions=objectDefinitions] - Object definitions keyed by type
  * @returns {Promise<object>} - Structured object data
  */
-async function parseObjectsFromPrompt(prompt) {
+async function parseObjectsFromPrompt(prompt, definitions = objectDefinitions) {
   try {
     console.log('Parsing objects from prompt:', prompt);
     
@@ -21,57 +35,48 @@ async function parseObjectsFromPrompt(prompt) {
       objects: []
     };
     
-    // Simple keyword matching for common object types
-    // This would be much more sophisticated in a real implementation
-    
-    // Check for trees
-    if (prompt.toLowerCase().includes('tree') || prompt.toLowerCase().includes('forest')) {
-      objectsData.objects.push({
-        type: 'tree',
-        subType: prompt.toLowerCase().includes('pine') ? 'pine' : 'oak',
-        density: estimateDensity(prompt, 'tree'),
-        location: estimateLocation(prompt, 'tree'),
-        distribution: 'natural'
-      });
-    }
+    const promptLower = prompt.toLowerCase();
+    const percentages = findPercentages(promptLower);
     
-    // Check for rocks
-    if (prompt.toLowerCase().includes('rock') || prompt.toLowerCase().includes('boulder')) {
-      objectsData.objects.push({
-        type: 'rock',
-        subType: prompt.toLowerCase().includes('large') ? 'boulder' : 'rock',
-        density: estimateDensity(prompt, 'rock'),
-        location: estimateLocation(prompt, 'rock'),
-        distribution: 'random'
-      });
-    }
-    
-    // Check for buildings
-    if (prompt.toLowerCase().includes('village') || 
-        prompt.toLowerCase().includes('town') || 
-        prompt.toLowerCase().includes('building') ||
-        prompt.toLowerCase().includes('house')) {
-      objectsData.objects.push({
-        type: 'building',
-        subType: determineSettlementType(prompt),
-        density: estimateDensity(prompt, 'building'),
-        location: estimateLocation(prompt, 'building'),
-        distribution: 'clustered'
-      });
+    // Keyword matching against each definition's type and subtype keywords
+    for (const [objectType, definition] of Object.entries(definitions)) {
+      const found = new Set();
+      let remaining = promptLower;
+      
+      // A weighted blend is one entry; the text it covers is not parsed again
+      const blend = findBlend(promptLower, percentages, definition);
+      if (blend) {
+        objectsData.objects.push(createEntry(objectType, definition, blend.text, blend.members[0].subType, blend.members));
+        blend.members.forEach(member => found.add(member.subType));
+        remaining = promptLower.slice(0, blend.start) + ', ' + promptLower.slice(blend.end);
+      }
+      
+      // Each clause asks for the subtypes it names. The first clause that only
+      // names the type ("forests", "rocks") adds one entry with the default
+      // subtype, flagged impliedSubtype so the biome map can pick its subtypes.
+      for (const clause of remaining.split(CLAUSE_DELIMITER)) {
+        const subTypes = Object.keys(definition.subtypes)
+          .filter(name => findKeyword(clause, definition.subtypes[name].keywords || []));
+        
+        if (subTypes.length === 0 && findKeyword(clause, definition.keywords || []) && !found.has(IMPLIED)) {
+          found.add(IMPLIED);
+          const subType = definition.defaultSubtype || Object.keys(definition.subtypes)[0];
+          objectsData.objects.push({ ...createEntry(objectType, definition, clause, subType), impliedSubtype: true });
+        }
+        
+        for (const subType of subTypes) {
+          if (!found.has(subType)) {
+            found.add(subType);
+            objectsData.objects.push(createEntry(objectType, definition, clause, subType));
+          }
+        }
+      }
     }
     
-    // Add any additional objects that might be mentioned
-    for (const [objectType, definition] of Object.entries(objectDefinitions)) {
-      if (!objectsData.objects.some(obj => obj.type === objectType) && 
-          prompt.toLowerCase().includes(objectType)) {
-        objectsData.objects.push({
-          type: objectType,
-          subType: 'default',
-          density: estimateDensity(prompt, objectType),
-          location: estimateLocation(prompt, objectType),
-          distribution: definition.defaultDistribution || 'random'
-        });
-      }
+    const unmatched = percentages.filter(percentage => !Object.values(definitions)
+      .some(definition => findPercentageSubtype(percentage, definition)));
+    for (const percentage of unmatched) {
+      console.warn(`No object subtype matches "${percentage.weight}%${percentage.following}" in the prompt; ignoring it`);
     }
     
     console.log('Extracted objects data:', objectsData);
@@ -82,6 +87,131 @@ async function parseObjectsFromPrompt(prompt) {
   }
 }
 
+/**
+ * Create a placement entry for a subtype
+ * @param {string} objectType - Object type
+ * @param {object} definition - Object definition
+ * @param {string} text - Prompt text describing the entry (its clause)
+ * @param {string} subType - Subtype (the dominant one for blends)
+ * @param {object[]} [blend] - Blend members ({ subType, weight }), for weighted mixes
+ * @returns {object} - Placement entry
+ */
+function createEntry(objectType, definition, text, subType, blend) {
+  // Density and location modifiers refer to whichever keyword the clause uses first
+  const keywords = [...(definition.keywords || []), ...(definition.subtypes[subType].keywords || [])];
+  const keyword = findKeyword(text, keywords) || subType;
+  
+  const entry = {
+    type: objectType,
+    subType,
+    density: estimateDensity(text, keyword),
+    location: estimateLocation(text, keyword),
+    distribution: definition.defaultDistribution || 'random'
+  };
+  
+  if (blend) {
+    entry.blend = blend;
+  }
+  
+  return entry;
+}
+
+/**
+ * Find the percentages in a prompt, e.g. "70% pine"
+ * @param {string} promptLower - Lowercase prompt
+ * @returns {object[]} - Percentages ({ weight, index, end, following: the words up to the next
+ *   percentage or the end of the clause, which name the subtype })
+ */
+function findPercentages(promptLower) {
+  const percentages = [];
+  const percentPattern = /(\d+(?:\.\d+)?)\s*%/g;
+  let match;
+  
+  while ((match = percentPattern.exec(promptLower)) !== null) {
+    const following = promptLower.slice(percentPattern.lastIndex).split('%')[0].split(CLAUSE_DELIMITER)[0];
+    percentages.push({
+      weight: parseFloat(match[1]),
+      index: match.index,
+      end: percentPattern.lastIndex + following.length,
+      following
+    });
+  }
+  
+  return percentages;
+}
+
+/**
+ * Find the subtype of a definition that a percentage names
+ * @param {object} percentage - Percentage from findPercentages
+ * @param {object} definition - Object definition
+ * @returns {string|undefined} - Subtype name, if one of its keywords follows the percentage
+ */
+function findPercentageSubtype(percentage, definition) {
+  return Object.keys(definition.subtypes)
+    .find(name => findKeyword(percentage.following, definition.subtypes[name].keywords || []));
+}
+
+/**
+ * Find a weighted blend of subtypes, e.g. "a forest of 70% pine, 30% birch"
+ * Each percentage followed by a subtype keyword adds a member; at least two
+ * members make a blend. Weights are normalized to sum to 1 and members are
+ * sorted by weight, dominant first.
+ * @param {string} promptLower - Lowercase prompt
+ * @param {object[]} percentages - Percentages from findPercentages
+ * @param {object} definition - Object definition
+ * @returns {object|null} - Blend ({ members, text, start, end }) covering the clauses around the percentages, or null
+ */
+function findBlend(promptLower, percentages, definition) {
+  const members = [];
+  let start = Infinity;
+  let end = 0;
+  
+  for (const percentage of percentages) {
+    const subType = findPercentageSubtype(percentage, definition);
+    if (subType && !members.some(member => member.subType === subType)) {
+      members.push({ subType, weight: percentage.weight });
+      start = Math.min(start, percentage.index);
+      end = Math.max(end, percentage.end);
+    }
+  }
+  
+  const total = members.reduce((sum, member) => sum + member.weight, 0);
+  if (members.length < 2 || total <= 0) {
+    return null;
+  }
+  
+  members.forEach(member => { member.weight /= total; });
+  members.sort((a, b) => b.weight - a.weight);
+  
+  // Include the start of the clause the blend begins in ("a forest of")
+  const before = promptLower.slice(0, start).split(CLAUSE_DELIMITER);
+  start -= before[before.length - 1].length;
+  
+  return { members, text: promptLower.slice(start, end), start, end };
+}
+
+/**
+ * Find the keyword that appears first in the prompt
+ * Keywords match at the start of a word, so "tree" also matches "trees".
+ * @param {string} promptLower - Lowercase prompt
+ * @param {string[]} keywords - Keywords to look for
+ * @returns {string|null} - The earliest matching keyword, or null
+ */
+function findKeyword(promptLower, keywords) {
+  let best = null;
+  let bestIndex = Infinity;
+  
+  for (const keyword of keywords) {
+    const match = new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}`).exec(promptLower);
+    if (match && match.index < bestIndex) {
+      best = keyword.toLowerCase();
+      bestIndex = match.index;
+    }
+  }
+  
+  return best;
+}
+
 /**
  * Estimate object density from the prompt text
  * @param {string} prompt - Text prompt
@@ -111,6 +241,7 @@ function estimateDensity(prompt, objectType) {
  */
 function estimateLocation(prompt, objectType) {
   const promptLower = prompt.toLowerCase();
+  const keyword = escapeRegExp(objectType);
   const locationMapping = {
     north: { x: 0.5, y: 0.1 },
     south: { x: 0.5, y: 0.9 },
@@ -135,7 +266,7 @@ function estimateLocation(prompt, objectType) {
   
   // Check for explicit location (e.g., "trees in the north")
   for (const [direction, position] of Object.entries(locationMapping)) {
-    const pattern = new RegExp(`${objectType}.*\\b${direction}\\b|\\b${direction}\\b.*${objectType}`);
+    const pattern = new RegExp(`${keyword}.*\\b${direction}\\b|\\b${direction}\\b.*${keyword}`);
     if (pattern.test(promptLower)) {
       return {
         x: position.x,
@@ -146,9 +277,10 @@ function estimateLocation(prompt, objectType) {
     }
   }
   
-  // Check for terrain association (e.g., "trees in the mountains")
+  // Check for terrain association (e.g., "trees in the mountains"); keywords
+  // match as word prefixes, so "hills", "hillside" and "mountainous" count
   for (const [terrainKeyword, terrainType] of Object.entries(terrainAssociations)) {
-    const pattern = new RegExp(`${objectType}.*\\b${terrainKeyword}\\b|\\b${terrainKeyword}\\b.*${objectType}`);
+    const pattern = new RegExp(`${keyword}.*\\b${terrainKeyword}|\\b${terrainKeyword}.*${keyword}`);
     if (pattern.test(promptLower)) {
       return {
         terrain: terrainType,
@@ -168,24 +300,13 @@ function estimateLocation(prompt, objectType) {
 }
 
 /**
- * Determine the type of settlement from the prompt
- * @param {string} prompt - Text prompt
- * @returns {string} - Settlement type
+ * Escape a keyword for use in a regular expression
+ * Catalog keywords are user text and may contain characters such as "+" or "(".
+ * @param {string} keyword - Keyword to escape
+ * @returns {string} - Keyword matching itself literally
  */
-function determineSettlementType(prompt) {
-  const promptLower = prompt.toLowerCase();
-  
-  if (promptLower.includes('city')) {
-    return 'city';
-  } else if (promptLower.includes('town')) {
-    return 'town';
-  } else if (promptLower.includes('village')) {
-    return 'village';
-  } else if (promptLower.includes('farm')) {
-    return 'farm';
-  } else {
-    return 'house'; // Default to individual houses
-  }
+function escapeRegExp(keyword) {
+  return keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 module.exports = {
@@ -0,0 +1,293 @@
+/**
+ * Suitability Rules
+ * Registry of the named subtype rules (customRules) that shape placement suitability
+ */
+
+const { smoothstep } = require('../utils/math');
+const { distanceTransform } = require('../utils/distanceTransform');
+const { COMPASS_DIRECTIONS, aspectDifference } = require('../utils/terrainMetrics');
+const { TERRAIN_FEATURES } = require('./terrainAnalyzer');
+
+/**
+ * Suitability rules, keyed by the name used in a subtype's customRules
+ * A rule is enabled with `true` (default parameters) or with an object of
+ * parameters merged over its defaults. `apply` returns the factor the cell's
+ * suitability is multiplied by (0 rules the cell out); `prepare`, if present,
+ * runs once per object type and its result is passed to `apply` as `state`.
+ * Rules receive the cell's index into the grid layers and the rule context
+ * ({ grid, layers, placementRules, metersPerPixel, occupancy }).
+ */
+const suitabilityRules = {
+  preferHigherElevation: {
+    description: 'Favor high ground',
+    defaults: {},
+    apply: (index, params, { layers }) => 0.5 + layers.height[index] * 0.5
+  },
+  
+  preferLowElevation: {
+    description: 'Favor low ground',
+    defaults: {},
+    apply: (index, params, { layers }) => 1.0 - layers.height[index] * 0.5
+  },
+  
+  preferSpecificElevationRange: {
+    description: 'Favor heights inside a range, fading out beyond it',
+    defaults: { min: 0, max: 1, falloff: 0.1 },
+    apply: (index, params, { layers }) => {
+      const height = layers.height[index];
+      const outside = Math.max(0, params.min - height, height - params.max);
+      return 1.0 - 0.9 * smoothstep(0, params.falloff, outside);
+    }
+  },
+  
+  preferSteepSlopes: {
+    description: 'Favor slopes close to the type\'s maximum slope',
+    defaults: {},
+    apply: (index, params, { layers, placementRules }) => 0.5 + (layers.grade[index] / placementRules.maxSlope) * 0.5
+  },
+  
+  requireFlatArea: {
+    description: 'Mostly rule out cells that are not flat',
+    defaults: {},
+    apply: (index, params, { layers }) => (layers.features[index] & TERRAIN_FEATURES.FLAT ? 1 : 0.1)
+  },
+  
+  requireVeryFlatArea: {
+    description: 'Mostly rule out cells steeper than a fraction of the type\'s maximum slope',
+    defaults: { slopeFraction: 0.25 },
+    apply: (index, params, { layers, placementRules }) =>
+      (layers.grade[index] <= placementRules.maxSlope * params.slopeFraction ? 1 : 0.1)
+  },
+  
+  requireLargerArea: {
+    description: 'Mostly rule out cells without enough usable ground around them',
+    defaults: { radius: 60, minFraction: 0.75 },
+    prepare: (params, context) => createUsableAreaTable(context),
+    apply: (index, params, context, table) =>
+      (usableFraction(table, index, params.radius, context) >= params.minFraction ? 1 : 0.1)
+  },
+  
+  requireCluster: {
+    description: 'Favor cells surrounded by usable ground so objects group together',
+    defaults: { radius: 20 },
+    prepare: (params, context) => createUsableAreaTable(context),
+    apply: (index, params, context, table) => 0.25 + 0.75 * usableFraction(table, index, params.radius, context)
+  },
+  
+  canPlaceInLargeGroups: {
+    description: 'Boost suitability so objects fill large areas densely',
+    defaults: { boost: 1.5 },
+    apply: (index, params) => params.boost
+  },
+  
+  requireProximityToBuildings: {
+    description: 'Mostly rule out cells far from placed buildings',
+    defaults: { distance: 50, type: 'building' },
+    prepare: (params, context) => createClaimDistanceField(params.type, context),
+    apply: (index, params, context, distances) => (distances[index] <= params.distance ? 1 : 0.1)
+  },
+  
+  requireWaterAccess: {
+    description: 'Mostly rule out cells far from water',
+    defaults: { distance: 30 },
+    apply: (index, params, { layers }) => (layers.waterDistance[index] <= params.distance ? 1 : 0.1)
+  },
+  
+  preferBeaches: {
+    description: 'Favor land close to water, strongest right at the shore',
+    defaults: { distance: 40 },
+    apply: (index, params, { layers }) => 0.5 + (1 - smoothstep(0, params.distance, layers.waterDistance[index]))
+  },
+  
+  requireDeepWater: {
+    description: 'Rule out water closer to the shore than a distance',
+    defaults: { distance: 10 },
+    apply: (index, params, { layers }) => (layers.waterDistance[index] <= -params.distance ? 1 : 0)
+  },
+  
+  requireWaterEdge: {
+    description: 'Rule out cells more than one cell from the shoreline',
+    defaults: {},
+    apply: (index, params, { grid, layers, metersPerPixel }) => {
+      const shoreBand = grid.cellWidth * metersPerPixel;
+      return Math.abs(layers.waterDistance[index]) <= shoreBand ? 1 : 0;
+    }
+  },
+  
+  preferLayerRange: {
+    description: 'Favor cells whose value in a terrain layer (e.g. tpi, roughness, flowAccumulation) is inside a range, fading out beyond it',
+    defaults: { layer: 'height', min: -Infinity, max: Infinity, falloff: 0 },
+    prepare: (params, { layers }) => {
+      if (!layers[params.layer]) {
+        console.warn(`Unknown terrain layer "${params.layer}" in preferLayerRange (known: ${Object.keys(layers).join(', ')}); it is ignored`);
+        return null;
+      }
+      return layers[params.layer];
+    },
+    apply: (index, params, context, values) => {
+      if (!values) {
+        return 1;
+      }
+      const outside = Math.max(0, params.min - values[index], values[index] - params.max);
+      if (outside === 0) {
+        return 1;
+      }
+      return params.falloff > 0 ? 1.0 - 0.9 * smoothstep(0, params.falloff, outside) : 0.1;
+    }
+  },
+  
+  preferAspect: {
+    description: 'Favor slopes facing a compass direction (degrees clockwise from north, or a name such as "north")',
+    defaults: { direction: 'north', spread: 45 },
+    prepare: params => {
+      const direction = typeof params.direction === 'number' ? params.direction : COMPASS_DIRECTIONS[params.direction];
+      if (direction === undefined) {
+        console.warn(`Unknown direction "${params.direction}" in preferAspect (known: ${Object.keys(COMPASS_DIRECTIONS).join(', ')}); it is ignored`);
+      }
+      return direction;
+    },
+    apply: (index, params, { layers }, direction) => {
+      const aspect = layers.aspect[index];
+      if (aspect < 0 || direction === undefined) {
+        return 1; // Flat ground faces no direction
+      }
+      const offset = aspectDifference(aspect, direction);
+      return offset <= params.spread ? 1 : 0.25 + 0.75 * (1 - smoothstep(params.spread, 180, offset));
+    }
+  }
+};
+
+/**
+ * Resolve a subtype's customRules against the registry
+ * Unknown rule names are reported with a warning and skipped.
+ * @param {object} customRules - Rules keyed by name (true, false or parameters)
+ * @param {object} context - Rule context ({ grid, layers, placementRules, metersPerPixel, occupancy })
+ * @param {string} label - Name of the subtype, for warnings
+ * @returns {object[]} - Prepared rules ({ name, rule, params, state })
+ */
+function prepareRules(customRules, context, label) {
+  const prepared = [];
+  
+  for (const [name, value] of Object.entries(customRules)) {
+    const rule = suitabilityRules[name];
+    if (!rule) {
+      console.warn(`Unknown placement rule "${name}" on ${label}; it is ignored`);
+      continue;
+    }
+    if (value === false) {
+      continue;
+    }
+    
+    const params = { ...rule.defaults, ...(typeof value === 'object' ? value : {}) };
+    const state = rule.prepare ? rule.prepare(params, context) : null;
+    prepared.push({ name, rule, params, state });
+  }
+  
+  return prepared;
+}
+
+/**
+ * Apply prepared rules to a cell
+ * @param {object[]} prepared - Rules from prepareRules
+ * @param {number} index - Cell index
+ * @param {object} context - Rule context
+ * @returns {number} - Combined suitability factor
+ */
+function applyRules(prepared, index, context) {
+  let factor = 1;
+  
+  for (const { rule, params, state } of prepared) {
+    factor *= rule.apply(index, params, context, state);
+    if (factor === 0) {
+      break;
+    }
+  }
+  
+  return factor;
+}
+
+/**
+ * Build a summed-area table of the cells that meet the type's basic limits
+ * Usable cells are within the maximum slope and height range, and out of
+ * water for types that avoid it.
+ * @param {object} context - Rule context
+ * @returns {Int32Array} - Summed-area table of (gridSize + 1)^2 entries
+ */
+function createUsableAreaTable(context) {
+  const { grid, layers, placementRules } = context;
+  const size = grid.gridSize;
+  const table = new Int32Array((size + 1) * (size + 1));
+  
+  for (let y = 0; y < size; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < size; x++) {
+      const index = y * size + x;
+      const usable = !(layers.grade[index] > placementRules.maxSlope) &&
+        layers.height[index] >= placementRules.minHeight &&
+        layers.height[index] <= placementRules.maxHeight &&
+        !(placementRules.avoidWater && layers.isWater[index]);
+      
+      rowSum += usable ? 1 : 0;
+      table[(y + 1) * (size + 1) + x + 1] = table[y * (size + 1) + x + 1] + rowSum;
+    }
+  }
+  
+  return table;
+}
+
+/**
+ * Fraction of usable cells in the square around a cell
+ * @param {Int32Array} table - Summed-area table from createUsableAreaTable
+ * @param {number} index - Cell index
+ * @param {number} radius - Half the square's side in meters
+ * @param {object} context - Rule context
+ * @returns {number} - Fraction of usable cells (0-1)
+ */
+function usableFraction(table, index, radius, context) {
+  const { grid, metersPerPixel } = context;
+  const size = grid.gridSize;
+  const reach = Math.max(1, Math.round(radius / (grid.cellWidth * metersPerPixel)));
+  const gridX = index % size;
+  const gridY = Math.floor(index / size);
+  
+  const x0 = Math.max(0, gridX - reach);
+  const y0 = Math.max(0, gridY - reach);
+  const x1 = Math.min(size, gridX + reach + 1);
+  const y1 = Math.min(size, gridY + reach + 1);
+  const count = table[y1 * (size + 1) + x1] - table[y0 * (size + 1) + x1] -
+    table[y1 * (size + 1) + x0] + table[y0 * (size + 1) + x0];
+  
+  return count / ((x1 - x0) * (y1 - y0));
+}
+
+/**
+ * Build a field of distances to the objects a type has placed
+ * @param {string} type - Object type whose claims are measured to
+ * @param {object} context - Rule context
+ * @returns {Float32Array} - Distance in meters from each cell to the nearest claimed cell (Infinity if none)
+ */
+function createClaimDistanceField(type, context) {
+  const { grid, metersPerPixel, occupancy } = context;
+  const claimed = new Uint8Array(grid.cellCount);
+  
+  for (const claim of occupancy.getClaims(type)) {
+    const index = grid.indexAt(claim.x / metersPerPixel, claim.y / metersPerPixel);
+    if (index !== -1) {
+      claimed[index] = 1;
+    }
+  }
+  
+  const distances = distanceTransform(claimed, grid.gridSize, 1);
+  const cellSize = grid.cellWidth * metersPerPixel;
+  for (let i = 0; i < distances.length; i++) {
+    distances[i] *= cellSize;
+  }
+  
+  return distances;
+}
+
+module.exports = {
+  suitabilityRules,
+  prepareRules,
+  applyRules
+};
@@ -3,167 +3,220 @@
  * Analyzes heightmap data to calculate terrain properties
  */
 
+const {
+  getTerrainScale,
+  getMetersPerPixel,
+  calculateTerrainDerivatives,
+  calculateTopographicPosition,
+  calculateFlow
+} = require('../utils/terrainMetrics');
+
+// Bit flags of the terrain features layer
+const TERRAIN_FEATURES = {
+  FLAT: 1, // Very low slope
+  STEEP: 2, // High slope
+  PEAK: 4, // Higher than all neighbors
+  VALLEY: 8, // Lower than all neighbors
+  RIDGE: 16 // Higher than both neighbors along some direction
+};
+
+// Grade (rise over run) thresholds for the flat and steep flags
+const FLAT_GRADE = 0.05;
+const STEEP_GRADE = 0.3;
+
+// Default radius of the topographic position window in meters
+const DEFAULT_TPI_RADIUS = 50;
+
 /**
- * Calculate height and slope values for each grid cell
+ * Analyze the terrain of every grid cell
+ * Runs in passes so that each step only reads finished data: heights are
+ * sampled first, derivatives, topographic position and drainage are then
+ * computed from the complete height layer, and features are classified last.
+ * Adds the grid layers:
+ * - height, minHeight, maxHeight, slope: sampled heights (normalized) and
+ *   their range per cell width
+ * - grade: slope as rise over run in meters per meter, which
+ *   placementRules.maxSlope refers to (0.15 = 15% grade)
+ * - aspect: direction the slope faces in degrees clockwise from north (-1 on flat cells)
+ * - profileCurvature, planCurvature: curvature along and across the slope in
+ *   1/m, positive on convex ground (shoulders, spurs) and negative on concave
+ *   ground (footslopes, hollows)
+ * - tpi: topographic position index, the height above the mean of the
+ *   surrounding window in meters (positive on ridges, negative in valleys)
+ * - roughness: mean height difference to the eight neighbors in meters
+ * - flowDirection: D8 drainage direction (index into terrainMetrics' FLOW_OFFSETS, NO_FLOW at outlets)
+ * - flowAccumulation: number of cells draining through each cell, itself included
+ * - features: TERRAIN_FEATURES bit flags
  * @param {object} heightMap - Height map data
  * @param {object} grid - Grid system
+ * @param {object} [options={}] - Analysis options
+ * @param {number} [options.tpiRadius=50] - Radius of the topographic position window in meters
+ * @param {number} [options.worldSize] - Map width in meters
+ * @param {number} [options.heightScale] - Meters per normalized height unit
  * @returns {object} - Grid with updated terrain data
  */
-function calculateHeightAndSlope(heightMap, grid) {
-  console.log('Calculating height and slope for each grid cell');
-  
-  // Process each cell in the grid
-  for (const cell of grid.cells) {
-    // Sample multiple points within the cell to get more accurate height data
-    const samples = [];
-    const sampleCount = 5; // Number of samples per dimension
-    
-    for (let sy = 0; sy < sampleCount; sy++) {
-      for (let sx = 0; sx < sampleCount; sx++) {
-        const sampleX = cell.x + (sx + 0.5) * (cell.width / sampleCount);
-        const sampleY = cell.y + (sy + 0.5) * (cell.height / sampleCount);
-        
-        // Get the height at this sample point
-        const height = heightMap.getHeight(sampleX, sampleY);
-        samples.push(height);
-      }
-    }
-    
-    // Calculate average height for this cell
-    const avgHeight = samples.reduce((sum, h) => sum + h, 0) / samples.length;
-    
-    // Calculate min and max height for slope determination
-    const minHeight = Math.min(...samples);
-    const maxHeight = Math.max(...samples);
-    
-    // Calculate slope as the difference between max and min height
-    // divided by the cell width (simplified approximation)
-    const slope = (maxHeight - minHeight) / cell.width;
-    
-    // Calculate slope in different directions to detect ridges, valleys, etc.
-    const slopes = calculateDirectionalSlopes(cell, grid, heightMap);
-    
-    // Store terrain data in the cell
-    cell.properties.height = avgHeight;
-    cell.properties.minHeight = minHeight;
-    cell.properties.maxHeight = maxHeight;
-    cell.properties.slope = slope;
-    cell.properties.slopes = slopes;
-    
-    // Classify terrain features
-    cell.properties.terrainFeatures = classifyTerrainFeatures(cell, grid);
-  }
+function analyzeTerrain(heightMap, grid, options = {}) {
+  calculateHeightAndSlope(heightMap, grid);
+  calculateTerrainLayers(heightMap, grid, options);
+  classifyTerrainFeatures(grid);
   
   console.log('Terrain analysis complete');
   return grid;
 }
 
 /**
- * Calculate slopes in different directions
- * @param {object} cell - Grid cell
- * @param {object} grid - Grid system
+ * Calculate height and slope values for each grid cell
+ * Adds the grid layers height (average), minHeight, maxHeight and slope.
+ * Heights are sampled on a pattern inside each cell.
  * @param {object} heightMap - Height map data
- * @returns {object} - Slope data in different directions
+ * @param {object} grid - Grid system
+ * @returns {object} - Grid with updated terrain data
  */
-function calculateDirectionalSlopes(cell, grid, heightMap) {
-  const slopes = {
-    north: 0,
-    south: 0,
-    east: 0,
-    west: 0,
-    northeast: 0,
-    northwest: 0,
-    southeast: 0,
-    southwest: 0
-  };
+function calculateHeightAndSlope(heightMap, grid) {
+  console.log('Calculating height and slope for each grid cell');
   
-  // Get height at the center of this cell
-  const centerHeight = heightMap.getHeight(cell.centerX, cell.centerY);
+  const { gridSize, cellWidth, cellHeight } = grid;
+  const height = grid.addLayer('height');
+  const minHeight = grid.addLayer('minHeight');
+  const maxHeight = grid.addLayer('maxHeight');
+  const slope = grid.addLayer('slope');
   
-  // Calculate slopes in cardinal and ordinal directions
-  const directions = {
-    north: { dx: 0, dy: -1 },
-    south: { dx: 0, dy: 1 },
-    east: { dx: 1, dy: 0 },
-    west: { dx: -1, dy: 0 },
-    northeast: { dx: 1, dy: -1 },
-    northwest: { dx: -1, dy: -1 },
-    southeast: { dx: 1, dy: 1 },
-    southwest: { dx: -1, dy: 1 }
-  };
+  // Samples per dimension, spread from 10% to 90% across the cell. Cells no
+  // wider than a pixel lie within one bilinear patch, where the corners of the
+  // pattern already hold the extremes and their average is the patch
+  // average, so two samples per side suffice there.
+  const sampleCount = Math.max(2, Math.min(5, Math.ceil(cellWidth * 2)));
+  const samplePositions = [];
+  for (let s = 0; s < sampleCount; s++) {
+    samplePositions.push(0.1 + 0.8 * s / (sampleCount - 1));
+  }
   
-  for (const [direction, delta] of Object.entries(directions)) {
-    const neighborX = cell.gridX + delta.dx;
-    const neighborY = cell.gridY + delta.dy;
-    
-    const neighbor = grid.getCellByIndices(neighborX, neighborY);
-    if (neighbor) {
-      const neighborHeight = heightMap.getHeight(neighbor.centerX, neighbor.centerY);
-      const distance = direction.includes('north') || direction.includes('south') || 
-                       direction.includes('east') || direction.includes('west')
-                       ? cell.width : Math.sqrt(2 * cell.width * cell.width);
+  for (let gridY = 0; gridY < gridSize; gridY++) {
+    for (let gridX = 0; gridX < gridSize; gridX++) {
+      const index = gridY * gridSize + gridX;
+      let sum = 0;
+      let min = Infinity;
+      let max = -Infinity;
+      
+      // Sample multiple points within the cell to get more accurate height data
+      for (const sy of samplePositions) {
+        const sampleY = (gridY + sy) * cellHeight;
+        for (const sx of samplePositions) {
+          const sample = heightMap.getHeight((gridX + sx) * cellWidth, sampleY);
+          sum += sample;
+          min = Math.min(min, sample);
+          max = Math.max(max, sample);
+        }
+      }
       
-      slopes[direction] = (neighborHeight - centerHeight) / distance;
+      height[index] = sum / (sampleCount * sampleCount);
+      minHeight[index] = min;
+      maxHeight[index] = max;
+      
+      // Calculate slope as the difference between max and min height
+      // divided by the cell width (simplified approximation)
+      slope[index] = (max - min) / cellWidth;
     }
   }
   
-  return slopes;
+  return grid;
 }
 
 /**
- * Classify terrain features based on cell properties
- * @param {object} cell - Grid cell
- * @param {object} grid - Grid system
- * @returns {object} - Terrain feature classifications
+ * Calculate the derivative, position and drainage layers from the height layer
+ * @param {object} heightMap - Height map data
+ * @param {object} grid - Grid system with the height layer
+ * @param {object} options - Analysis options (see analyzeTerrain)
  */
-function classifyTerrainFeatures(cell, grid) {
-  const features = {};
-  
-  // Get neighbors to detect local terrain features
-  const neighbors = grid.getNeighbors(cell);
+function calculateTerrainLayers(heightMap, grid, options) {
+  console.log('Calculating terrain derivatives and drainage');
   
-  // Basic terrain feature classification (simplified)
-  // Is this a peak? (higher than all neighbors)
-  features.isPeak = neighbors.every(neighbor => 
-    neighbor.properties && neighbor.properties.height < cell.properties.height
-  );
+  const { heightScale } = getTerrainScale(options);
+  const cellSize = grid.cellWidth * getMetersPerPixel(heightMap.width, options);
+  const field = { width: grid.gridSize, height: grid.gridSize, data: grid.layers.height };
   
-  // Is this a valley? (lower than all neighbors)
-  features.isValley = neighbors.every(neighbor => 
-    neighbor.properties && neighbor.properties.height > cell.properties.height
-  );
+  Object.assign(grid.layers, calculateTerrainDerivatives(field, cellSize, heightScale));
   
-  // Is this a ridge? (higher than neighbors in opposing directions)
-  const ridgeDirections = [
-    ['north', 'south'],
-    ['east', 'west'],
-    ['northeast', 'southwest'],
-    ['northwest', 'southeast']
-  ];
+  const tpiRadius = options.tpiRadius !== undefined ? options.tpiRadius : DEFAULT_TPI_RADIUS;
+  grid.layers.tpi = calculateTopographicPosition(field, tpiRadius / cellSize, heightScale);
   
-  features.isRidge = ridgeDirections.some(([dir1, dir2]) => {
-    const slopes = cell.properties.slopes;
-    return slopes && slopes[dir1] * slopes[dir2] < 0; // Opposite signs indicate a ridge
-  });
-  
-  // Is this a flat area? (very low slope)
-  features.isFlat = cell.properties.slope < 0.05; // 5% threshold for "flat"
+  const flow = calculateFlow(field);
+  grid.layers.flowDirection = flow.direction;
+  grid.layers.flowAccumulation = flow.accumulation;
+}
+
+/**
+ * Classify terrain features into the features layer
+ * @param {object} grid - Grid system with height and grade layers
+ */
+function classifyTerrainFeatures(grid) {
+  const { gridSize } = grid;
+  const { height, grade } = grid.layers;
+  const features = grid.addLayer('features', Uint8Array);
   
-  // Is this a steep area? (high slope)
-  features.isSteep = cell.properties.slope > 0.3; // 30% threshold for "steep"
+  // Opposite neighbor pairs: east-west, north-south and both diagonals
+  const axes = [[1, 0], [0, 1], [1, 1], [1, -1]];
   
-  // Elevation-based classification
-  if (cell.properties.height < 0.2) {
-    features.elevationClass = 'lowland';
-  } else if (cell.properties.height < 0.6) {
-    features.elevationClass = 'midland';
-  } else {
-    features.elevationClass = 'highland';
+  for (let gridY = 0; gridY < gridSize; gridY++) {
+    for (let gridX = 0; gridX < gridSize; gridX++) {
+      const index = gridY * gridSize + gridX;
+      const center = height[index];
+      let flags = 0;
+      
+      if (grade[index] < FLAT_GRADE) {
+        flags |= TERRAIN_FEATURES.FLAT;
+      }
+      if (grade[index] > STEEP_GRADE) {
+        flags |= TERRAIN_FEATURES.STEEP;
+      }
+      
+      // Peaks and valleys need every neighbor, so border cells are neither
+      if (gridX > 0 && gridX < gridSize - 1 && gridY > 0 && gridY < gridSize - 1) {
+        let higher = 0;
+        let lower = 0;
+        let ridge = false;
+        
+        for (const [dx, dy] of axes) {
+          const a = height[index + dy * gridSize + dx];
+          const b = height[index - dy * gridSize - dx];
+          higher += (a > center) + (b > center);
+          lower += (a < center) + (b < center);
+          ridge = ridge || (a < center && b < center);
+        }
+        
+        if (lower === 8) {
+          flags |= TERRAIN_FEATURES.PEAK;
+        }
+        if (higher === 8) {
+          flags |= TERRAIN_FEATURES.VALLEY;
+        }
+        if (ridge) {
+          flags |= TERRAIN_FEATURES.RIDGE;
+        }
+      }
+      
+      features[index] = flags;
+    }
   }
-  
-  return features;
+}
+
+/**
+ * Get the elevation class of a normalized height
+ * @param {number} height - Normalized height
+ * @returns {string} - 'lowland', 'midland' or 'highland'
+ */
+function getElevationClass(height) {
+  if (height < 0.2) {
+    return 'lowland';
+  } else if (height < 0.6) {
+    return 'midland';
+  }
+  return 'highland';
 }
 
 module.exports = {
-  calculateHeightAndSlope
-}; 
\ No newline at end of file
+  analyzeTerrain,
+  calculateHeightAndSlope,
+  getElevationClass,
+  TERRAIN_FEATURES
+};
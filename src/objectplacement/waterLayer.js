@@ -0,0 +1,55 @@
+/**
+ * Water Layer
+ * Marks water cells and stores each cell's distance to the shoreline
+ */
+
+const { getMetersPerPixel } = require('../utils/terrainMetrics');
+const { distanceTransform } = require('../utils/distanceTransform');
+
+/**
+ * Add water data to every grid cell
+ * A cell is water when the water map marks its center as water, or when its
+ * height is at or below the sea level. Adds the grid layers isWater (1 for
+ * water) and waterDistance, a signed distance in meters: the distance to the
+ * nearest water cell for land cells, and minus the distance to the nearest
+ * land cell for water cells.
+ * @param {object} grid - Grid system with terrain data
+ * @param {object|null} waterMap - Water map from the heightmap stage (values above 0.5 are water), if any
+ * @param {object} options - Water options
+ * @param {number} [options.seaLevel] - Normalized sea level
+ * @param {number} [options.worldSize] - Map width in meters
+ * @returns {object} - Grid with water data
+ */
+function applyWaterLayer(grid, waterMap, options = {}) {
+  const seaLevel = typeof options.seaLevel === 'number' ? options.seaLevel : null;
+  const cellSize = grid.cellWidth * getMetersPerPixel(grid.width, options);
+  const height = grid.layers.height;
+  const water = grid.addLayer('isWater', Uint8Array);
+  let waterCells = 0;
+  
+  for (let i = 0; i < grid.cellCount; i++) {
+    const inWaterMap = waterMap !== null && waterMap.getHeight(
+      grid.centerX(i) / grid.width * waterMap.width,
+      grid.centerY(i) / grid.height * waterMap.height
+    ) > 0.5;
+    const belowSea = seaLevel !== null && height[i] <= seaLevel;
+    
+    water[i] = inWaterMap || belowSea ? 1 : 0;
+    waterCells += water[i];
+  }
+  
+  const toWater = distanceTransform(water, grid.gridSize, 1);
+  const toLand = distanceTransform(water, grid.gridSize, 0);
+  const waterDistance = grid.addLayer('waterDistance');
+  
+  for (let i = 0; i < grid.cellCount; i++) {
+    waterDistance[i] = water[i] === 1 ? -toLand[i] * cellSize : toWater[i] * cellSize;
+  }
+  
+  console.log(`Water layer: ${waterCells} of ${grid.cellCount} cells are water`);
+  return grid;
+}
+
+module.exports = {
+  applyWaterLayer
+};
@@ -0,0 +1,345 @@
+/**
+ * Material Library
+ * Loads splat material libraries from JSON, validates them and picks the library a prompt asks for
+ */
+
+const fs = require('fs');
+const { biomeDefinitions } = require('../biome/biomeDefinitions');
+const { COMPASS_DIRECTIONS } = require('../utils/terrainMetrics');
+
+// Library used when neither the prompt nor the options pick one
+const DEFAULT_LIBRARY = 'temperate';
+
+/**
+ * Registered material libraries, keyed by name
+ * Starts with the presets in src/splatmap/materials/; registerMaterialLibrary
+ * adds studio libraries.
+ */
+const materialLibraries = {};
+
+for (const preset of ['temperate', 'alpine', 'desert', 'tropical', 'volcanic']) {
+  registerMaterialLibrary(require(`./materials/${preset}.json`), `preset ${preset}`);
+}
+
+/**
+ * Register a material library for every later run
+ * A library that `extends` a registered one is merged over it first (see
+ * resolveMaterialLibrary). A library with the name of a registered one
+ * replaces it.
+ * @param {object} library - Library contents ({ name, description, keywords, extends?, materials })
+ * @param {string} [source='library'] - Name of the library's origin, for error messages
+ * @returns {object} - The registered library, with any base library merged in
+ */
+function registerMaterialLibrary(library, source = 'library') {
+  const resolved = resolveMaterialLibrary(library, materialLibraries, source);
+  materialLibraries[resolved.name] = resolved;
+  return resolved;
+}
+
+/**
+ * Load material library files for a run
+ * Libraries are applied in order, so later files can extend or replace
+ * earlier ones. The registry itself is left untouched.
+ * @param {string|string[]} [libraryPaths] - Paths to JSON library files
+ * @param {object} [libraries=materialLibraries] - Libraries to add to, keyed by name
+ * @returns {Promise<object>} - Material libraries keyed by name
+ */
+async function loadMaterialLibraries(libraryPaths, libraries = materialLibraries) {
+  const paths = [].concat(libraryPaths || []);
+  let loaded = libraries;
+  
+  for (const libraryPath of paths) {
+    let library;
+    try {
+      library = JSON.parse(await fs.promises.readFile(libraryPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read material library ${libraryPath}: ${error.message}`);
+    }
+    
+    const resolved = resolveMaterialLibrary(library, loaded, libraryPath);
+    loaded = { ...loaded, [resolved.name]: resolved };
+    console.log(`Loaded material library ${libraryPath} (${resolved.name}: ${Object.keys(resolved.materials).join(', ')})`);
+  }
+  
+  return loaded;
+}
+
+/**
+ * Merge a library over the library it extends and validate the result
+ * Materials are merged material by material and field by field, so a studio
+ * library can swap texture IDs or retune one range without repeating the
+ * rest; a material set to null is removed.
+ * @param {object} library - Library contents
+ * @param {object} libraries - Libraries it may extend, keyed by name
+ * @param {string} [source='library'] - Name of the library's origin, for error messages
+ * @returns {object} - Resolved library
+ */
+function resolveMaterialLibrary(library, libraries, source = 'library') {
+  if (!isPlainObject(library)) {
+    throw new Error(`Invalid material library ${source}: expected an object with name and materials`);
+  }
+  
+  let resolved = library;
+  if (library.extends !== undefined) {
+    const base = libraries[library.extends];
+    if (!base) {
+      throw new Error(`Invalid material library ${source}: extends unknown library "${library.extends}" (known: ${Object.keys(libraries).join(', ')})`);
+    }
+    
+    const materials = { ...base.materials };
+    for (const [name, material] of Object.entries(library.materials || {})) {
+      if (material === null) {
+        delete materials[name];
+      } else {
+        materials[name] = materials[name] && isPlainObject(material) ? { ...materials[name], ...material } : material;
+      }
+    }
+    resolved = { ...base, keywords: [], ...library, materials };
+    delete resolved.extends;
+  }
+  
+  const errors = validateMaterialLibrary(resolved);
+  if (errors.length > 0) {
+    throw new Error(`Invalid material library ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return resolved;
+}
+
+/**
+ * Check a material library against the library schema
+ * @param {object} library - Library contents
+ * @returns {string[]} - Error messages (empty if the library is valid)
+ */
+function validateMaterialLibrary(library) {
+  const errors = [];
+  const check = (condition, message) => {
+    if (!condition) {
+      errors.push(message);
+    }
+  };
+  
+  check(typeof library.name === 'string' && library.name.length > 0, 'name must be a non-empty string');
+  check(library.description === undefined || typeof library.description === 'string', 'description must be a string');
+  check(library.keywords === undefined || isStringArray(library.keywords), 'keywords must be an array of prompt words (e.g. ["alpine", "glacier"])');
+  
+  if (!isPlainObject(library.materials) || Object.keys(library.materials).length === 0) {
+    check(false, 'materials must declare at least one material');
+    return errors;
+  }
+  
+  check(Object.values(library.materials).some(material => isPlainObject(material) && !material.biomes && !material.onlyWithKeyword),
+    'at least one material must apply everywhere (no biomes and no onlyWithKeyword)');
+  
+  for (const [name, material] of Object.entries(library.materials)) {
+    const label = `materials.${name}`;
+    if (!isPlainObject(material)) {
+      check(false, `${label} must be an object`);
+      continue;
+    }
+    
+    check(material.textureId === undefined || typeof material.textureId === 'string', `${label}.textureId must be a string`);
+    check(Array.isArray(material.color) && material.color.length === 3 &&
+      material.color.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255),
+    `${label}.color must be [r, g, b] with values 0-255`);
+    for (const field of ['heightRange', 'slopeRange']) {
+      const range = material[field];
+      check(Array.isArray(range) && range.length === 2 && range.every(value => typeof value === 'number' && value >= 0 && value <= 1) &&
+        range[0] <= range[1], `${label}.${field} must be [min, max] within 0-1`);
+    }
+    check(typeof material.weight === 'number' && material.weight > 0, `${label}.weight must be a positive number`);
+    check(material.softness === undefined || (typeof material.softness === 'number' && material.softness >= 0 && material.softness <= 1),
+      `${label}.softness must be a blend width (0-1)`);
+    check(material.biomes === undefined || (isStringArray(material.biomes) && material.biomes.every(biome => biomeDefinitions[biome])),
+      `${label}.biomes must be an array of biome names (known: ${Object.keys(biomeDefinitions).join(', ')})`);
+    
+    const aspect = material.aspect;
+    if (aspect !== undefined) {
+      check(isDirection(aspect), `${label}.aspect.direction must be degrees or one of ${Object.keys(COMPASS_DIRECTIONS).join(', ')}`);
+      check(isPlainObject(aspect) && (aspect.spread === undefined || (typeof aspect.spread === 'number' && aspect.spread >= 0 && aspect.spread <= 180)),
+        `${label}.aspect.spread must be degrees (0-180)`);
+      check(isPlainObject(aspect) && (aspect.blend === undefined || (typeof aspect.blend === 'number' && aspect.blend >= 0)),
+        `${label}.aspect.blend must be non-negative degrees`);
+    }
+    
+    const aspectShift = material.aspectShift;
+    if (aspectShift !== undefined) {
+      check(isDirection(aspectShift), `${label}.aspectShift.direction must be degrees or one of ${Object.keys(COMPASS_DIRECTIONS).join(', ')}`);
+      checkShifts(check, aspectShift, `${label}.aspectShift`);
+    }
+    
+    const edgeNoise = material.edgeNoise;
+    if (edgeNoise !== undefined) {
+      check(isPlainObject(edgeNoise) && typeof edgeNoise.scale === 'number' && edgeNoise.scale > 0,
+        `${label}.edgeNoise.scale must be a positive size in meters`);
+      checkShifts(check, edgeNoise, `${label}.edgeNoise`);
+      check(isPlainObject(edgeNoise) && (edgeNoise.octaves === undefined || (Number.isInteger(edgeNoise.octaves) && edgeNoise.octaves >= 1 && edgeNoise.octaves <= 8)),
+        `${label}.edgeNoise.octaves must be a whole number (1-8)`);
+    }
+    
+    const curvature = material.curvature;
+    if (curvature !== undefined) {
+      check(isPlainObject(curvature) && ['concave', 'convex'].includes(curvature.prefer), `${label}.curvature.prefer must be concave or convex`);
+      check(isPlainObject(curvature) && (curvature.strength === undefined || (typeof curvature.strength === 'number' && curvature.strength >= 0)),
+        `${label}.curvature.strength must be a non-negative number`);
+    }
+    
+    const noise = material.noise;
+    if (noise !== undefined) {
+      check(isPlainObject(noise) && typeof noise.scale === 'number' && noise.scale > 0, `${label}.noise.scale must be a positive size in meters`);
+      check(isPlainObject(noise) && typeof noise.strength === 'number' && noise.strength >= 0 && noise.strength <= 1,
+        `${label}.noise.strength must be a number (0-1)`);
+      check(isPlainObject(noise) && (noise.octaves === undefined || (Number.isInteger(noise.octaves) && noise.octaves >= 1 && noise.octaves <= 8)),
+        `${label}.noise.octaves must be a whole number (1-8)`);
+    }
+    
+    check(material.keywords === undefined || isStringArray(material.keywords), `${label}.keywords must be an array of prompt words`);
+    check(material.onlyWithKeyword === undefined || typeof material.onlyWithKeyword === 'boolean', `${label}.onlyWithKeyword must be true or false`);
+    check(!material.onlyWithKeyword || (material.keywords || []).length > 0, `${label}.onlyWithKeyword needs keywords`);
+    check(material.keywordWeight === undefined || (typeof material.keywordWeight === 'number' && material.keywordWeight > 0),
+      `${label}.keywordWeight must be a positive number`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Pick the material library for a prompt
+ * The materialLibrary option names a library outright; otherwise the library
+ * whose keywords appear first in the prompt is used, and the temperate preset
+ * when none do.
+ * @param {string} prompt - Text prompt describing the landscape
+ * @param {object} [options={}] - Library options
+ * @param {string} [options.materialLibrary] - Name of the library to use
+ * @param {object} [libraries=materialLibraries] - Libraries keyed by name
+ * @returns {object} - Material library
+ */
+function selectMaterialLibrary(prompt, options = {}, libraries = materialLibraries) {
+  if (options.materialLibrary) {
+    const library = libraries[options.materialLibrary];
+    if (!library) {
+      throw new Error(`Unknown material library: ${options.materialLibrary} (expected ${Object.keys(libraries).join(', ')})`);
+    }
+    return library;
+  }
+  
+  const promptLower = (prompt || '').toLowerCase();
+  let selected = libraries[DEFAULT_LIBRARY];
+  let first = Infinity;
+  
+  for (const library of Object.values(libraries)) {
+    const index = findKeyword(promptLower, library.keywords || []);
+    if (index !== -1 && index < first) {
+      first = index;
+      selected = library;
+    }
+  }
+  
+  return selected;
+}
+
+/**
+ * Resolve a library's materials for a prompt
+ * Materials marked onlyWithKeyword are left out unless the prompt uses one of
+ * their keywords, and materials with a keywordWeight take that weight when it does.
+ * @param {object} library - Material library
+ * @param {string} prompt - Text prompt describing the landscape
+ * @returns {object[]} - Materials ({ name, textureId, color, heightRange, slopeRange, weight, softness?, biomes?,
+ *   aspect?, aspectShift?, edgeNoise?, curvature?, noise? })
+ */
+function resolveMaterials(library, prompt) {
+  const promptLower = (prompt || '').toLowerCase();
+  const materials = [];
+  
+  for (const [name, material] of Object.entries(library.materials)) {
+    const { keywords, onlyWithKeyword, keywordWeight, ...fields } = material;
+    const mentioned = findKeyword(promptLower, keywords || []) !== -1;
+    
+    if (onlyWithKeyword && !mentioned) {
+      continue;
+    }
+    
+    materials.push({
+      name,
+      ...fields,
+      weight: mentioned && keywordWeight !== undefined ? keywordWeight : material.weight
+    });
+  }
+  
+  return materials;
+}
+
+/**
+ * Find the first occurrence of any keyword at the start of a word
+ * Keywords also match plurals and other word endings ("dunes", "volcanoes").
+ * @param {string} text - Lowercase text
+ * @param {string[]} keywords - Keywords
+ * @returns {number} - Index of the earliest match, or -1
+ */
+function findKeyword(text, keywords) {
+  let first = -1;
+  for (const keyword of keywords) {
+    const match = new RegExp(`\\b${keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).exec(text);
+    if (match && (first === -1 || match.index < first)) {
+      first = match.index;
+    }
+  }
+  return first;
+}
+
+/**
+ * Check the height and slope border shifts of an aspectShift or edgeNoise rule
+ * At least one of them must be set, each a number between -1 and 1.
+ * @param {Function} check - Error collector of validateMaterialLibrary
+ * @param {object} rule - Rule to check
+ * @param {string} label - Field path for error messages
+ */
+function checkShifts(check, rule, label) {
+  if (!isPlainObject(rule)) {
+    check(false, `${label} must be an object`);
+    return;
+  }
+  
+  for (const field of ['height', 'slope']) {
+    check(rule[field] === undefined || (typeof rule[field] === 'number' && Math.abs(rule[field]) <= 1),
+      `${label}.${field} must be a normalized shift (-1 to 1)`);
+  }
+  check(rule.height !== undefined || rule.slope !== undefined, `${label} needs a height or slope shift`);
+}
+
+/**
+ * Check whether a rule names a direction
+ * @param {*} rule - Rule with a direction field
+ * @returns {boolean} - True for degrees or a compass name
+ */
+function isDirection(rule) {
+  return isPlainObject(rule) && (typeof rule.direction === 'number' || COMPASS_DIRECTIONS[rule.direction] !== undefined);
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for arrays whose items are all strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+module.exports = {
+  materialLibraries,
+  registerMaterialLibrary,
+  loadMaterialLibraries,
+  resolveMaterialLibrary,
+  validateMaterialLibrary,
+  selectMaterialLibrary,
+  resolveMaterials
+};
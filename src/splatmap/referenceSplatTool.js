@@ -0,0 +1,61 @@
+/**
+ * Reference Splat Tool
+ * Example external splat tool implementing the external backend's file contract with the built-in rules
+ *
+ * Usage: node src/splatmap/referenceSplatTool.js <rules.json>
+ * Reads the heightmap, biome map and materials named in the rules file and
+ * writes one 16-bit grayscale weight map per material (`<material>.png`) to
+ * its outputDir.
+ * Copy it as a starting point for wrapping other terrain tools.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadHeightMap } = require('../utils/heightMapLoader');
+const { encodePNG16 } = require('../heightmap/heightmapExporter');
+const { calculateMaterialWeights } = require('./splatBackends');
+
+/**
+ * Run the tool on a rules file
+ * @param {string} rulesPath - Path to the rules JSON written by the external backend
+ * @returns {Promise<void>}
+ */
+async function run(rulesPath) {
+  const rules = JSON.parse(await fs.promises.readFile(rulesPath, 'utf8'));
+  const heightMap = await loadHeightMap(rules.heightmap);
+  const biomeMap = rules.biomemap ? await loadBiomeMap(rules.biomemap) : null;
+  const weightData = calculateMaterialWeights({ ...rules, biomeMap }, heightMap, rules);
+  
+  for (let m = 0; m < rules.materials.length; m++) {
+    const material = rules.materials[m];
+    const outputPath = path.join(rules.outputDir, material.output);
+    const weightMap = { width: weightData.width, height: weightData.height, data: weightData.weights[m] };
+    await fs.promises.writeFile(outputPath, encodePNG16(weightMap));
+    console.log(`Wrote ${material.name} weights to ${outputPath}`);
+  }
+}
+
+/**
+ * Load a biome map written by the external backend
+ * @param {string} biomeMapPath - Path to the 8-bit biome index PNG
+ * @returns {Promise<object>} - Biome map ({ width, height, biome: Uint8Array of biome indices })
+ */
+async function loadBiomeMap(biomeMapPath) {
+  const indices = await loadHeightMap(biomeMapPath);
+  const biome = Uint8Array.from(indices.data, value => Math.round(value * 255));
+  return { width: indices.width, height: indices.height, biome };
+}
+
+if (require.main === module) {
+  if (!process.argv[2]) {
+    console.error('Usage: node referenceSplatTool.js <rules.json>');
+    process.exit(1);
+  }
+  
+  run(process.argv[2]).catch(error => {
+    console.error('Reference splat tool failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -3,96 +3,40 @@
  * Converts text descriptions into material/texture mapping data for splat maps
  */
 
+const { parseClimate } = require('../biome/biomeClassifier');
+const { loadMaterialLibraries, selectMaterialLibrary, resolveMaterials } = require('./materialLibrary');
+
 /**
  * Process text prompt to extract color/material features
+ * Materials come from a material library (see materialLibrary.js): the
+ * library the prompt or the materialLibrary option picks supplies texture
+ * IDs, preview colors, ranges, biomes, aspect constraints and noise breakup,
+ * and its keywords decide which optional materials the prompt calls for. The
+ * climate the biome map is classified with is read from the prompt as well.
  * @param {string} prompt - Text prompt describing the landscape
- * @returns {Promise<object>} - Structured color/material data
+ * @param {object} [options={}] - Material and climate options
+ * @param {string} [options.materialLibrary] - Name of the material library to use (picked from the prompt if omitted)
+ * @param {string|string[]} [options.materialLibraries] - JSON material libraries to load for the run
+ * @param {string|object} [options.climate] - Climate preset name or { temperature, moisture }
+ * @returns {Promise<object>} - Structured color/material data ({ description, library, climate, materials })
  */
-async function processColorMapping(prompt) {
+async function processColorMapping(prompt, options = {}) {
   try {
     console.log('Processing color mapping for prompt:', prompt);
     
-    // This is a placeholder implementation
-    // In a real implementation, this would use a language model to extract material features
+    // Libraries and optional materials are picked by keyword matching
+    // In a real implementation, a language model could map prompts to materials
+    const libraries = await loadMaterialLibraries(options.materialLibraries);
+    const library = selectMaterialLibrary(prompt, options, libraries);
+    console.log(`Using material library: ${library.name}`);
     
-    // Example mock implementation
     const colorData = {
       description: prompt,
-      materials: []
+      library: library.name,
+      climate: parseClimate(prompt, options),
+      materials: resolveMaterials(library, prompt)
     };
     
-    // Simple keyword-based material extraction
-    // This would be more sophisticated in a real implementation
-    
-    // Default materials based on elevation and slope
-    colorData.materials.push({
-      name: 'dirt',
-      color: [139, 69, 19], // RGB color
-      heightRange: [0.0, 0.3], // Normalized height range
-      slopeRange: [0.0, 0.2], // Normalized slope range
-      weight: 1.0 // Base weight for blending
-    });
-    
-    colorData.materials.push({
-      name: 'grass',
-      color: [34, 139, 34],
-      heightRange: [0.1, 0.6],
-      slopeRange: [0.0, 0.4],
-      weight: 1.0
-    });
-    
-    colorData.materials.push({
-      name: 'rock',
-      color: [128, 128, 128],
-      heightRange: [0.4, 1.0],
-      slopeRange: [0.3, 1.0],
-      weight: 1.0
-    });
-    
-    colorData.materials.push({
-      name: 'snow',
-      color: [255, 250, 250],
-      heightRange: [0.8, 1.0],
-      slopeRange: [0.0, 0.7],
-      weight: 1.0
-    });
-    
-    // Feature-specific materials
-    if (prompt.toLowerCase().includes('desert')) {
-      colorData.materials.push({
-        name: 'sand',
-        color: [210, 180, 140],
-        heightRange: [0.0, 0.3],
-        slopeRange: [0.0, 0.3],
-        weight: 2.0 // Higher weight to override default materials
-      });
-    }
-    
-    if (prompt.toLowerCase().includes('swamp') || prompt.toLowerCase().includes('marsh')) {
-      colorData.materials.push({
-        name: 'mud',
-        color: [101, 67, 33],
-        heightRange: [0.0, 0.2],
-        slopeRange: [0.0, 0.1],
-        weight: 2.0
-      });
-    }
-    
-    if (prompt.toLowerCase().includes('forest')) {
-      // Increase grass/vegetation weight
-      colorData.materials.find(m => m.name === 'grass').weight = 1.5;
-    }
-    
-    if (prompt.toLowerCase().includes('river') || prompt.toLowerCase().includes('lake')) {
-      colorData.materials.push({
-        name: 'water',
-        color: [64, 164, 223],
-        heightRange: [0.0, 0.1],
-        slopeRange: [0.0, 0.05],
-        weight: 2.0
-      });
-    }
-    
     console.log('Extracted color data:', colorData);
     return colorData;
   } catch (error) {
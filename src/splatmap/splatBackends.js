@@ -0,0 +1,595 @@
+/**
+ * Splat Backends
+ * Turn material rules and a heightmap into per-material weight maps: built-in rules or an external process
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { PNG } = require('pngjs');
+const { decodeImageHeightMap } = require('../utils/heightMapLoader');
+const {
+  COMPASS_DIRECTIONS,
+  calculateSlopeMap,
+  calculateTerrainDerivatives,
+  smoothField,
+  getTerrainScale,
+  getMetersPerPixel,
+  aspectDifference
+} = require('../utils/terrainMetrics');
+const { smoothstep } = require('../utils/math');
+const { createNoise2D, fbm } = require('../utils/noise');
+const { deriveRandom, resolveSeed } = require('../utils/random');
+const { encodePNG16 } = require('../heightmap/heightmapExporter');
+const { BIOME_NAMES, createBiomeFilter } = require('../biome/biomeClassifier');
+
+const execFileAsync = promisify(execFile);
+
+// Default width of the blend zone at material range borders
+const DEFAULT_BLEND_WIDTH = 0.05;
+
+// Radius in meters the heights are smoothed over before measuring curvature,
+// so curvature rules follow gullies and ridges rather than pixel noise
+const DEFAULT_CURVATURE_RADIUS = 5;
+
+// Mean curvature (1/m) at which a curvature rule has about three quarters of
+// its full effect; a few percent of the ground on typical maps bends harder
+const CURVATURE_REFERENCE = 0.02;
+
+// Radius in meters over which materials fade out across biome borders
+const DEFAULT_BIOME_BLEND = 16;
+
+// Grade (rise over run) from which aspect shifts apply in full; gentler
+// slopes get a proportional share, flat ground none
+const ASPECT_SHIFT_GRADE = 0.2;
+
+// Default settings for the external process backend
+const DEFAULT_EXTERNAL = {
+  command: null, // Executable to run (a terrain tool, node script, shell script, ...)
+  args: ['{rules}'], // Arguments; {rules}, {heightmap}, {output} and {workDir} are replaced with paths
+  timeout: 600000, // Milliseconds before the process is killed
+  cwd: null, // Working directory (defaults to the current directory)
+  env: {}, // Extra environment variables
+  keepTemp: false, // Keep the temporary directory for debugging
+  fallback: false // Use the procedural backend when the process fails
+};
+
+/**
+ * Splat backends, keyed by name
+ * Each backend returns weight data ({ width, height, materials, weights })
+ * with one Float32Array of weights per material, summing to 1 per pixel.
+ */
+const splatBackends = {
+  procedural: {
+    description: 'Built-in height and slope rules',
+    generate: async (colorData, heightMap, options) => calculateMaterialWeights(colorData, heightMap, options)
+  },
+  
+  external: {
+    description: 'External process',
+    generate: async (colorData, heightMap, options) => {
+      const settings = { ...DEFAULT_EXTERNAL, ...(options.splatCommand || {}) };
+      
+      try {
+        return await runExternalSplatTool(colorData, heightMap, settings, options);
+      } catch (error) {
+        if (!settings.fallback) {
+          throw error;
+        }
+        console.warn(`External splat tool failed (${error.message}); falling back to procedural rules`);
+        return splatBackends.procedural.generate(colorData, heightMap, options);
+      }
+    }
+  }
+};
+
+/**
+ * Generate material weights with the configured backend
+ * @param {object} colorData - Material/color data for the splat map
+ * @param {object} heightMap - Height field the materials are assigned from
+ * @param {object} options - Splat options
+ * @param {string} [options.splatBackend='procedural'] - Backend name (procedural, external)
+ * @returns {Promise<object>} - Weight data ({ width, height, materials, weights })
+ */
+async function generateMaterialWeights(colorData, heightMap, options = {}) {
+  const name = options.splatBackend || 'procedural';
+  const backend = splatBackends[name];
+  
+  if (!backend) {
+    throw new Error(`Unknown splat backend: ${name} (expected ${Object.keys(splatBackends).join(', ')})`);
+  }
+  
+  console.log(`Generating splat weights with the ${name} backend (${backend.description})`);
+  return backend.generate(colorData, heightMap, options);
+}
+
+/**
+ * Calculate normalized per-material blend weights for every pixel
+ * Each material fades in and out smoothly across the borders of its height
+ * and slope ranges, over its `softness` (or blendWidth), and the weights of
+ * all materials sum to 1 per pixel, so neighboring materials mix in
+ * transition zones instead of meeting at a hard line. Materials that list
+ * `biomes` only appear where the biome map (if any) has one of them, fading
+ * out across biome borders over biomeBlend; edge noise and aspect shifts
+ * move the range borders per pixel, and aspect, curvature and noise rules
+ * scale the weights (see prepareMaterialRules).
+ * @param {object} colorData - Material/color data for the splat map (with an optional biomeMap)
+ * @param {object} heightMap - Height field the materials are assigned from
+ * @param {object} options - Weight options
+ * @param {number} [options.blendWidth=0.05] - Width of the blend zone at range borders
+ * @param {number} [options.biomeBlend=16] - Radius in meters of the blend zone at biome borders
+ * @param {number} [options.curvatureRadius=5] - Radius in meters of the smoothing before curvature is measured
+ * @param {string|number} [options.seed] - Seed of the noise breakup and edge noise
+ * @returns {object} - Weight data ({ width, height, materials, weights: Float32Array[] })
+ */
+function calculateMaterialWeights(colorData, heightMap, options = {}) {
+  const { width, height, data } = heightMap;
+  const blendWidth = options.blendWidth !== undefined ? options.blendWidth : DEFAULT_BLEND_WIDTH;
+  const materials = colorData.materials;
+  const slopes = calculateSlopeMap(heightMap, options);
+  const rules = prepareMaterialRules(colorData, heightMap, options);
+  const biomeFilters = rules.map(rule => rule.biomeFilter);
+  const softness = materials.map(material => (material.softness !== undefined ? material.softness : blendWidth));
+  const weights = materials.map(() => new Float32Array(width * height));
+  
+  for (let idx = 0; idx < width * height; idx++) {
+    const pixelHeight = data[idx];
+    const slope = slopes[idx];
+    const biome = colorData.biomeMap ? colorData.biomeMap.biome[idx] : 0;
+    let total = 0;
+    
+    for (let m = 0; m < materials.length; m++) {
+      const material = materials[m];
+      const rule = rules[m];
+      if (rule.biomeWeight && rule.biomeWeight[idx] === 0) {
+        continue;
+      }
+      
+      // Height and slope as this material sees them, with its borders moved
+      const materialHeight = rule.heightOffset ? pixelHeight + rule.heightOffset[idx] : pixelHeight;
+      const materialSlope = rule.slopeOffset ? slope + rule.slopeOffset[idx] : slope;
+      
+      let weight = rangeWeight(materialHeight, material.heightRange, softness[m]) *
+        rangeWeight(materialSlope, material.slopeRange, softness[m]) *
+        material.weight;
+      if (rule.biomeWeight) {
+        weight *= rule.biomeWeight[idx];
+      }
+      if (rule.factor) {
+        weight *= rule.factor(idx);
+      }
+      
+      weights[m][idx] = weight;
+      total += weight;
+    }
+    
+    if (total > 0) {
+      for (let m = 0; m < materials.length; m++) {
+        weights[m][idx] /= total;
+      }
+    } else if (materials.length > 0) {
+      // Outside every material's ranges: use the closest material
+      weights[closestMaterialIndex(materials, pixelHeight, slope, biomeFilters, biome)][idx] = 1;
+    }
+  }
+  
+  return { width, height, materials, weights };
+}
+
+/**
+ * Run an external splat tool and read its weight maps back
+ * The heightmap (16-bit PNG) and a rules JSON file are written to a temporary
+ * directory, the command is run with the paths substituted into its arguments,
+ * and the tool is expected to write one 8- or 16-bit grayscale PNG per
+ * material, named after the material, into the output directory.
+ * @param {object} colorData - Material/color data for the splat map
+ * @param {object} heightMap - Height field the materials are assigned from
+ * @param {object} settings - External backend settings (see DEFAULT_EXTERNAL)
+ * @param {object} options - Splat options (terrain scale)
+ * @returns {Promise<object>} - Weight data ({ width, height, materials, weights })
+ */
+async function runExternalSplatTool(colorData, heightMap, settings, options) {
+  if (!settings.command) {
+    throw new Error('The external splat backend needs splatCommand.command');
+  }
+  
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'roam-splat-'));
+  const paths = {
+    workDir,
+    heightmap: path.join(workDir, 'heightmap.png'),
+    rules: path.join(workDir, 'rules.json'),
+    biomemap: path.join(workDir, 'biomemap.png'),
+    output: path.join(workDir, 'weights')
+  };
+  
+  try {
+    await fs.promises.mkdir(paths.output);
+    await fs.promises.writeFile(paths.heightmap, encodePNG16(heightMap));
+    if (colorData.biomeMap) {
+      await fs.promises.writeFile(paths.biomemap, encodeBiomeMap(colorData.biomeMap));
+    }
+    await fs.promises.writeFile(paths.rules, JSON.stringify(createRulesFile(colorData, heightMap, paths, options), null, 2));
+    
+    const args = settings.args.map(arg => arg.replace(/\{(rules|heightmap|biomemap|output|workDir)\}/g, (match, name) => paths[name]));
+    console.log(`Running external splat tool: ${settings.command} ${args.join(' ')}`);
+    
+    try {
+      const { stdout } = await execFileAsync(settings.command, args, {
+        cwd: settings.cwd || process.cwd(),
+        env: { ...process.env, ...settings.env },
+        timeout: settings.timeout,
+        maxBuffer: 16 * 1024 * 1024
+      });
+      if (stdout.trim()) {
+        console.log(stdout.trim());
+      }
+    } catch (error) {
+      // The process never ran: the command is missing or not executable, or the cwd does not exist
+      if (error.syscall && error.syscall.startsWith('spawn')) {
+        const cwd = settings.cwd ? ` in ${settings.cwd}` : '';
+        throw new Error(`External splat tool could not be started${cwd}: ${settings.command} (${error.code})`);
+      }
+      
+      const reason = error.killed ? `timed out after ${settings.timeout} ms` : `exited with code ${error.code}`;
+      const stderr = (error.stderr || '').trim().split('\n').slice(-5).join('\n');
+      throw new Error(`External splat tool ${reason}${stderr ? `: ${stderr}` : ''}`);
+    }
+    
+    return await readWeightMaps(colorData, heightMap, paths.output, options);
+  } finally {
+    if (settings.keepTemp) {
+      console.log(`Kept external splat tool files in ${workDir}`);
+    } else {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Describe the job for an external splat tool
+ * With a biome map, `biomemap` is an 8-bit grayscale PNG whose values index
+ * `biomes`, and materials list the biomes they belong to.
+ * @param {object} colorData - Material/color data for the splat map
+ * @param {object} heightMap - Height field the materials are assigned from
+ * @param {object} paths - Paths of the job files
+ * @param {object} options - Splat options (terrain scale)
+ * @returns {object} - Rules file contents
+ */
+function createRulesFile(colorData, heightMap, paths, options) {
+  const terrainScale = getTerrainScale(options);
+  
+  return {
+    description: colorData.description,
+    width: heightMap.width,
+    height: heightMap.height,
+    worldSize: terrainScale.worldSize,
+    heightScale: terrainScale.heightScale,
+    blendWidth: options.blendWidth !== undefined ? options.blendWidth : DEFAULT_BLEND_WIDTH,
+    biomeBlend: options.biomeBlend !== undefined ? options.biomeBlend : DEFAULT_BIOME_BLEND,
+    curvatureRadius: options.curvatureRadius !== undefined ? options.curvatureRadius : DEFAULT_CURVATURE_RADIUS,
+    seed: options.seed,
+    heightmap: paths.heightmap,
+    biomemap: colorData.biomeMap ? paths.biomemap : null,
+    biomes: BIOME_NAMES,
+    outputDir: paths.output,
+    materials: colorData.materials.map(material => ({
+      ...material,
+      // Expected output file for this material's weights
+      output: `${material.name}.png`
+    }))
+  };
+}
+
+/**
+ * Read the per-material weight maps written by an external tool
+ * Weights are renormalized so they sum to 1 per pixel; pixels the tool left
+ * without any weight get the closest material, as in the procedural backend.
+ * @param {object} colorData - Material/color data for the splat map (with an optional biomeMap)
+ * @param {object} heightMap - Height field the weights must match
+ * @param {string} outputDir - Directory the tool wrote its weight maps to
+ * @param {object} options - Splat options (terrain scale)
+ * @returns {Promise<object>} - Weight data ({ width, height, materials, weights })
+ */
+async function readWeightMaps(colorData, heightMap, outputDir, options) {
+  const { width, height } = heightMap;
+  const materials = colorData.materials;
+  const weights = [];
+  
+  for (const material of materials) {
+    const weightPath = path.join(outputDir, `${material.name}.png`);
+    if (!fs.existsSync(weightPath)) {
+      throw new Error(`External splat tool did not write ${material.name}.png`);
+    }
+    
+    const weightMap = await decodeImageHeightMap(await fs.promises.readFile(weightPath));
+    if (weightMap.width !== width || weightMap.height !== height) {
+      throw new Error(`Weight map ${material.name}.png is ${weightMap.width}x${weightMap.height}, expected ${width}x${height}`);
+    }
+    weights.push(Float32Array.from(weightMap.data));
+  }
+  
+  // Only needed for pixels without any weight
+  const biomeFilters = createMaterialBiomeFilters(materials, colorData.biomeMap);
+  let slopes = null;
+  
+  for (let idx = 0; idx < width * height; idx++) {
+    let total = 0;
+    for (const materialWeights of weights) {
+      total += materialWeights[idx];
+    }
+    if (total > 0) {
+      for (const materialWeights of weights) {
+        materialWeights[idx] /= total;
+      }
+    } else if (materials.length > 0) {
+      slopes = slopes || calculateSlopeMap(heightMap, options);
+      const biome = colorData.biomeMap ? colorData.biomeMap.biome[idx] : 0;
+      weights[closestMaterialIndex(materials, heightMap.data[idx], slopes[idx], biomeFilters, biome)][idx] = 1;
+    }
+  }
+  
+  return { width, height, materials, weights };
+}
+
+/**
+ * Smooth membership of a value in a range
+ * 1 inside the range, fading to 0 over blendWidth centered on each border.
+ * Borders at 0 or 1 are open so values at the extremes stay fully inside.
+ * @param {number} value - Normalized value (height or slope)
+ * @param {number[]} range - [min, max] range
+ * @param {number} blendWidth - Width of the blend zone
+ * @returns {number} - Membership (0-1)
+ */
+function rangeWeight(value, range, blendWidth) {
+  const [min, max] = range;
+  const half = blendWidth / 2;
+  let weight = 1;
+  
+  if (min > 0) {
+    weight *= half > 0 ? smoothstep(min - half, min + half, value) : (value >= min ? 1 : 0);
+  }
+  
+  if (max < 1) {
+    weight *= half > 0 ? 1 - smoothstep(max - half, max + half, value) : (value <= max ? 1 : 0);
+  }
+  
+  return weight;
+}
+
+/**
+ * Prepare the per-pixel rules materials apply on top of their ranges
+ * Border offsets move where a material's height and slope ranges begin and
+ * end at each pixel:
+ * - `edgeNoise: { scale, height = 0, slope = 0, octaves = 3 }` moves the
+ *   borders by seeded fractal noise of features about `scale` meters across,
+ *   up to `height` and `slope` either way, so snow lines and rock edges
+ *   wander instead of following the contours
+ * - `aspectShift: { direction, height = 0, slope = 0 }` moves the ranges by
+ *   `height` and `slope` on slopes facing `direction` (a compass name or
+ *   degrees clockwise from north), by the opposite facing away, and in
+ *   proportion in between; a snow material with { direction: 'north',
+ *   height: -0.1 } reaches lower on north faces and stays higher on south faces
+ * Factors scale a material's weight:
+ * - `aspect: { direction, spread = 90, blend = 30 }` keeps a material on
+ *   slopes facing within `spread` degrees of a direction, fading out over
+ *   `blend` more degrees; flat ground counts as facing every way
+ * - `curvature: { prefer, strength = 1 }` favors concave ground (gullies,
+ *   hollows, footslopes) or convex ground (ridges, spurs, shoulders),
+ *   scaling the weight from 1 - strength to 1 + strength
+ * - `noise: { scale, strength, octaves = 3 }` breaks up a material's weight
+ *   with seeded fractal noise, scaling it between 1 - strength and 1 + strength
+ * @param {object} colorData - Material/color data for the splat map (with an optional biomeMap)
+ * @param {object} heightMap - Height field the materials are assigned from
+ * @param {object} options - Terrain scale options, biomeBlend, curvatureRadius and the seed
+ * @returns {object[]} - Per material { biomeFilter (see createMaterialBiomeFilters), biomeWeight (share
+ *   of the material's biomes around each pixel, or null), heightOffset and slopeOffset (Float32Array
+ *   per pixel, or null), factor (function of the pixel index, or null) }
+ */
+function prepareMaterialRules(colorData, heightMap, options = {}) {
+  const materials = colorData.materials;
+  const { width } = heightMap;
+  const count = width * heightMap.height;
+  const { heightScale } = getTerrainScale(options);
+  const metersPerPixel = getMetersPerPixel(width, options);
+  const seed = resolveSeed(options.seed);
+  const biomeFilters = createMaterialBiomeFilters(materials, colorData.biomeMap);
+  const biomeBlend = options.biomeBlend !== undefined ? options.biomeBlend : DEFAULT_BIOME_BLEND;
+  const derivatives = materials.some(material => material.aspect || material.aspectShift)
+    ? calculateTerrainDerivatives(heightMap, metersPerPixel, heightScale)
+    : null;
+  const convexity = materials.some(material => material.curvature)
+    ? calculateConvexity(heightMap, metersPerPixel, heightScale, options)
+    : null;
+  
+  return materials.map((material, index) => {
+    const biomeFilter = biomeFilters[index];
+    let biomeWeight = null;
+    let heightOffset = null;
+    let slopeOffset = null;
+    const factors = [];
+    
+    if (biomeFilter) {
+      const { biome } = colorData.biomeMap;
+      const inBiome = Float32Array.from(biome, value => biomeFilter[value]);
+      biomeWeight = smoothField({ width, height: heightMap.height, data: inBiome }, biomeBlend / metersPerPixel).data;
+      // Drop the rounding residue of the running sums, which would otherwise
+      // let the material into pixels far outside its biomes
+      for (let idx = 0; idx < count; idx++) {
+        if (biomeWeight[idx] < 1e-6) {
+          biomeWeight[idx] = 0;
+        }
+      }
+    }
+    
+    if (material.edgeNoise) {
+      const { scale, height = 0, slope = 0, octaves = 3 } = material.edgeNoise;
+      const noise = createNoise2D(deriveRandom(seed, 'splat', 'edge', material.name));
+      const frequency = metersPerPixel / scale;
+      const values = new Float32Array(count);
+      for (let idx = 0; idx < count; idx++) {
+        values[idx] = fbm(noise, (idx % width) * frequency, Math.floor(idx / width) * frequency, { octaves });
+      }
+      heightOffset = addScaled(heightOffset, values, height);
+      slopeOffset = addScaled(slopeOffset, values, slope);
+    }
+    
+    if (material.aspectShift) {
+      const { height = 0, slope = 0 } = material.aspectShift;
+      const direction = resolveDirection(material.aspectShift.direction);
+      const { aspect, grade } = derivatives;
+      // Moving a range up by d is the same as moving the pixel's value down by d
+      const facing = new Float32Array(count);
+      for (let idx = 0; idx < count; idx++) {
+        if (aspect[idx] >= 0) {
+          facing[idx] = -Math.cos(aspectDifference(aspect[idx], direction) * Math.PI / 180) *
+            Math.min(1, grade[idx] / ASPECT_SHIFT_GRADE);
+        }
+      }
+      heightOffset = addScaled(heightOffset, facing, height);
+      slopeOffset = addScaled(slopeOffset, facing, slope);
+    }
+    
+    if (material.aspect) {
+      const { spread = 90, blend = 30 } = material.aspect;
+      const direction = resolveDirection(material.aspect.direction);
+      const { aspect } = derivatives;
+      factors.push(idx => {
+        if (aspect[idx] < 0) {
+          return 1;
+        }
+        const offset = aspectDifference(aspect[idx], direction);
+        return blend > 0 ? 1 - smoothstep(spread, spread + blend, offset) : (offset <= spread ? 1 : 0);
+      });
+    }
+    
+    if (material.curvature) {
+      const { prefer, strength = 1 } = material.curvature;
+      const sign = prefer === 'convex' ? strength : -strength;
+      factors.push(idx => Math.max(0, 1 + sign * convexity[idx]));
+    }
+    
+    if (material.noise) {
+      const { scale, strength, octaves = 3 } = material.noise;
+      const noise = createNoise2D(deriveRandom(seed, 'splat', 'noise', material.name));
+      const frequency = metersPerPixel / scale;
+      factors.push(idx => Math.max(0, 1 + strength * fbm(noise, (idx % width) * frequency, Math.floor(idx / width) * frequency, { octaves })));
+    }
+    
+    return {
+      biomeFilter,
+      biomeWeight,
+      heightOffset,
+      slopeOffset,
+      factor: factors.length === 0 ? null : idx => factors.reduce((product, factor) => product * factor(idx), 1)
+    };
+  });
+}
+
+/**
+ * Measure how convex the ground is around every pixel
+ * Mean curvature of the heights smoothed over curvatureRadius, mapped
+ * through tanh so it saturates at -1 (concave) and 1 (convex).
+ * @param {object} heightMap - Height field
+ * @param {number} metersPerPixel - Pixel size in meters
+ * @param {number} heightScale - Meters per normalized height unit
+ * @param {object} options - Splat options
+ * @param {number} [options.curvatureRadius=5] - Smoothing radius in meters
+ * @returns {Float32Array} - Convexity per pixel (-1 to 1, 0 on planes and even slopes)
+ */
+function calculateConvexity(heightMap, metersPerPixel, heightScale, options) {
+  const radius = options.curvatureRadius !== undefined ? options.curvatureRadius : DEFAULT_CURVATURE_RADIUS;
+  const smoothed = smoothField(heightMap, radius / metersPerPixel);
+  const { profileCurvature, planCurvature } = calculateTerrainDerivatives(smoothed, metersPerPixel, heightScale);
+  const convexity = new Float32Array(profileCurvature.length);
+  
+  for (let idx = 0; idx < convexity.length; idx++) {
+    convexity[idx] = Math.tanh((profileCurvature[idx] + planCurvature[idx]) / 2 / CURVATURE_REFERENCE);
+  }
+  
+  return convexity;
+}
+
+/**
+ * Add a scaled per-pixel field to an offset
+ * @param {Float32Array|null} offset - Offset so far, or null for none
+ * @param {Float32Array} values - Field to add
+ * @param {number} amount - Scale of the field
+ * @returns {Float32Array|null} - Offset with the field added (null if there is still none)
+ */
+function addScaled(offset, values, amount) {
+  if (!amount) {
+    return offset;
+  }
+  
+  const target = offset || new Float32Array(values.length);
+  for (let idx = 0; idx < values.length; idx++) {
+    target[idx] += amount * values[idx];
+  }
+  return target;
+}
+
+/**
+ * Resolve a direction given as a compass name or degrees
+ * @param {string|number} direction - Compass name (see COMPASS_DIRECTIONS) or degrees clockwise from north
+ * @returns {number} - Degrees clockwise from north
+ */
+function resolveDirection(direction) {
+  return typeof direction === 'number' ? direction : COMPASS_DIRECTIONS[direction];
+}
+
+/**
+ * Build each material's biome filter
+ * @param {object[]} materials - Materials
+ * @param {object} [biomeMap] - Biome map from createBiomeMap
+ * @returns {Array<Uint8Array|null>} - Per material, a lookup of its biome indices, or null where any biome will do
+ */
+function createMaterialBiomeFilters(materials, biomeMap) {
+  return materials.map(material => (biomeMap && material.biomes ? createBiomeFilter(material.biomes) : null));
+}
+
+/**
+ * Find the material whose height/slope ranges are closest to a pixel
+ * Materials outside the pixel's biome are only used when no other material fits.
+ * @param {object[]} materials - Materials
+ * @param {number} pixelHeight - Normalized height
+ * @param {number} slope - Normalized slope
+ * @param {Array<Uint8Array|null>} [biomeFilters=[]] - Material biome filters from createMaterialBiomeFilters
+ * @param {number} [biome=0] - Biome index of the pixel
+ * @returns {number} - Index of the closest material
+ */
+function closestMaterialIndex(materials, pixelHeight, slope, biomeFilters = [], biome = 0) {
+  const distanceToRange = (value, [min, max]) => Math.max(0, min - value, value - max);
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+  
+  materials.forEach((material, index) => {
+    const outsideBiome = biomeFilters[index] && !biomeFilters[index][biome] ? 2 : 0;
+    const distance = outsideBiome + distanceToRange(pixelHeight, material.heightRange) +
+      distanceToRange(slope, material.slopeRange);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = index;
+    }
+  });
+  
+  return bestIndex;
+}
+
+/**
+ * Encode a biome map as an 8-bit grayscale PNG of biome indices
+ * @param {object} biomeMap - Biome map from createBiomeMap
+ * @returns {Buffer} - PNG data
+ */
+function encodeBiomeMap(biomeMap) {
+  const png = new PNG({ width: biomeMap.width, height: biomeMap.height, colorType: 0, inputColorType: 0, inputHasAlpha: false });
+  png.data = Buffer.from(biomeMap.biome.buffer, biomeMap.biome.byteOffset, biomeMap.biome.length);
+  return PNG.sync.write(png, { colorType: 0, inputColorType: 0, inputHasAlpha: false });
+}
+
+module.exports = {
+  splatBackends,
+  generateMaterialWeights,
+  calculateMaterialWeights
+};
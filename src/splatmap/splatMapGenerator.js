@@ -7,6 +7,14 @@ const fs = require('fs');
 const path = require('path');
 const Jimp = require('jimp');
 const { processColorMapping } = require('./semanticColorMapper');
+const { loadHeightMap, loadWaterMap } = require('../utils/heightMapLoader');
+const { resolveSeed } = require('../utils/random');
+const { generateMaterialWeights } = require('./splatBackends');
+const { createBiomeMap, getPresentBiomes, BIOME_NAMES } = require('../biome/biomeClassifier');
+const { biomeDefinitions } = require('../biome/biomeDefinitions');
+
+// Outputs that can be requested with the splatOutput option
+const SPLAT_OUTPUTS = ['preview', 'weights', 'both'];
 
 class SplatMapGenerator {
   /**
@@ -14,25 +22,76 @@ class SplatMapGenerator {
    * @param {string} prompt - Text prompt describing the landscape
    * @param {string} heightMapPath - Path to the heightmap file
    * @param {object} options - Additional options for splatmap generation
-   * @returns {Promise<string>} - Path to the generated splatmap file
+   * @param {object} [options.heightMapDimensions] - Width/height of a raw heightmap
+   * @param {number} [options.worldSize] - Map width in meters (used for slope)
+   * @param {number} [options.heightScale] - Meters per normalized height unit (used for slope)
+   * @param {string} [options.splatOutput='preview'] - Output mode: 'preview' (single colored image),
+   *   'weights' (RGBA weight control textures + manifest) or 'both'
+   * @param {number} [options.blendWidth=0.05] - Width of the blend zone at material range borders
+   *   (materials can set their own `softness`)
+   * @param {number} [options.biomeBlend=16] - Radius in meters of the blend zone at biome borders
+   * @param {number} [options.curvatureRadius=5] - Radius in meters of the smoothing before curvature rules are measured
+   * @param {string} [options.splatBackend='procedural'] - Backend: procedural or external
+   * @param {object} [options.splatCommand] - External backend settings ({ command, args, timeout, cwd, env, keepTemp, fallback })
+   * @param {string} [options.waterMap] - Water map PNG (defaults to watermap.png next to the heightmap, if present)
+   * @param {string|object} [options.climate] - Climate preset name or { temperature, moisture } (read from the prompt if omitted)
+   * @param {number} [options.elevationCooling=20] - Temperature drop in °C from sea level to the top of the height range
+   * @param {string} [options.materialLibrary] - Material library to use (picked from the prompt if omitted)
+   * @param {string|string[]} [options.materialLibraries] - JSON material libraries to load for the run
+   * @param {string|number} [options.seed] - Seed of the materials' noise breakup and edge noise
+   * @returns {Promise<string|object>} - Path to the preview splat map in 'preview' mode, otherwise
+   *   an object with the preview path (if written), biome map path, control texture paths and manifest path
    */
   static async generate(prompt, heightMapPath, options = {}) {
     try {
       console.log('Generating splat map from prompt and heightmap');
+      const seed = resolveSeed(options.seed);
+      const splatOutput = options.splatOutput || 'preview';
+      if (!SPLAT_OUTPUTS.includes(splatOutput)) {
+        throw new Error(`Unknown splat output: ${splatOutput} (expected ${SPLAT_OUTPUTS.join(', ')})`);
+      }
       
       // Step 1: Process the text prompt to extract semantic color/material data
-      const colorData = await processColorMapping(prompt);
+      const colorData = await processColorMapping(prompt, options);
       
-      // Step 2: Generate the splat map using World Machine
-      // In a real implementation, this would call World Machine's Lua API
-      const splatMapData = await this.callWorldMachineAPI(colorData, heightMapPath, options);
+      // Step 2: Load the heightmap the materials are assigned from
+      const heightMap = await loadHeightMap(heightMapPath, options.heightMapDimensions || {});
       
-      // Step 3: Save the splat map to disk
-      const outputPath = path.join(process.cwd(), 'output', 'splatmap.png');
-      await this.saveSplatMap(splatMapData, outputPath);
+      // Step 2b: Classify biomes and keep the materials of the biomes present
+      const waterMap = await loadWaterMap(heightMapPath, options);
+      const biomeMap = createBiomeMap(heightMap, waterMap, colorData.climate, options);
+      const biomes = getPresentBiomes(biomeMap.biome);
+      colorData.biomeMap = biomeMap;
+      colorData.materials = colorData.materials.filter(material =>
+        !material.biomes || material.biomes.some(biome => biomes.has(biome)));
+      console.log(`Splat materials for the biomes present: ${colorData.materials.map(material => material.name).join(', ')}`);
       
-      console.log(`Splat map generated successfully at: ${outputPath}`);
-      return outputPath;
+      // Step 3: Calculate the material weights with the configured backend
+      const weightData = await this.callSplatBackend(colorData, heightMap, { ...options, seed });
+      
+      // Step 4: Save the splat map to disk
+      const outputDir = path.join(process.cwd(), 'output');
+      const outputPath = path.join(outputDir, 'splatmap.png');
+      const biomeMapPath = await this.saveBiomeMap(biomeMap, path.join(outputDir, 'biomemap.png'));
+      
+      if (splatOutput !== 'weights') {
+        await this.saveSplatMap(weightData, outputPath);
+      }
+      
+      if (splatOutput === 'preview') {
+        console.log(`Splat map generated successfully at: ${outputPath}`);
+        return outputPath;
+      }
+      
+      const result = {};
+      if (splatOutput === 'both') {
+        result.preview = outputPath;
+      }
+      result.biomeMap = biomeMapPath;
+      Object.assign(result, await this.saveWeightMaps(weightData, outputDir));
+      
+      console.log('Splat weight maps generated successfully');
+      return result;
     } catch (error) {
       console.error('Error generating splat map:', error);
       throw error;
@@ -40,148 +99,164 @@ class SplatMapGenerator {
   }
   
   /**
-   * Call the World Machine API to generate a splat map
+   * Call the configured splat backend
    * @param {object} colorData - Processed color/material data
-   * @param {string} heightMapPath - Path to the heightmap file
-   * @param {object} options - Additional options for the API
-   * @returns {Promise<object>} - Color data for the splat map
+   * @param {object} heightMap - Height field the materials are assigned from
+   * @param {object} options - Splat options, including the backend settings
+   * @returns {Promise<object>} - Weight data ({ width, height, materials, weights })
+   */
+  static async callSplatBackend(colorData, heightMap, options) {
+    try {
+      return await generateMaterialWeights(colorData, heightMap, options);
+    } catch (error) {
+      console.error('Error calling splat backend:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the biome map as a PNG file colored by biome
+   * Colors come from the biome definitions (see src/biome/biomeDefinitions.js).
+   * @param {object} biomeMap - Biome map from createBiomeMap
+   * @param {string} outputPath - Path to save the biome map
+   * @returns {Promise<string>} - Path to the biome map
    */
-  static async callWorldMachineAPI(colorData, heightMapPath, options) {
-    // This is a placeholder for the actual API call
-    // In a real implementation, this would call the World Machine Lua API
-    console.log('Calling World Machine API with color data:', JSON.stringify(colorData, null, 2));
-    console.log('Using heightmap at:', heightMapPath);
-    
-    // Placeholder implementation
-    // In a real implementation, we would:
-    // 1. Start World Machine (or connect to a running instance)
-    // 2. Load the heightmap
-    // 3. Create a material splatmap generation device
-    // 4. Configure it with our color/material data
-    // 5. Build and export the splatmap
-    
-    // Mock implementation - return the color data to use for visualization
-    console.log('Using mock splat map data (in a real implementation, this would call World Machine API)');
-    return colorData;
+  static async saveBiomeMap(biomeMap, outputPath) {
+    try {
+      const outputDir = path.dirname(outputPath);
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      
+      const { width, height, biome } = biomeMap;
+      const colors = BIOME_NAMES.map(name => biomeDefinitions[name].color);
+      const image = new Jimp(width, height);
+      const pixels = image.bitmap.data;
+      
+      for (let idx = 0; idx < width * height; idx++) {
+        const color = colors[biome[idx]];
+        pixels[idx * 4] = color[0];
+        pixels[idx * 4 + 1] = color[1];
+        pixels[idx * 4 + 2] = color[2];
+        pixels[idx * 4 + 3] = 255;
+      }
+      
+      await image.writeAsync(outputPath);
+      console.log(`Biome map saved to ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      console.error('Error saving biome map:', error);
+      throw error;
+    }
   }
   
   /**
-   * Save the splat map data to disk as an actual PNG file
-   * @param {object} colorData - Material/color data for the splat map
+   * Save the splat map preview as a colored PNG file
+   * Each pixel mixes the material colors by their weights, so the preview
+   * shows the same transition zones as the exported weight maps.
+   * @param {object} weightData - Weight data from a splat backend
    * @param {string} outputPath - Path to save the splat map
    * @returns {Promise<void>}
    */
-  static async saveSplatMap(colorData, outputPath) {
+  static async saveSplatMap(weightData, outputPath) {
     try {
-      // Ensure the output directory exists
       const outputDir = path.dirname(outputPath);
       if (!fs.existsSync(outputDir)) {
         fs.mkdirSync(outputDir, { recursive: true });
       }
       
-      // Create an actual color splat map using Jimp
-      const width = 1024;
-      const height = 1024;
+      const { width, height, materials, weights } = weightData;
       const image = new Jimp(width, height);
+      const pixels = image.bitmap.data;
       
-      // Load a heightmap to use as reference for height-based materials
-      // For simplicity, we'll generate a simple grayscale heightmap
-      const heightmap = new Array(width * height).fill(0);
-      for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-          // Simple procedural heightmap for demonstration
-          // In a real implementation, this would load the actual heightmap
-          const nx = x / width;
-          const ny = y / height;
-          
-          // Base height
-          let h = 0.3;
-          
-          // Add some hills/mountains
-          h += 0.4 * Math.pow(Math.sin(nx * 5) * Math.cos(ny * 5), 2);
-          
-          // Add a river
-          const riverDist = Math.abs(ny - 0.5);
-          if (riverDist < 0.05) {
-            h -= 0.3 * (1 - riverDist / 0.05);
+      for (let idx = 0; idx < width * height; idx++) {
+        for (let c = 0; c < 3; c++) {
+          let value = 0;
+          for (let m = 0; m < materials.length; m++) {
+            value += weights[m][idx] * materials[m].color[c];
           }
-          
-          // Add some noise
-          h += (Math.random() * 0.1) - 0.05;
-          
-          // Store in heightmap
-          heightmap[y * width + x] = Math.max(0, Math.min(1, h));
+          pixels[idx * 4 + c] = Math.round(value);
         }
+        pixels[idx * 4 + 3] = 255;
       }
       
-      // For each pixel, determine which material to use based on height/slope
-      for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-          const idx = y * width + x;
-          const pixelHeight = heightmap[idx];
-          
-          // Calculate approximate slope using neighboring pixels
-          let slope = 0;
-          if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
-            const h1 = heightmap[(y - 1) * width + x]; // up
-            const h2 = heightmap[(y + 1) * width + x]; // down
-            const h3 = heightmap[y * width + (x - 1)]; // left
-            const h4 = heightmap[y * width + (x + 1)]; // right
-            
-            const dy = Math.abs(h1 - h2);
-            const dx = Math.abs(h3 - h4);
-            slope = Math.sqrt(dx * dx + dy * dy);
-          }
-          
-          // Find the best matching material for this height and slope
-          let bestMaterial = null;
-          let bestWeight = -1;
-          
-          for (const material of colorData.materials) {
-            // Check if height is in range
-            const heightInRange = 
-              pixelHeight >= material.heightRange[0] && 
-              pixelHeight <= material.heightRange[1];
-            
-            // Check if slope is in range
-            const slopeInRange = 
-              slope >= material.slopeRange[0] && 
-              slope <= material.slopeRange[1];
-            
-            if (heightInRange && slopeInRange) {
-              // Calculate weight based on how well it matches and material weight
-              const heightMatch = 1 - Math.abs((pixelHeight - material.heightRange[0]) / (material.heightRange[1] - material.heightRange[0]) - 0.5) * 2;
-              const slopeMatch = 1 - Math.abs((slope - material.slopeRange[0]) / (material.slopeRange[1] - material.slopeRange[0]) - 0.5) * 2;
-              
-              const weight = (heightMatch * slopeMatch) * material.weight;
-              
-              if (weight > bestWeight) {
-                bestWeight = weight;
-                bestMaterial = material;
-              }
-            }
+      await image.writeAsync(outputPath);
+      console.log(`Splat map preview saved to ${outputPath}`);
+    } catch (error) {
+      console.error('Error saving splat map preview:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save material weights as RGBA control textures plus a JSON manifest
+   * Four materials are packed into each texture (R, G, B, A), using as many
+   * textures as needed: splatmap_control_0.png, splatmap_control_1.png, ...
+   * @param {object} weightData - Weight data from a splat backend
+   * @param {string} outputDir - Directory to write the textures and manifest to
+   * @returns {Promise<object>} - Paths to the control textures and the manifest
+   */
+  static async saveWeightMaps(weightData, outputDir) {
+    try {
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      
+      const { width, height, materials, weights } = weightData;
+      const channelNames = ['r', 'g', 'b', 'a'];
+      const textureCount = Math.ceil(materials.length / 4);
+      const controlMaps = [];
+      const manifest = {
+        width,
+        height,
+        textures: [],
+        materials: []
+      };
+      
+      for (let t = 0; t < textureCount; t++) {
+        const fileName = `splatmap_control_${t}.png`;
+        const outputPath = path.join(outputDir, fileName);
+        const image = new Jimp(width, height, 0x00000000);
+        const pixels = image.bitmap.data;
+        const channels = {};
+        
+        for (let c = 0; c < 4; c++) {
+          const m = t * 4 + c;
+          if (m >= materials.length) {
+            break;
           }
           
-          // Default color if no material matches
-          let r = 0, g = 0, b = 0;
-          
-          // Use the best material color
-          if (bestMaterial) {
-            [r, g, b] = bestMaterial.color;
+          const materialWeights = weights[m];
+          for (let idx = 0; idx < width * height; idx++) {
+            pixels[idx * 4 + c] = Math.round(materialWeights[idx] * 255);
           }
           
-          // Set the pixel color
-          const color = Jimp.rgbaToInt(r, g, b, 255);
-          image.setPixelColor(color, x, y);
+          channels[channelNames[c]] = materials[m].name;
+          manifest.materials.push({
+            name: materials[m].name,
+            texture: fileName,
+            channel: channelNames[c],
+            textureId: materials[m].textureId || null,
+            color: materials[m].color,
+            heightRange: materials[m].heightRange,
+            slopeRange: materials[m].slopeRange,
+            biomes: materials[m].biomes || null
+          });
         }
+        
+        await image.writeAsync(outputPath);
+        manifest.textures.push({ file: fileName, channels });
+        controlMaps.push(outputPath);
+        console.log(`Splat control texture saved to ${outputPath}`);
       }
       
-      // Save the image
-      await image.writeAsync(outputPath);
+      const manifestPath = path.join(outputDir, 'splatmap_manifest.json');
+      await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+      console.log(`Splat manifest saved to ${manifestPath}`);
       
-      console.log(`Splat map saved to ${outputPath}`);
+      return { controlMaps, manifest: manifestPath };
     } catch (error) {
-      console.error('Error saving splat map:', error);
+      console.error('Error saving splat weight maps:', error);
       throw error;
     }
   }
@@ -0,0 +1,67 @@
+/**
+ * Distance Transform
+ * Distances across square grids, such as the distance from each cell to the nearest water
+ */
+
+/**
+ * Chamfer distance transform on a square grid
+ * Two passes with 8-connected steps of 1 and sqrt(2) cells.
+ * @param {Uint8Array} flags - Value per cell
+ * @param {number} size - Grid size in cells per side
+ * @param {number} target - Value whose cells the distance is measured to
+ * @returns {Float32Array} - Distance in cells to the nearest target cell (Infinity if there is none)
+ */
+function distanceTransform(flags, size, target) {
+  const distances = new Float32Array(size * size);
+  for (let i = 0; i < distances.length; i++) {
+    distances[i] = flags[i] === target ? 0 : Infinity;
+  }
+  
+  // Forward pass: neighbors above and to the left
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const index = y * size + x;
+      let distance = distances[index];
+      if (x > 0) {
+        distance = Math.min(distance, distances[index - 1] + 1);
+      }
+      if (y > 0) {
+        distance = Math.min(distance, distances[index - size] + 1);
+        if (x > 0) {
+          distance = Math.min(distance, distances[index - size - 1] + Math.SQRT2);
+        }
+        if (x < size - 1) {
+          distance = Math.min(distance, distances[index - size + 1] + Math.SQRT2);
+        }
+      }
+      distances[index] = distance;
+    }
+  }
+  
+  // Backward pass: neighbors below and to the right
+  for (let y = size - 1; y >= 0; y--) {
+    for (let x = size - 1; x >= 0; x--) {
+      const index = y * size + x;
+      let distance = distances[index];
+      if (x < size - 1) {
+        distance = Math.min(distance, distances[index + 1] + 1);
+      }
+      if (y < size - 1) {
+        distance = Math.min(distance, distances[index + size] + 1);
+        if (x < size - 1) {
+          distance = Math.min(distance, distances[index + size + 1] + Math.SQRT2);
+        }
+        if (x > 0) {
+          distance = Math.min(distance, distances[index + size - 1] + Math.SQRT2);
+        }
+      }
+      distances[index] = distance;
+    }
+  }
+  
+  return distances;
+}
+
+module.exports = {
+  distanceTransform
+};
@@ -0,0 +1,186 @@
+/**
+ * Height Map Loader
+ * Decodes heightmap images and raw height files into normalized height fields
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const { PNG } = require('pngjs');
+
+/**
+ * Load a heightmap from disk
+ * Supports 8-bit and 16-bit PNG files, raw little-endian 16-bit files
+ * (.r16/.raw) and any other image format Jimp can read.
+ * @param {string} heightMapPath - Path to the heightmap file
+ * @param {object} options - Loading options
+ * @param {number} [options.width] - Width of a raw heightmap in pixels
+ * @param {number} [options.height] - Height of a raw heightmap in pixels
+ * @param {boolean} [options.littleEndian=true] - Byte order of a raw heightmap
+ * @returns {Promise<object>} - Height field with normalized heights (0-1)
+ */
+async function loadHeightMap(heightMapPath, options = {}) {
+  const extension = path.extname(heightMapPath).toLowerCase();
+  const buffer = await fs.promises.readFile(heightMapPath);
+  
+  if (extension === '.r16' || extension === '.raw') {
+    return decodeRawHeightMap(buffer, options);
+  }
+  
+  return decodeImageHeightMap(buffer);
+}
+
+/**
+ * Load the water map written by the heightmap stage
+ * The water map is a binary grayscale mask (white for water, black for land);
+ * by default it is the watermap.png next to the heightmap, which may be missing.
+ * @param {string} heightMapPath - Path to the heightmap file
+ * @param {object} [options={}] - Loading options
+ * @param {string} [options.waterMap] - Path to the water map (must exist if given)
+ * @returns {Promise<object|null>} - Water map with a bilinear getHeight, or null if there is none
+ */
+async function loadWaterMap(heightMapPath, options = {}) {
+  const waterMapPath = options.waterMap || path.join(path.dirname(heightMapPath), 'watermap.png');
+  if (!fs.existsSync(waterMapPath)) {
+    if (options.waterMap) {
+      throw new Error(`Water map not found: ${waterMapPath}`);
+    }
+    console.log('No water map found; water comes from the sea level only');
+    return null;
+  }
+  
+  console.log(`Loading water map from ${waterMapPath}`);
+  return loadHeightMap(waterMapPath);
+}
+
+/**
+ * Decode an image buffer into a height field
+ * @param {Buffer} buffer - Encoded image data
+ * @returns {Promise<object>} - Height field with normalized heights (0-1)
+ */
+async function decodeImageHeightMap(buffer) {
+  if (isPNG(buffer)) {
+    // Decode PNGs directly so that 16-bit precision is preserved
+    const png = PNG.sync.read(buffer, { skipRescale: true });
+    const maxValue = png.depth === 16 ? 65535 : 255;
+    return createHeightField(png.width, png.height, extractHeights(png.data, png.width * png.height, maxValue));
+  }
+  
+  const image = await Jimp.read(buffer);
+  const { width, height, data } = image.bitmap;
+  return createHeightField(width, height, extractHeights(data, width * height, 255));
+}
+
+/**
+ * Decode a raw 16-bit heightmap buffer into a height field
+ * @param {Buffer} buffer - Raw height data (one unsigned 16-bit value per pixel)
+ * @param {object} options - Raw format options
+ * @param {number} [options.width] - Width in pixels (square maps are inferred)
+ * @param {number} [options.height] - Height in pixels (square maps are inferred)
+ * @param {boolean} [options.littleEndian=true] - Byte order of the samples
+ * @returns {object} - Height field with normalized heights (0-1)
+ */
+function decodeRawHeightMap(buffer, options = {}) {
+  const sampleCount = Math.floor(buffer.length / 2);
+  let width = options.width;
+  let height = options.height;
+  
+  if (!width && !height) {
+    // Raw files carry no header, so only square maps can be inferred
+    width = height = Math.round(Math.sqrt(sampleCount));
+  } else if (!height) {
+    height = Math.floor(sampleCount / width);
+  } else if (!width) {
+    width = Math.floor(sampleCount / height);
+  }
+  
+  if (width * height !== sampleCount) {
+    throw new Error(`Raw heightmap has ${sampleCount} samples, which does not match ${width}x${height}`);
+  }
+  
+  const littleEndian = options.littleEndian !== false;
+  const data = new Float32Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    const value = littleEndian ? buffer.readUInt16LE(i * 2) : buffer.readUInt16BE(i * 2);
+    data[i] = value / 65535;
+  }
+  
+  return createHeightField(width, height, data);
+}
+
+/**
+ * Create a height field with bilinear height sampling
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Float32Array} data - Normalized heights in row-major order
+ * @returns {object} - Height field
+ */
+function createHeightField(width, height, data) {
+  return {
+    width,
+    height,
+    data,
+    
+    /**
+     * Sample the height at a position in pixel coordinates
+     * Pixel (i, j) covers [i, i + 1) x [j, j + 1), so its value sits at the
+     * pixel center and positions in between are interpolated bilinearly.
+     * @param {number} x - X coordinate in pixels
+     * @param {number} y - Y coordinate in pixels
+     * @returns {number} - Interpolated normalized height
+     */
+    getHeight: function(x, y) {
+      const fx = Math.max(0, Math.min(this.width - 1, x - 0.5));
+      const fy = Math.max(0, Math.min(this.height - 1, y - 0.5));
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      const x1 = Math.min(x0 + 1, this.width - 1);
+      const y1 = Math.min(y0 + 1, this.height - 1);
+      const tx = fx - x0;
+      const ty = fy - y0;
+      
+      const top = this.data[y0 * this.width + x0] * (1 - tx) + this.data[y0 * this.width + x1] * tx;
+      const bottom = this.data[y1 * this.width + x0] * (1 - tx) + this.data[y1 * this.width + x1] * tx;
+      return top * (1 - ty) + bottom * ty;
+    }
+  };
+}
+
+/**
+ * Convert RGBA pixel data into normalized heights
+ * Grayscale images use the gray value; colored images use their luminance.
+ * @param {ArrayLike<number>} pixels - RGBA pixel data
+ * @param {number} pixelCount - Number of pixels
+ * @param {number} maxValue - Maximum channel value (255 or 65535)
+ * @returns {Float32Array} - Normalized heights
+ */
+function extractHeights(pixels, pixelCount, maxValue) {
+  const heights = new Float32Array(pixelCount);
+  
+  for (let i = 0; i < pixelCount; i++) {
+    const r = pixels[i * 4];
+    const g = pixels[i * 4 + 1];
+    const b = pixels[i * 4 + 2];
+    const value = (r === g && g === b) ? r : 0.299 * r + 0.587 * g + 0.114 * b;
+    heights[i] = value / maxValue;
+  }
+  
+  return heights;
+}
+
+/**
+ * Check whether a buffer holds PNG data
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} - True if the buffer starts with the PNG signature
+ */
+function isPNG(buffer) {
+  return buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a;
+}
+
+module.exports = {
+  loadHeightMap,
+  loadWaterMap,
+  decodeImageHeightMap,
+  decodeRawHeightMap,
+  createHeightField
+};
@@ -0,0 +1,44 @@
+/**
+ * Math
+ * Small numeric helpers shared across the pipeline
+ */
+
+/**
+ * Clamp a value to a range
+ * @param {number} value - Input value
+ * @param {number} [min=0] - Lower bound
+ * @param {number} [max=1] - Upper bound
+ * @returns {number} - Clamped value
+ */
+function clamp(value, min = 0, max = 1) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Linear interpolation
+ * @param {number} a - Start value
+ * @param {number} b - End value
+ * @param {number} t - Interpolation factor (0-1)
+ * @returns {number} - Interpolated value
+ */
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Hermite smoothstep between two edges
+ * @param {number} edge0 - Lower edge
+ * @param {number} edge1 - Upper edge
+ * @param {number} value - Input value
+ * @returns {number} - Smoothed value (0-1)
+ */
+function smoothstep(edge0, edge1, value) {
+  const t = clamp((value - edge0) / (edge1 - edge0));
+  return t * t * (3 - 2 * t);
+}
+
+module.exports = {
+  clamp,
+  lerp,
+  smoothstep
+};
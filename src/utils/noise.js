@@ -0,0 +1,163 @@
+/**
+ * Noise
+ * Seeded gradient noise and fractal noise variants for terrain synthesis
+ */
+
+// Unit gradient directions for 2D Perlin noise
+const GRADIENTS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+  [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2]
+];
+
+/**
+ * Create a seeded 2D gradient (Perlin) noise function
+ * @param {function(): number} random - Random number generator used to shuffle the permutation table
+ * @returns {function(number, number): number} - Noise function returning values in roughly [-1, 1]
+ */
+function createNoise2D(random) {
+  // Shuffle a permutation table with the seeded generator (Fisher-Yates)
+  const permutation = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    permutation[i] = i;
+  }
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const swap = permutation[i];
+    permutation[i] = permutation[j];
+    permutation[j] = swap;
+  }
+  
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) {
+    perm[i] = permutation[i & 255];
+  }
+  
+  const dot = (hash, x, y) => {
+    const gradient = GRADIENTS[hash & 7];
+    return gradient[0] * x + gradient[1] * y;
+  };
+  
+  return function noise2D(x, y) {
+    const xFloor = Math.floor(x);
+    const yFloor = Math.floor(y);
+    const xi = xFloor & 255;
+    const yi = yFloor & 255;
+    const xf = x - xFloor;
+    const yf = y - yFloor;
+    
+    const u = fade(xf);
+    const v = fade(yf);
+    
+    const n00 = dot(perm[perm[xi] + yi], xf, yf);
+    const n10 = dot(perm[perm[xi + 1] + yi], xf - 1, yf);
+    const n01 = dot(perm[perm[xi] + yi + 1], xf, yf - 1);
+    const n11 = dot(perm[perm[xi + 1] + yi + 1], xf - 1, yf - 1);
+    
+    const nx0 = n00 + u * (n10 - n00);
+    const nx1 = n01 + u * (n11 - n01);
+    
+    // Scale so the output covers roughly [-1, 1]
+    return (nx0 + v * (nx1 - nx0)) * Math.SQRT2;
+  };
+}
+
+/**
+ * Fractal Brownian motion: a sum of noise octaves of rising frequency
+ * @param {function(number, number): number} noise - Base noise function
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {object} options - Fractal options
+ * @param {number} [options.octaves=4] - Number of octaves
+ * @param {number} [options.lacunarity=2] - Frequency multiplier per octave
+ * @param {number} [options.gain=0.5] - Amplitude multiplier per octave
+ * @returns {number} - Noise value in roughly [-1, 1]
+ */
+function fbm(noise, x, y, options = {}) {
+  const { octaves = 4, lacunarity = 2, gain = 0.5 } = options;
+  let frequency = 1;
+  let amplitude = 1;
+  let sum = 0;
+  let norm = 0;
+  
+  for (let i = 0; i < octaves; i++) {
+    sum += noise(x * frequency, y * frequency) * amplitude;
+    norm += amplitude;
+    frequency *= lacunarity;
+    amplitude *= gain;
+  }
+  
+  return sum / norm;
+}
+
+/**
+ * Ridged multifractal noise (sharp crests, suited to mountain ranges)
+ * Each octave is weighted by the previous one so detail accumulates on the ridges.
+ * @param {function(number, number): number} noise - Base noise function
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {object} options - Fractal options (see fbm)
+ * @returns {number} - Noise value in [0, 1]
+ */
+function ridged(noise, x, y, options = {}) {
+  const { octaves = 4, lacunarity = 2, gain = 0.5 } = options;
+  let frequency = 1;
+  let amplitude = 1;
+  let weight = 1;
+  let sum = 0;
+  let norm = 0;
+  
+  for (let i = 0; i < octaves; i++) {
+    let signal = 1 - Math.abs(noise(x * frequency, y * frequency));
+    signal *= signal * weight;
+    weight = Math.max(0, Math.min(1, signal * 2));
+    
+    sum += signal * amplitude;
+    norm += amplitude;
+    frequency *= lacunarity;
+    amplitude *= gain;
+  }
+  
+  return Math.max(0, Math.min(1, sum / norm));
+}
+
+/**
+ * Billowy noise (rounded, puffy shapes suited to rolling hills)
+ * @param {function(number, number): number} noise - Base noise function
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {object} options - Fractal options (see fbm)
+ * @returns {number} - Noise value in [0, 1]
+ */
+function billow(noise, x, y, options = {}) {
+  const { octaves = 4, lacunarity = 2, gain = 0.5 } = options;
+  let frequency = 1;
+  let amplitude = 1;
+  let sum = 0;
+  let norm = 0;
+  
+  for (let i = 0; i < octaves; i++) {
+    sum += Math.abs(noise(x * frequency, y * frequency)) * amplitude;
+    norm += amplitude;
+    frequency *= lacunarity;
+    amplitude *= gain;
+  }
+  
+  return Math.min(1, sum / norm);
+}
+
+/**
+ * Quintic fade curve used to interpolate between lattice points
+ * @param {number} t - Value in [0, 1]
+ * @returns {number} - Faded value
+ */
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+module.exports = {
+  createNoise2D,
+  fbm,
+  ridged,
+  billow
+};
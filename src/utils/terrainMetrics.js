@@ -0,0 +1,403 @@
+/**
+ * Terrain Metrics
+ * Shared terrain scale conventions and per-pixel terrain measurements
+ */
+
+// Default physical size of a map: its width in meters, and the height in
+// meters that a normalized height of 1.0 corresponds to
+const DEFAULT_WORLD_SIZE = 1024;
+const DEFAULT_HEIGHT_SCALE = 256;
+
+// Grade below which a cell counts as flat and has no aspect
+const FLAT_GRADIENT = 0.001;
+
+// D8 flow directions as [dx, dy], clockwise from north (the top of the map)
+const FLOW_OFFSETS = [
+  [0, -1], [1, -1], [1, 0], [1, 1],
+  [0, 1], [-1, 1], [-1, 0], [-1, -1]
+];
+
+// Flow direction of cells that drain off the map
+const NO_FLOW = 255;
+
+// Height added per cell when filling depressions, so filled areas drain
+const FILL_RISE = 1e-9;
+
+// Compass directions in degrees clockwise from north, as used by aspect
+const COMPASS_DIRECTIONS = {
+  north: 0,
+  northeast: 45,
+  east: 90,
+  southeast: 135,
+  south: 180,
+  southwest: 225,
+  west: 270,
+  northwest: 315
+};
+
+/**
+ * Resolve the physical terrain scale from options
+ * @param {object} options - Pipeline options
+ * @param {number} [options.worldSize] - Map width in meters
+ * @param {number} [options.heightScale] - Meters per normalized height unit
+ * @returns {object} - Terrain scale ({ worldSize, heightScale })
+ */
+function getTerrainScale(options = {}) {
+  return {
+    worldSize: options.worldSize || DEFAULT_WORLD_SIZE,
+    heightScale: options.heightScale || DEFAULT_HEIGHT_SCALE
+  };
+}
+
+/**
+ * Get the distance between neighboring heightmap pixels
+ * The first and last pixels of a row lie on the map edges, as in the 2^n+1
+ * grids engines import, so a map of `width` pixels spans width - 1 steps.
+ * @param {number} width - Map width in pixels
+ * @param {object} options - Terrain scale options (see getTerrainScale)
+ * @returns {number} - Meters per pixel
+ */
+function getMetersPerPixel(width, options = {}) {
+  return getTerrainScale(options).worldSize / Math.max(1, width - 1);
+}
+
+/**
+ * Calculate the slope of every heightmap pixel
+ * Slope is expressed as rise over run (0.15 = 15% grade) using the physical
+ * terrain scale, and clamped to 1.0 (45 degrees).
+ * @param {object} heightMap - Height field ({ width, height, data })
+ * @param {object} options - Terrain scale options (see getTerrainScale)
+ * @returns {Float32Array} - Slope per pixel (0-1)
+ */
+function calculateSlopeMap(heightMap, options = {}) {
+  const { width, height, data } = heightMap;
+  const { heightScale } = getTerrainScale(options);
+  const metersPerPixel = getMetersPerPixel(width, options);
+  const slopes = new Float32Array(width * height);
+  
+  for (let y = 0; y < height; y++) {
+    const up = y > 0 ? y - 1 : y;
+    const down = y < height - 1 ? y + 1 : y;
+    
+    for (let x = 0; x < width; x++) {
+      const left = x > 0 ? x - 1 : x;
+      const right = x < width - 1 ? x + 1 : x;
+      
+      // Central differences (one-sided at the map edges)
+      const dx = (data[y * width + right] - data[y * width + left]) / ((right - left) || 1);
+      const dy = (data[down * width + x] - data[up * width + x]) / ((down - up) || 1);
+      
+      const gradient = Math.sqrt(dx * dx + dy * dy) * heightScale / metersPerPixel;
+      slopes[y * width + x] = Math.min(1, gradient);
+    }
+  }
+  
+  return slopes;
+}
+
+/**
+ * Get the angle between an aspect and a compass direction
+ * @param {number} aspect - Aspect in degrees clockwise from north
+ * @param {number} direction - Direction in degrees clockwise from north
+ * @returns {number} - Angle between them in degrees (0-180)
+ */
+function aspectDifference(aspect, direction) {
+  return Math.abs(((aspect - direction) % 360 + 540) % 360 - 180);
+}
+
+/**
+ * Calculate the local derivatives of every height field cell
+ * Derivatives come from the 3x3 neighborhood (edge cells repeat their border
+ * neighbors), with heights and distances in meters:
+ * - grade: slope as rise over run, unclamped
+ * - aspect: compass direction the slope faces (downhill), in degrees
+ *   clockwise from north (the top of the map); -1 on flat cells
+ * - profileCurvature: curvature along the slope, in 1/m; positive where the
+ *   slope steepens downhill (convex shoulders), negative where it eases
+ *   out (concave footslopes)
+ * - planCurvature: curvature across the slope, in 1/m; positive on spurs and
+ *   ridges where flow spreads, negative in hollows where it converges
+ * - roughness: mean absolute height difference to the eight neighbors, in meters
+ * Flat cells have no slope direction, so both curvatures fall back to the
+ * mean curvature there.
+ * @param {object} field - Height field ({ width, height, data } with normalized heights)
+ * @param {number} cellSize - Distance between neighboring cells in meters
+ * @param {number} heightScale - Meters per normalized height unit
+ * @returns {object} - Float32Arrays per cell ({ grade, aspect, profileCurvature, planCurvature, roughness })
+ */
+function calculateTerrainDerivatives(field, cellSize, heightScale) {
+  const { width, height, data } = field;
+  const count = width * height;
+  const grade = new Float32Array(count);
+  const aspect = new Float32Array(count);
+  const profileCurvature = new Float32Array(count);
+  const planCurvature = new Float32Array(count);
+  const roughness = new Float32Array(count);
+  
+  const spacing2 = cellSize * cellSize;
+  
+  for (let y = 0; y < height; y++) {
+    const up = (y > 0 ? y - 1 : y) * width;
+    const row = y * width;
+    const down = (y < height - 1 ? y + 1 : y) * width;
+    
+    for (let x = 0; x < width; x++) {
+      const left = x > 0 ? x - 1 : x;
+      const right = x < width - 1 ? x + 1 : x;
+      
+      // Neighborhood in meters: n = north (up), s = south, w = west, e = east
+      const nw = data[up + left] * heightScale;
+      const n = data[up + x] * heightScale;
+      const ne = data[up + right] * heightScale;
+      const w = data[row + left] * heightScale;
+      const z = data[row + x] * heightScale;
+      const e = data[row + right] * heightScale;
+      const sw = data[down + left] * heightScale;
+      const s = data[down + x] * heightScale;
+      const se = data[down + right] * heightScale;
+      const index = row + x;
+      
+      // First and second derivatives (x east, y south)
+      const p = (e - w) / (2 * cellSize);
+      const q = (s - n) / (2 * cellSize);
+      const r = (e + w - 2 * z) / spacing2;
+      const t = (n + s - 2 * z) / spacing2;
+      const xy = (se - ne - sw + nw) / (4 * spacing2);
+      const gradient2 = p * p + q * q;
+      
+      grade[index] = Math.sqrt(gradient2);
+      
+      if (gradient2 > FLAT_GRADIENT * FLAT_GRADIENT) {
+        // Downhill is (-p, -q); north is -y
+        aspect[index] = (Math.atan2(-p, q) * 180 / Math.PI + 360) % 360;
+        profileCurvature[index] = -(p * p * r + 2 * p * q * xy + q * q * t) / gradient2;
+        planCurvature[index] = -(q * q * r - 2 * p * q * xy + p * p * t) / gradient2;
+      } else {
+        aspect[index] = -1;
+        profileCurvature[index] = -(r + t) / 2;
+        planCurvature[index] = -(r + t) / 2;
+      }
+      
+      roughness[index] = (
+        Math.abs(nw - z) + Math.abs(n - z) + Math.abs(ne - z) + Math.abs(w - z) +
+        Math.abs(e - z) + Math.abs(sw - z) + Math.abs(s - z) + Math.abs(se - z)
+      ) / 8;
+    }
+  }
+  
+  return { grade, aspect, profileCurvature, planCurvature, roughness };
+}
+
+/**
+ * Calculate the topographic position index of every height field cell
+ * TPI is a cell's height minus the mean height of the square window of the
+ * given radius around it: positive on hilltops and ridges, negative in
+ * valleys and basins, near zero on plains and even slopes. The window mean
+ * comes from running sums, so the cost does not grow with the radius.
+ * @param {object} field - Height field ({ width, height, data } with normalized heights)
+ * @param {number} radius - Window radius in cells
+ * @param {number} heightScale - Meters per normalized height unit
+ * @returns {Float32Array} - TPI per cell in meters
+ */
+function calculateTopographicPosition(field, radius, heightScale) {
+  const { data } = field;
+  const tpi = smoothField(field, radius).data;
+  
+  for (let i = 0; i < tpi.length; i++) {
+    tpi[i] = (data[i] - tpi[i]) * heightScale;
+  }
+  
+  return tpi;
+}
+
+/**
+ * Smooth a field with a square box filter
+ * Each cell becomes the mean of the window of the given radius around it,
+ * computed from running sums so the cost does not grow with the radius.
+ * @param {object} field - Height field or other per-cell values ({ width, height, data })
+ * @param {number} radius - Window radius in cells (rounded; 0 copies the field)
+ * @returns {object} - Smoothed field ({ width, height, data: Float32Array })
+ */
+function smoothField(field, radius) {
+  const { width, height, data } = field;
+  const rowMeans = new Float32Array(width * height);
+  const smoothed = new Float32Array(width * height);
+  const span = Math.max(0, Math.round(radius));
+  
+  // Window means along rows, then along columns, clamping at the borders
+  runningMean(data, rowMeans, width, height, span, 1, width);
+  runningMean(rowMeans, smoothed, height, width, span, width, 1);
+  
+  return { width, height, data: smoothed };
+}
+
+/**
+ * Mean over a sliding window along each line of a grid
+ * @param {ArrayLike<number>} source - Values to average
+ * @param {Float32Array} target - Output means
+ * @param {number} length - Cells per line
+ * @param {number} lines - Number of lines
+ * @param {number} radius - Window radius in cells
+ * @param {number} step - Index step along a line
+ * @param {number} lineStep - Index step between lines
+ */
+function runningMean(source, target, length, lines, radius, step, lineStep) {
+  const windowSize = radius * 2 + 1;
+  
+  for (let line = 0; line < lines; line++) {
+    const start = line * lineStep;
+    const at = i => source[start + Math.max(0, Math.min(length - 1, i)) * step];
+    
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+      sum += at(i);
+    }
+    for (let i = 0; i < length; i++) {
+      target[start + i * step] = sum / windowSize;
+      sum += at(i + radius + 1) - at(i - radius);
+    }
+  }
+}
+
+/**
+ * Calculate D8 flow directions and flow accumulation of a height field
+ * Depressions and flats are first filled (priority flood with a tiny rise per
+ * cell, so filled areas still slope towards their outlet), which routes water
+ * through lakes and pits to the map edge instead of stranding it. Every cell
+ * then drains to its steepest downhill neighbor in the filled field.
+ * @param {object} field - Height field ({ width, height, data } with normalized heights)
+ * @returns {object} - Flow data ({ direction: Uint8Array of FLOW_OFFSETS indices, or NO_FLOW at
+ *   outlets on the map edge; accumulation: Float32Array of the cells draining through each cell,
+ *   itself included })
+ */
+function calculateFlow(field) {
+  const { width, height, data } = field;
+  const count = width * height;
+  const filled = new Float64Array(count);
+  const visited = new Uint8Array(count);
+  const order = new Int32Array(count); // Cells in the order the flood reaches them, lowest first
+  const heap = new Int32Array(count);
+  let heapSize = 0;
+  
+  const push = index => {
+    let child = heapSize++;
+    while (child > 0) {
+      const parent = (child - 1) >> 1;
+      if (filled[heap[parent]] <= filled[index]) {
+        break;
+      }
+      heap[child] = heap[parent];
+      child = parent;
+    }
+    heap[child] = index;
+  };
+  
+  const pop = () => {
+    const top = heap[0];
+    const last = heap[--heapSize];
+    let parent = 0;
+    for (;;) {
+      let child = parent * 2 + 1;
+      if (child >= heapSize) {
+        break;
+      }
+      if (child + 1 < heapSize && filled[heap[child + 1]] < filled[heap[child]]) {
+        child++;
+      }
+      if (filled[heap[child]] >= filled[last]) {
+        break;
+      }
+      heap[parent] = heap[child];
+      parent = child;
+    }
+    heap[parent] = last;
+    return top;
+  };
+  
+  // Flood inwards from the map edge, lowest cells first
+  for (let i = 0; i < count; i++) {
+    const x = i % width;
+    const y = (i - x) / width;
+    if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+      filled[i] = data[i];
+      visited[i] = 1;
+      push(i);
+    }
+  }
+  
+  let reached = 0;
+  while (heapSize > 0) {
+    const index = pop();
+    order[reached++] = index;
+    const x = index % width;
+    const y = (index - x) / width;
+    
+    for (const [dx, dy] of FLOW_OFFSETS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+        continue;
+      }
+      
+      const neighbor = ny * width + nx;
+      if (!visited[neighbor]) {
+        visited[neighbor] = 1;
+        filled[neighbor] = Math.max(data[neighbor], filled[index] + FILL_RISE);
+        push(neighbor);
+      }
+    }
+  }
+  
+  // Steepest descent in the filled field
+  const direction = new Uint8Array(count).fill(NO_FLOW);
+  for (let index = 0; index < count; index++) {
+    const x = index % width;
+    const y = (index - x) / width;
+    let steepest = 0;
+    
+    for (let d = 0; d < FLOW_OFFSETS.length; d++) {
+      const [dx, dy] = FLOW_OFFSETS[d];
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+        continue;
+      }
+      
+      const drop = (filled[index] - filled[ny * width + nx]) / (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+      if (drop > steepest) {
+        steepest = drop;
+        direction[index] = d;
+      }
+    }
+  }
+  
+  // Downstream cells are always lower, so they were reached earlier: passing
+  // accumulation on from the last reached cell to the first visits every
+  // cell after everything upstream of it
+  const accumulation = new Float32Array(count).fill(1);
+  for (let i = count - 1; i >= 0; i--) {
+    const index = order[i];
+    if (direction[index] !== NO_FLOW) {
+      const [dx, dy] = FLOW_OFFSETS[direction[index]];
+      accumulation[index + dy * width + dx] += accumulation[index];
+    }
+  }
+  
+  return { direction, accumulation };
+}
+
+module.exports = {
+  DEFAULT_WORLD_SIZE,
+  DEFAULT_HEIGHT_SCALE,
+  FLOW_OFFSETS,
+  NO_FLOW,
+  COMPASS_DIRECTIONS,
+  getTerrainScale,
+  getMetersPerPixel,
+  aspectDifference,
+  calculateSlopeMap,
+  calculateTerrainDerivatives,
+  calculateTopographicPosition,
+  smoothField,
+  calculateFlow
+};
@@ -0,0 +1,98 @@
+/**
+ * Biome Classifier tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  BIOME_NAMES,
+  parseClimate,
+  classifyBiome,
+  createBiomeMap,
+  selectBiomeSubtypes
+} = require('../../src/biome/biomeClassifier');
+const { WHITTAKER_TABLE } = require('../../src/biome/biomeDefinitions');
+const { objectDefinitions } = require('../../src/objectplacement/objectDefinitions');
+const { createHeightField } = require('../../src/utils/heightMapLoader');
+
+let originalLog;
+
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+});
+
+test('classifies every cell of the Whittaker table', () => {
+  const cells = [
+    [-10, 0.5, 'ice'],
+    [-3, 0.5, 'tundra'],
+    [3, 0.2, 'grassland'],
+    [3, 0.6, 'borealForest'],
+    [12, 0.1, 'desert'],
+    [12, 0.3, 'grassland'],
+    [12, 0.6, 'temperateForest'],
+    [12, 0.9, 'temperateRainforest'],
+    [25, 0.1, 'desert'],
+    [25, 0.3, 'savanna'],
+    [25, 0.6, 'tropicalSeasonalForest'],
+    [25, 0.9, 'tropicalRainforest']
+  ];
+  
+  for (const [temperature, moisture, biome] of cells) {
+    assert.strictEqual(classifyBiome(temperature, moisture), biome, `${temperature} °C, moisture ${moisture}`);
+  }
+  
+  // Every biome the table names is reached by a cell above
+  const tableBiomes = new Set(WHITTAKER_TABLE.flatMap(row => row.columns.map(([, biome]) => biome)));
+  assert.deepStrictEqual(new Set(cells.map(([, , biome]) => biome)), tableBiomes);
+});
+
+test('includes the upper bounds of temperature bands and moisture columns', () => {
+  assert.strictEqual(classifyBiome(0, 0.5), 'tundra');
+  assert.strictEqual(classifyBiome(0.1, 0.5), 'borealForest');
+  assert.strictEqual(classifyBiome(12, 0.15), 'desert');
+  assert.strictEqual(classifyBiome(12, 0.16), 'grassland');
+});
+
+test('keeps moisture above the last column in the wettest biome', () => {
+  assert.strictEqual(classifyBiome(25, 1.2), 'tropicalRainforest');
+});
+
+test('reads the climate from prompt cues in order', () => {
+  assert.deepStrictEqual(parseClimate('a dry tropical island'), { temperature: 26, moisture: 0.1, cues: ['arid', 'tropical'] });
+  assert.deepStrictEqual(parseClimate('rolling hills'), { temperature: 12, moisture: 0.4, cues: [] });
+  assert.strictEqual(parseClimate('a valley at latitude 60').temperature, -3);
+});
+
+test('lets the climate option override the prompt', () => {
+  assert.deepStrictEqual(parseClimate('a tropical island', { climate: 'polar' }), { temperature: -12, moisture: 0.3, cues: ['polar'] });
+  assert.throws(() => parseClimate('', { climate: 'lunar' }), /Unknown climate: lunar/);
+});
+
+test('cools the biomes with elevation', () => {
+  // A ramp from sea level in the west to the top of the height range in the east
+  const heightMap = createHeightField(16, 16, Float32Array.from({ length: 256 }, (value, index) => (index % 16) / 15));
+  const biomeMap = createBiomeMap(heightMap, null, { temperature: 12, moisture: 0.5 }, { elevationCooling: 30 });
+  const row = 8 * 16;
+  
+  assert.strictEqual(BIOME_NAMES[biomeMap.biome[row]], 'temperateForest');
+  assert.strictEqual(BIOME_NAMES[biomeMap.biome[row + 15]], 'ice');
+  for (let x = 1; x < 16; x++) {
+    assert.ok(biomeMap.temperature[row + x] < biomeMap.temperature[row + x - 1], `column ${x}`);
+  }
+});
+
+test('lets the biome map pick the subtypes of unnamed entries', () => {
+  const grid = { layers: { biome: Uint8Array.from(['temperateForest', 'borealForest'].map(name => BIOME_NAMES.indexOf(name))) } };
+  const objectsData = { objects: [{ type: 'tree', subType: 'oak', density: 0.5, impliedSubtype: true }] };
+  const { objects } = selectBiomeSubtypes(objectsData, grid, objectDefinitions);
+  
+  assert.deepStrictEqual(objects.map(entry => [entry.subType, entry.biomes]), [
+    ['oak', ['temperateForest']],
+    ['pine', ['borealForest']]
+  ]);
+});
@@ -0,0 +1,118 @@
+/**
+ * Heightmap Backends tests
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { generateHeightField } = require('../../src/heightmap/heightmapBackends');
+const { createMockHeightmapServer } = require('../../src/heightmap/mockHeightmapServer');
+
+const topography = { description: 'gentle plains', features: [] };
+
+let warnings;
+let originalLog;
+let originalWarn;
+
+beforeEach(() => {
+  warnings = [];
+  originalLog = console.log;
+  originalWarn = console.warn;
+  console.log = () => {};
+  console.warn = message => warnings.push(message);
+});
+
+afterEach(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+/**
+ * Run a test against a server listening on a free local port
+ * @param {http.Server} server - Server to start
+ * @param {function(string): Promise} run - Test body, given the server URL
+ */
+async function withServer(server, run) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/heightmap`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function requestHeightField(url, service) {
+  return generateHeightField(topography, {
+    heightmapBackend: 'http',
+    heightmapService: { url, backoff: 1, ...service },
+    seed: 7,
+    resolution: 17
+  });
+}
+
+test('retries a failing service until it answers', async () => {
+  await withServer(createMockHeightmapServer({ failures: 2 }), async url => {
+    const heightField = await requestHeightField(url, { retries: 2, fallback: false });
+    
+    assert.strictEqual(heightField.width, 17);
+    assert.strictEqual(heightField.height, 17);
+    assert.deepStrictEqual(warnings, [
+      'Heightmap request failed: Service responded with status: 503',
+      'Heightmap request failed: Service responded with status: 503'
+    ]);
+  });
+});
+
+test('fails once the retries are used up without a fallback', async () => {
+  await withServer(createMockHeightmapServer({ failures: 3 }), async url => {
+    await assert.rejects(requestHeightField(url, { retries: 1, fallback: false }),
+      { message: 'Service responded with status: 503' });
+  });
+});
+
+test('falls back to procedural synthesis when the service stays down', async () => {
+  await withServer(createMockHeightmapServer({ failures: 3 }), async url => {
+    const heightField = await requestHeightField(url, { retries: 1 });
+    
+    assert.strictEqual(heightField.width, 17);
+    assert.match(warnings[warnings.length - 1], /Heightmap service unavailable \(Service responded with status: 503\); falling back/);
+  });
+});
+
+test('times out a slow service', async () => {
+  await withServer(createMockHeightmapServer({ delay: 200 }), async url => {
+    await assert.rejects(requestHeightField(url, { timeout: 20, retries: 0, fallback: false }),
+      { message: 'Request timed out after 20 ms' });
+  });
+});
+
+test('does not retry a rejected request', async () => {
+  await withServer(createMockHeightmapServer(), async url => {
+    await assert.rejects(requestHeightField(`${url}/missing`, { retries: 3, fallback: false }),
+      { message: 'Service responded with status: 404' });
+    assert.strictEqual(warnings.length, 1);
+  });
+});
+
+test('answers invalid topography with a client error', async () => {
+  await withServer(createMockHeightmapServer(), async url => {
+    const invalid = { ...topography, mapMode: { type: 'coastline', side: 'left' } };
+    const request = generateHeightField(invalid, { heightmapBackend: 'http', heightmapService: { url, fallback: false }, resolution: 17 });
+    
+    await assert.rejects(request, { message: 'Service responded with status: 400' });
+    assert.strictEqual(warnings.length, 1);
+  });
+});
+
+test('rejects a response that is not a readable heightmap', async () => {
+  const server = http.createServer((request, response) => {
+    request.resume();
+    response.writeHead(200, { 'Content-Type': 'image/png' });
+    response.end('not a png');
+  });
+  
+  await withServer(server, async url => {
+    await assert.rejects(requestHeightField(url, { retries: 0, fallback: false }),
+      /Service returned an unreadable heightmap/);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Heightmap Exporter tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { exportHeightmap, resampleHeightField, getEngineSize } = require('../../src/heightmap/heightmapExporter');
+const { createHeightField } = require('../../src/utils/heightMapLoader');
+
+let outputDir;
+let originalLog;
+
+// 3x3 map whose rows rise from north to south
+const heightField = createHeightField(3, 3, Float32Array.from([
+  0, 0.25, 0.5,
+  0.25, 0.5, 0.75,
+  0.5, 0.75, 1
+]));
+
+before(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'heightmap-export-'));
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+function exportFormat(format, options = {}) {
+  return exportHeightmap(heightField, outputDir, { exports: [format], worldSize: 100, heightScale: 200, ...options });
+}
+
+test('rounds export sizes up to 2^n+1', () => {
+  assert.strictEqual(getEngineSize(1024), 1025);
+  assert.strictEqual(getEngineSize(1025), 1025);
+  assert.strictEqual(getEngineSize(1026), 2049);
+});
+
+test('resamples corner to corner', () => {
+  const resampled = resampleHeightField(heightField, 5, 5);
+  
+  assert.strictEqual(resampled.data[0], 0);
+  assert.strictEqual(resampled.data[2], 0.25);
+  assert.strictEqual(resampled.data[24], 1);
+});
+
+test('writes r16 as unsigned 16-bit little-endian rows from north to south', async () => {
+  const { r16 } = await exportFormat('r16');
+  const buffer = fs.readFileSync(r16);
+  
+  assert.strictEqual(path.basename(r16), 'heightmap_3.r16');
+  assert.strictEqual(buffer.length, 3 * 3 * 2);
+  assert.strictEqual(buffer.readUInt16LE(0), 0);
+  assert.strictEqual(buffer.readUInt16LE(2), 16384);
+  assert.strictEqual(buffer.readUInt16LE(16), 65535);
+  assert.deepStrictEqual([...buffer.subarray(2, 4)], [0x00, 0x40]);
+});
+
+test('writes raw with the same layout as r16', async () => {
+  const { raw } = await exportFormat('raw');
+  const { r16 } = await exportFormat('r16');
+  
+  assert.deepStrictEqual(fs.readFileSync(raw), fs.readFileSync(r16));
+});
+
+test('writes pfm with a little-endian header and rows from south to north', async () => {
+  const { pfm } = await exportFormat('pfm');
+  const buffer = fs.readFileSync(pfm);
+  const header = 'Pf\n3 3\n-1.0\n';
+  
+  assert.strictEqual(buffer.subarray(0, header.length).toString('ascii'), header);
+  assert.strictEqual(buffer.length, header.length + 3 * 3 * 4);
+  assert.strictEqual(buffer.readFloatLE(header.length), 0.5);
+  assert.strictEqual(buffer.readFloatLE(header.length + 8 * 4), 0.5);
+  assert.strictEqual(buffer.readFloatLE(header.length + 6 * 4), 0);
+});
+
+test('writes asc heights in meters with the sample spacing as cell size', async () => {
+  const { asc } = await exportFormat('asc');
+  const lines = fs.readFileSync(asc, 'ascii').trim().split('\n');
+  
+  assert.deepStrictEqual(lines.slice(0, 6), [
+    'ncols 3',
+    'nrows 3',
+    'xllcorner 0',
+    'yllcorner 0',
+    'cellsize 50',
+    'NODATA_value -9999'
+  ]);
+  assert.strictEqual(lines[6], '0.000 50.000 100.000');
+  assert.strictEqual(lines[8], '100.000 150.000 200.000');
+});
+
+test('writes png16 as a 16-bit grayscale image', async () => {
+  const { png16 } = await exportFormat('png16');
+  const buffer = fs.readFileSync(png16);
+  const png = PNG.sync.read(buffer);
+  
+  // IHDR bit depth and color type
+  assert.strictEqual(buffer[24], 16);
+  assert.strictEqual(buffer[25], 0);
+  assert.strictEqual(png.width, 3);
+  assert.strictEqual(png.height, 3);
+});
+
+test('writes a sidecar with the dimensions and scale of each export', async () => {
+  const { r16 } = await exportFormat('r16', { exportSize: 5 });
+  const sidecar = JSON.parse(fs.readFileSync(`${r16}.json`, 'utf8'));
+  
+  assert.deepStrictEqual(sidecar, {
+    format: 'r16',
+    description: 'Raw 16-bit little-endian (Unreal)',
+    width: 5,
+    height: 5,
+    heightScale: 200,
+    worldSize: 100,
+    metersPerPixel: 25,
+    heightUnits: 'normalized'
+  });
+  assert.strictEqual(fs.readFileSync(r16).length, 5 * 5 * 2);
+});
+
+test('marks asc sidecar heights as meters', async () => {
+  const { asc } = await exportFormat('asc');
+  const sidecar = JSON.parse(fs.readFileSync(`${asc}.json`, 'utf8'));
+  
+  assert.strictEqual(sidecar.heightUnits, 'meters');
+});
@@ -0,0 +1,81 @@
+/**
+ * Phrase Parser tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseFeaturePhrases } = require('../../src/heightmap/phraseParser');
+
+function findSpec(specs, type) {
+  return specs.find(spec => spec.type === type);
+}
+
+test('gives each clause its own direction', () => {
+  const specs = parseFeaturePhrases('mountains in the north and hills in the south');
+  
+  assert.deepStrictEqual(findSpec(specs, 'mountains').directions, ['north']);
+  assert.deepStrictEqual(findSpec(specs, 'hills').directions, ['south']);
+});
+
+test('keeps a direction with the referenced feature it follows', () => {
+  const specs = parseFeaturePhrases('a river flowing into the lake in the east');
+  const river = findSpec(specs, 'river');
+  const lake = findSpec(specs, 'lake');
+  
+  assert.deepStrictEqual(river.directions, []);
+  assert.deepStrictEqual(river.relation, { type: 'into', targets: ['lake'] });
+  assert.deepStrictEqual(lake.directions, ['east']);
+  assert.strictEqual(lake.referenced, true);
+});
+
+test('splits a direction list across a counted feature and resolves "them"', () => {
+  const specs = parseFeaturePhrases('two mountains in the east and west with a valley between them');
+  const mountains = findSpec(specs, 'mountains');
+  const valley = findSpec(specs, 'valley');
+  
+  assert.strictEqual(mountains.count, 2);
+  assert.deepStrictEqual(mountains.directions, ['east', 'west']);
+  assert.deepStrictEqual(valley.directions, []);
+  assert.deepStrictEqual(valley.relation, { type: 'between', targets: ['mountains'] });
+});
+
+test('raises the count of a plural feature to its direction list', () => {
+  const [lakes] = parseFeaturePhrases('lakes in the north and south');
+  
+  assert.strictEqual(lakes.count, 2);
+  assert.deepStrictEqual(lakes.directions, ['north', 'south']);
+});
+
+test('resolves "it" to the previous feature', () => {
+  const specs = parseFeaturePhrases('a lake in the east with hills around it');
+  
+  assert.deepStrictEqual(findSpec(specs, 'lake').directions, ['east']);
+  assert.deepStrictEqual(findSpec(specs, 'hills').relation, { type: 'surrounding', targets: ['lake'] });
+});
+
+test('keeps the location with the lake when it is surrounded by hills', () => {
+  const specs = parseFeaturePhrases('a lake surrounded by hills in the north');
+  
+  assert.deepStrictEqual(findSpec(specs, 'lake').directions, ['north']);
+  assert.deepStrictEqual(findSpec(specs, 'hills').relation, { type: 'surrounding', targets: ['lake'] });
+});
+
+test('places counted features one per direction', () => {
+  const [mountains] = parseFeaturePhrases('two mountain ranges, one east and one west');
+  
+  assert.strictEqual(mountains.count, 2);
+  assert.deepStrictEqual(mountains.directions, ['east', 'west']);
+});
+
+test('relates a feature to every feature it lies between', () => {
+  const specs = parseFeaturePhrases('a valley between the mountains and the hills');
+  
+  assert.deepStrictEqual(findSpec(specs, 'valley').relation, { type: 'between', targets: ['mountains', 'hills'] });
+});
+
+test('reads map edges', () => {
+  const [mountains] = parseFeaturePhrases('mountains along the western edge');
+  
+  assert.strictEqual(mountains.edge, 'west');
+  assert.deepStrictEqual(mountains.directions, ['west']);
+});
@@ -0,0 +1,34 @@
+/**
+ * Terrain Synthesizer tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { synthesizeTerrain } = require('../../src/heightmap/terrainSynthesizer');
+
+let originalLog;
+
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+});
+
+function coastline(side) {
+  return { features: [], baseType: 'hills', mapMode: { type: 'coastline', side } };
+}
+
+test('puts the sea of a coastline on its side', () => {
+  const heightField = synthesizeTerrain(coastline('west'), { seed: 1, resolution: 32 });
+  const row = 16 * 32;
+  
+  assert.ok(heightField.data[row] < heightField.data[row + 31]);
+});
+
+test('rejects a coastline side that is not a compass direction', () => {
+  assert.throws(() => synthesizeTerrain(coastline('left'), { seed: 1, resolution: 8 }),
+    { message: 'Unknown coastline side: left (expected north, south, east, west, northeast, northwest, southeast, southwest)' });
+});
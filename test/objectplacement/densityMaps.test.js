@@ -0,0 +1,101 @@
+/**
+ * Density Maps tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { createDensityMaps } = require('../../src/objectplacement/densityMaps');
+const ObjectPlacementGenerator = require('../../src/objectplacement/objectPlacementGenerator');
+
+let workDir;
+let originalCwd;
+let originalLog;
+
+before(() => {
+  // saveDensityMaps writes to output/objects under the working directory
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'density-maps-'));
+  originalCwd = process.cwd();
+  process.chdir(workDir);
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  process.chdir(originalCwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Five 2x2 entries; entry n has density n / 4 in its first cell
+function createEntries(count = 5) {
+  return Array.from({ length: count }, (value, n) => ({
+    key: `tree_${n}`,
+    type: 'tree',
+    subType: `${n}`,
+    values: Float32Array.from([n / 4, 0, 0, 1])
+  }));
+}
+
+function readTexture(file, bitDepth) {
+  const buffer = fs.readFileSync(path.join(workDir, 'output', 'objects', file));
+  return PNG.sync.read(buffer, bitDepth === 16 ? { skipRescale: true } : {});
+}
+
+test('packs four entries per texture and maps each to its channel', async () => {
+  const result = await ObjectPlacementGenerator.saveDensityMaps({ size: 2, entries: createEntries() });
+  const manifest = JSON.parse(fs.readFileSync(result.manifest, 'utf8'));
+  
+  assert.deepStrictEqual(result.densityMaps.map(file => path.basename(file)), ['density_0.png', 'density_1.png']);
+  assert.deepStrictEqual(manifest.textures, [
+    { file: 'density_0.png', channels: { r: 'tree_0', g: 'tree_1', b: 'tree_2', a: 'tree_3' } },
+    { file: 'density_1.png', channels: { r: 'tree_4' } }
+  ]);
+  assert.deepStrictEqual(manifest.entries[4], { key: 'tree_4', type: 'tree', subType: '4', texture: 'density_1.png', channel: 'r' });
+  assert.deepStrictEqual([manifest.width, manifest.height, manifest.bitDepth], [2, 2, 8]);
+});
+
+test('writes each entry\'s density to its channel', async () => {
+  await ObjectPlacementGenerator.saveDensityMaps({ size: 2, entries: createEntries() });
+  const first = readTexture('density_0.png');
+  const second = readTexture('density_1.png');
+  
+  // First pixel: entries 0-3 in R, G, B and A
+  assert.deepStrictEqual([...first.data.subarray(0, 4)], [0, 64, 128, 191]);
+  // Last pixel: every entry is 1
+  assert.deepStrictEqual([...first.data.subarray(12, 16)], [255, 255, 255, 255]);
+  // Unused channels stay empty
+  assert.deepStrictEqual([...second.data.subarray(0, 4)], [255, 0, 0, 0]);
+});
+
+test('clamps densities and writes 16-bit channels on request', async () => {
+  const entries = [{ key: 'rock_rock', type: 'rock', subType: 'rock', values: Float32Array.from([1.5, -0.5, 0.5, 0]) }];
+  await ObjectPlacementGenerator.saveDensityMaps({ size: 2, entries }, { densityBitDepth: 16 });
+  const texture = readTexture('density_0.png', 16);
+  
+  assert.deepStrictEqual([0, 4, 8, 12].map(offset => texture.data[offset]), [65535, 0, 32768, 0]);
+});
+
+test('rejects unsupported bit depths', async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await assert.rejects(ObjectPlacementGenerator.saveDensityMaps({ size: 2, entries: createEntries(1) }, { densityBitDepth: 12 }),
+      { message: 'Unsupported density bit depth: 12 (expected 8 or 16)' });
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('creates one density map per placement mask', () => {
+  const mask = { type: 'tree', subType: 'oak', grid: 2, density: [0.25, 0.5, 0.75, 1] };
+  const densityData = createDensityMaps({ tree_oak: mask }, { worldSize: 100 });
+  
+  assert.strictEqual(densityData.size, 2);
+  assert.deepStrictEqual(densityData.entries.map(({ key, type, subType }) => ({ key, type, subType })),
+    [{ key: 'tree_oak', type: 'tree', subType: 'oak' }]);
+  assert.deepStrictEqual([...densityData.entries[0].values], [0.25, 0.5, 0.75, 1]);
+});
@@ -0,0 +1,108 @@
+/**
+ * Object Catalog tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadObjectCatalogs, mergeObjectCatalog } = require('../../src/objectplacement/objectCatalog');
+const { objectDefinitions } = require('../../src/objectplacement/objectDefinitions');
+const { parseObjectsFromPrompt } = require('../../src/objectplacement/promptParser');
+
+const cactus = {
+  name: 'Cactus',
+  keywords: ['cactus', 'cacti'],
+  priority: 3,
+  defaultDistribution: 'natural',
+  placementRules: { maxSlope: 0.2, minHeight: 0.0, maxHeight: 0.6, avoidWater: true },
+  subtypes: {
+    saguaro: { keywords: ['saguaro'], scaling: { min: 0.8, max: 1.4 } },
+    pricklyPear: { keywords: ['prickly pear'], scaling: { min: 0.5, max: 1.0 } }
+  }
+};
+
+let originalLog;
+
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+});
+
+test('adds catalog types that the prompt parser recognizes by their keywords', async () => {
+  const definitions = mergeObjectCatalog(objectDefinitions, { cactus });
+  const { objects } = await parseObjectsFromPrompt('scattered cacti and a few saguaro in the south', definitions);
+  
+  assert.deepStrictEqual(objects.map(entry => `${entry.type}_${entry.subType}`), ['cactus_saguaro', 'cactus_saguaro']);
+  assert.strictEqual(objects[0].impliedSubtype, true);
+  assert.strictEqual(objects[1].location.y, 0.9);
+});
+
+test('matches catalog keywords with regular expression characters literally', async () => {
+  const fence = { ...cactus, name: 'Fence', keywords: ['fence(s)', 'c++ tower'], subtypes: { wooden: { keywords: ['wooden'], scaling: { min: 1, max: 1 } } } };
+  const definitions = mergeObjectCatalog(objectDefinitions, { fence });
+  const fences = await parseObjectsFromPrompt('fence(s) in the west', definitions);
+  const towers = await parseObjectsFromPrompt('a c++ tower in the north', definitions);
+  
+  assert.strictEqual(fences.objects[0].type, 'fence');
+  assert.deepStrictEqual([fences.objects[0].location.x, fences.objects[0].location.y], [0.1, 0.5]);
+  assert.strictEqual(towers.objects[0].type, 'fence');
+  assert.deepStrictEqual([towers.objects[0].location.x, towers.objects[0].location.y], [0.5, 0.1]);
+});
+
+test('overrides a single subtype field and leaves the rest of the type alone', () => {
+  const definitions = mergeObjectCatalog(objectDefinitions, { tree: { subtypes: { pine: { scaling: { min: 2, max: 3 } } } } });
+  
+  assert.deepStrictEqual(definitions.tree.subtypes.pine.scaling, { min: 2, max: 3 });
+  assert.deepStrictEqual(definitions.tree.subtypes.pine.keywords, objectDefinitions.tree.subtypes.pine.keywords);
+  assert.deepStrictEqual(Object.keys(definitions.tree.subtypes), Object.keys(objectDefinitions.tree.subtypes));
+  assert.deepStrictEqual(objectDefinitions.tree.subtypes.pine.scaling, { min: 0.9, max: 1.5 });
+});
+
+test('reports a missing placementRules', () => {
+  const { placementRules, ...withoutRules } = cactus;
+  
+  assert.throws(() => mergeObjectCatalog(objectDefinitions, { cactus: withoutRules }, 'desert.json'),
+    /Invalid object catalog desert\.json:\n {2}- cactus: placementRules is required/);
+});
+
+test('reports a minHeight greater than maxHeight', () => {
+  const inverted = { ...cactus, placementRules: { ...cactus.placementRules, minHeight: 0.7, maxHeight: 0.3 } };
+  
+  assert.throws(() => mergeObjectCatalog(objectDefinitions, { cactus: inverted }),
+    /cactus: placementRules\.minHeight \(0\.7\) is greater than maxHeight \(0\.3\)/);
+});
+
+test('lists every mistake of a catalog together', () => {
+  const broken = { ...cactus, priority: 'high', subtypes: { saguaro: { customRules: { preferShade: true } } } };
+  
+  assert.throws(() => mergeObjectCatalog(objectDefinitions, { cactus: broken }), error => {
+    assert.match(error.message, /priority must be a number/);
+    assert.match(error.message, /subtypes\.saguaro\.scaling must be \{ min, max \} numbers/);
+    assert.match(error.message, /subtypes\.saguaro\.customRules\.preferShade is not a known rule/);
+    return true;
+  });
+});
+
+test('loads catalog files in order', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'roam-catalog-'));
+  try {
+    const first = path.join(dir, 'first.json');
+    const second = path.join(dir, 'second.json');
+    await fs.promises.writeFile(first, JSON.stringify({ cactus }));
+    await fs.promises.writeFile(second, JSON.stringify({ cactus: { priority: 5 } }));
+    
+    const definitions = await loadObjectCatalogs([first, second]);
+    assert.strictEqual(definitions.cactus.priority, 5);
+    assert.strictEqual(definitions.cactus.name, 'Cactus');
+    
+    await assert.rejects(loadObjectCatalogs(path.join(dir, 'missing.json')), /Cannot read object catalog/);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,65 @@
+/**
+ * Occupancy Layer tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createOccupancyLayer } = require('../../src/objectplacement/occupancyLayer');
+
+// A building with a 5 m footprint in the middle of a 100 m map
+function withBuilding(overrides) {
+  const layer = createOccupancyLayer(100, 100, overrides);
+  layer.claim('building', [{ x: 50, y: 50 }], 5);
+  return layer;
+}
+
+test('leaves the whole map free before anything is claimed', () => {
+  const layer = createOccupancyLayer(100, 100);
+  
+  assert.strictEqual(layer.getSuitabilityFactor('tree', false, 50, 50), 1);
+});
+
+test('blocks claimed footprints for types that cannot overlap', () => {
+  const layer = withBuilding();
+  
+  assert.strictEqual(layer.getSuitabilityFactor('rock', false, 52, 50), 0);
+  assert.strictEqual(layer.getSuitabilityFactor('rock', false, 58, 50), 1);
+});
+
+test('blocks the clearance buffer around claimed footprints', () => {
+  const layer = withBuilding();
+  
+  // Trees keep 3 m from buildings
+  assert.strictEqual(layer.getClearance('tree', 'building'), 3);
+  assert.strictEqual(layer.getSuitabilityFactor('tree', false, 57, 50), 0);
+  assert.strictEqual(layer.getSuitabilityFactor('tree', false, 59, 50), 1);
+});
+
+test('reduces suitability where an overlapping type shares a footprint', () => {
+  const layer = createOccupancyLayer(100, 100);
+  layer.claim('tree', [{ x: 50, y: 50 }], 2);
+  
+  assert.strictEqual(layer.getSuitabilityFactor('vegetation', true, 51, 50), 0.5);
+  assert.strictEqual(layer.getSuitabilityFactor('vegetation', true, 53, 50), 1);
+});
+
+test('ignores the footprints of the type being placed', () => {
+  const layer = withBuilding();
+  
+  assert.strictEqual(layer.getSuitabilityFactor('building', false, 50, 50), 1);
+});
+
+test('replaces definition clearances with the overrides', () => {
+  const layer = withBuilding({ tree: { building: 0 }, rock: { building: 10 } });
+  
+  assert.strictEqual(layer.getSuitabilityFactor('tree', false, 57, 50), 1);
+  assert.strictEqual(layer.getSuitabilityFactor('rock', false, 64, 50), 0);
+});
+
+test('handles types without a definition', () => {
+  const layer = withBuilding();
+  
+  assert.strictEqual(layer.getClearance('windmill', 'building'), 0);
+  assert.strictEqual(layer.getSuitabilityFactor('windmill', false, 52, 50), 0);
+  assert.strictEqual(layer.getSuitabilityFactor('windmill', false, 56, 50), 1);
+});
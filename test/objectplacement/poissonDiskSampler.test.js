@@ -0,0 +1,63 @@
+/**
+ * Poisson Disk Sampler tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { poissonDiskSample } = require('../../src/objectplacement/poissonDiskSampler');
+const { createRandom } = require('../../src/utils/random');
+
+function sample(spacingAt, minDistance, maxDistance) {
+  return poissonDiskSample({
+    width: 100,
+    height: 100,
+    minDistance,
+    maxDistance,
+    spacingAt,
+    seeds: [{ x: 50, y: 50 }]
+  }, createRandom(1));
+}
+
+// Smallest spacing between any two points, relative to the larger of their radii
+function closestPairRatio(points) {
+  let ratio = Infinity;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const distance = Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y);
+      ratio = Math.min(ratio, distance / Math.max(points[i].radius, points[j].radius));
+    }
+  }
+  return ratio;
+}
+
+test('keeps every pair of points at least the spacing apart', () => {
+  const points = sample(() => 5, 5, 5);
+  
+  assert.ok(closestPairRatio(points) >= 1);
+});
+
+test('fills the area reached from the seed', () => {
+  const points = sample(() => 5, 5, 5);
+  
+  // A 100x100 area packs roughly 0.7 / spacing^2 points per square meter
+  assert.ok(points.length > 150, `${points.length} points`);
+  assert.ok(points.every(point => point.x >= 0 && point.x < 100 && point.y >= 0 && point.y < 100));
+});
+
+test('leaves regions with zero spacing empty', () => {
+  const points = sample((x) => (x < 50 ? 0 : 5), 5, 5);
+  
+  assert.ok(points.length > 0);
+  assert.ok(points.every(point => point.x >= 50));
+});
+
+test('spaces points by the larger radius where the spacing varies', () => {
+  const points = sample((x) => (x < 50 ? 4 : 10), 4, 10);
+  
+  assert.ok(closestPairRatio(points) >= 1);
+  assert.ok(points.some(point => point.radius === 4) && points.some(point => point.radius === 10));
+});
+
+test('places nothing when the seed lies where no point may go', () => {
+  assert.deepStrictEqual(sample(() => 0, 5, 5), []);
+});
@@ -0,0 +1,72 @@
+/**
+ * Prompt Parser tests
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { parseObjectsFromPrompt } = require('../../src/objectplacement/promptParser');
+
+let warnings;
+let originalLog;
+let originalWarn;
+
+beforeEach(() => {
+  warnings = [];
+  originalLog = console.log;
+  originalWarn = console.warn;
+  console.log = () => {};
+  console.warn = message => warnings.push(message);
+});
+
+afterEach(() => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+});
+
+test('places each subtype a prompt names as its own entry', async () => {
+  const { objects } = await parseObjectsFromPrompt('pine forests on the slopes and oak groves by the river');
+  
+  assert.deepStrictEqual(objects.map(entry => `${entry.type}_${entry.subType}`), ['tree_pine', 'tree_oak']);
+  assert.strictEqual(objects[1].location.terrain, 'river');
+});
+
+test('gives each entry the location of its own clause', async () => {
+  const { objects } = await parseObjectsFromPrompt('dense pine forest in the north, scattered oaks in the south');
+  const pine = objects.find(entry => entry.subType === 'pine');
+  const oak = objects.find(entry => entry.subType === 'oak');
+  
+  assert.strictEqual(pine.density, 0.8);
+  assert.strictEqual(pine.location.y, 0.1);
+  assert.strictEqual(oak.density, 0.3);
+  assert.strictEqual(oak.location.y, 0.9);
+});
+
+test('turns weighted subtypes into one blended entry', async () => {
+  const { objects } = await parseObjectsFromPrompt('a forest with 70% pine, 30% birch');
+  
+  assert.strictEqual(objects.length, 1);
+  assert.strictEqual(objects[0].subType, 'pine');
+  assert.deepStrictEqual(objects[0].blend, [{ subType: 'pine', weight: 0.7 }, { subType: 'birch', weight: 0.3 }]);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('normalizes blend weights', async () => {
+  const { objects } = await parseObjectsFromPrompt('a forest of 30% oak and 90% pine');
+  
+  assert.deepStrictEqual(objects[0].blend, [{ subType: 'pine', weight: 0.75 }, { subType: 'oak', weight: 0.25 }]);
+});
+
+test('warns about percentages that name no subtype', async () => {
+  const { objects } = await parseObjectsFromPrompt('a forest of 70% pine, 30% maple');
+  
+  assert.deepStrictEqual(objects.map(entry => entry.subType), ['pine']);
+  assert.strictEqual(objects[0].blend, undefined);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /30% maple/);
+});
+
+test('flags entries that name only the type so biomes can pick the subtype', async () => {
+  const { objects } = await parseObjectsFromPrompt('dense forests in the hills and an oak grove');
+  
+  assert.deepStrictEqual(objects.map(entry => [entry.subType, Boolean(entry.impliedSubtype)]), [['oak', true], ['oak', false]]);
+});
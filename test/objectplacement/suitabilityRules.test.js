@@ -0,0 +1,94 @@
+/**
+ * Suitability Rules tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { suitabilityRules, prepareRules, applyRules } = require('../../src/objectplacement/suitabilityRules');
+const { createGrid } = require('../../src/objectplacement/gridGenerator');
+
+const placementRules = { maxSlope: 0.15, minHeight: 0, maxHeight: 1 };
+
+let originalLog;
+let context;
+
+// 8x8 cells 10 m wide: the west half is too steep to use, the east half is flat
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+  
+  const grid = createGrid(8, 8, 8);
+  grid.addLayer('height').fill(0.5);
+  const grade = grid.addLayer('grade');
+  for (let index = 0; index < grade.length; index++) {
+    grade[index] = index % 8 < 4 ? 1 : 0;
+  }
+  grid.addLayer('isWater', Uint8Array);
+  grid.addLayer('waterDistance').fill(Infinity);
+  context = { grid, layers: grid.layers, placementRules, metersPerPixel: 10 };
+});
+
+after(() => {
+  console.log = originalLog;
+});
+
+// Index of a cell in the east half with the given layer values
+function setCell(values) {
+  const index = 6;
+  for (const [name, value] of Object.entries(values)) {
+    context.layers[name][index] = value;
+  }
+  return index;
+}
+
+test('describes every rule and gives it defaults', () => {
+  for (const [name, rule] of Object.entries(suitabilityRules)) {
+    assert.strictEqual(typeof rule.description, 'string', name);
+    assert.strictEqual(typeof rule.defaults, 'object', name);
+    assert.strictEqual(typeof rule.apply, 'function', name);
+  }
+});
+
+test('merges rule parameters over the defaults', () => {
+  const prepared = prepareRules({ requireDeepWater: { distance: 20 }, requireWaterAccess: true }, context, 'test');
+  
+  assert.deepStrictEqual(prepared.map(({ name, params }) => ({ name, params })), [
+    { name: 'requireDeepWater', params: { distance: 20 } },
+    { name: 'requireWaterAccess', params: { distance: 30 } }
+  ]);
+});
+
+test('skips disabled rules and warns about unknown ones', () => {
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    const prepared = prepareRules({ preferBeaches: false, preferMoonlight: true }, context, 'tree.oak');
+    
+    assert.deepStrictEqual(prepared, []);
+    assert.deepStrictEqual(warnings, ['Unknown placement rule "preferMoonlight" on tree.oak; it is ignored']);
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+test('multiplies the factors of the rules', () => {
+  const prepared = prepareRules({ preferHigherElevation: true, canPlaceInLargeGroups: { boost: 2 } }, context, 'test');
+  
+  assert.strictEqual(applyRules(prepared, setCell({ height: 1 }), context), 2);
+  assert.strictEqual(applyRules(prepared, setCell({ height: 0 }), context), 1);
+});
+
+test('rules a cell out as soon as a factor is zero', () => {
+  const prepared = prepareRules({ requireDeepWater: true, canPlaceInLargeGroups: true }, context, 'test');
+  
+  assert.strictEqual(applyRules(prepared, setCell({ isWater: 1, waterDistance: -5 }), context), 0);
+  assert.strictEqual(applyRules(prepared, setCell({ isWater: 1, waterDistance: -10 }), context), 1.5);
+});
+
+test('measures usable ground around a cell with prepared state', () => {
+  const prepared = prepareRules({ requireLargerArea: { radius: 10, minFraction: 0.75 } }, context, 'test');
+  
+  assert.strictEqual(applyRules(prepared, 4 * 8 + 6, context), 1);
+  assert.strictEqual(applyRules(prepared, 4 * 8 + 4, context), 0.1);
+});
@@ -0,0 +1,100 @@
+/**
+ * Water Layer and water placement rules tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { applyWaterLayer } = require('../../src/objectplacement/waterLayer');
+const { createGrid } = require('../../src/objectplacement/gridGenerator');
+const { analyzeTerrain } = require('../../src/objectplacement/terrainAnalyzer');
+const { generatePlacementMasks } = require('../../src/objectplacement/placementMaskGenerator');
+const { createHeightField } = require('../../src/utils/heightMapLoader');
+
+let originalLog;
+
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+});
+
+const SIZE = 32;
+
+// 32 pixels spaced 5 m apart
+const options = { seaLevel: 0.2, worldSize: 155 };
+
+// A map whose west half lies below the sea level, with one grid cell per pixel
+function createTerrain(heightAt = x => (x < 16 ? 0.1 : 0.4)) {
+  const heightMap = createHeightField(SIZE, SIZE, Float32Array.from({ length: SIZE * SIZE }, (value, index) => heightAt(index % SIZE)));
+  return analyzeTerrain(heightMap, createGrid(SIZE, SIZE, SIZE), options);
+}
+
+// Columns of the cells a placement mask allows
+function maskColumns(mask) {
+  const columns = new Set();
+  mask.cells.forEach((value, index) => {
+    if (value > 0) {
+      columns.add(index % SIZE);
+    }
+  });
+  return [...columns];
+}
+
+function placeOnly(type, subType, grid) {
+  const objectData = { type, subType, density: 1, distribution: type === 'waterObject' ? 'water' : 'natural' };
+  return generatePlacementMasks({ objects: [objectData] }, grid, { ...options, seed: 1 });
+}
+
+test('marks cells at or below the sea level as water', () => {
+  const grid = applyWaterLayer(createTerrain(), null, options);
+  const row = 10 * SIZE;
+  
+  assert.strictEqual(grid.layers.isWater[row + 15], 1);
+  assert.strictEqual(grid.layers.isWater[row + 16], 0);
+});
+
+test('stores signed shoreline distances in meters', () => {
+  const grid = applyWaterLayer(createTerrain(), null, options);
+  const row = 10 * SIZE;
+  
+  assert.strictEqual(grid.layers.waterDistance[row + 15], -5);
+  assert.strictEqual(grid.layers.waterDistance[row + 13], -15);
+  assert.strictEqual(grid.layers.waterDistance[row + 16], 5);
+  assert.strictEqual(grid.layers.waterDistance[row + 20], 25);
+});
+
+test('marks the water map water above the sea level', () => {
+  const waterMap = createHeightField(SIZE, SIZE, Float32Array.from({ length: SIZE * SIZE }, (value, index) => (index % SIZE >= 28 ? 1 : 0)));
+  const grid = applyWaterLayer(createTerrain(() => 0.5), waterMap, { worldSize: 155 });
+  const row = 10 * SIZE;
+  
+  assert.strictEqual(grid.layers.isWater[row + 27], 0);
+  assert.strictEqual(grid.layers.isWater[row + 28], 1);
+  assert.strictEqual(grid.layers.waterDistance[row + 27], 5);
+});
+
+test('leaves land infinitely far from water on a map without water', () => {
+  const grid = applyWaterLayer(createTerrain(() => 0.5), null, options);
+  
+  assert.ok(grid.layers.isWater.every(value => value === 0));
+  assert.ok(grid.layers.waterDistance.every(value => value === Infinity));
+});
+
+test('keeps land objects out of the water', async () => {
+  const grid = applyWaterLayer(createTerrain(), null, options);
+  const columns = maskColumns((await placeOnly('tree', 'oak', grid)).tree_oak);
+  
+  assert.ok(columns.length > 0);
+  assert.ok(columns.every(column => column >= 16), `columns ${columns}`);
+});
+
+test('keeps boats at least 10 m from the shore', async () => {
+  const grid = applyWaterLayer(createTerrain(), null, options);
+  const columns = maskColumns((await placeOnly('waterObject', 'boat', grid)).waterObject_boat);
+  
+  assert.ok(columns.length > 0);
+  assert.ok(columns.every(column => column <= 14), `columns ${columns}`);
+});
@@ -0,0 +1,122 @@
+/**
+ * Material Library tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  materialLibraries,
+  loadMaterialLibraries,
+  resolveMaterialLibrary,
+  validateMaterialLibrary
+} = require('../../src/splatmap/materialLibrary');
+
+let workDir;
+let originalLog;
+
+before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'material-library-'));
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// A valid library with one material that applies everywhere
+function createLibrary(materials = {}) {
+  return {
+    name: 'studio',
+    materials: {
+      ground: { textureId: 'studio_ground', color: [120, 100, 80], heightRange: [0, 1], slopeRange: [0, 1], weight: 1 },
+      ...materials
+    }
+  };
+}
+
+test('registers every preset as a valid library', () => {
+  assert.deepStrictEqual(Object.keys(materialLibraries).sort(), ['alpine', 'desert', 'temperate', 'tropical', 'volcanic']);
+  for (const library of Object.values(materialLibraries)) {
+    assert.deepStrictEqual(validateMaterialLibrary(library), [], library.name);
+  }
+});
+
+test('reports each invalid field of a library', () => {
+  const errors = validateMaterialLibrary({
+    ...createLibrary({
+      moss: { color: [0, 300, 0], heightRange: [0.8, 0.2], slopeRange: [0, 1], weight: 0, biomes: ['swamp'] },
+      ash: { color: [60, 60, 60], heightRange: [0, 1], slopeRange: [0, 1], weight: 1, onlyWithKeyword: true }
+    }),
+    name: ''
+  });
+  
+  assert.strictEqual(errors.length, 6);
+  assert.deepStrictEqual(errors.filter(error => !error.includes('.biomes')), [
+    'name must be a non-empty string',
+    'materials.moss.color must be [r, g, b] with values 0-255',
+    'materials.moss.heightRange must be [min, max] within 0-1',
+    'materials.moss.weight must be a positive number',
+    'materials.ash.onlyWithKeyword needs keywords'
+  ]);
+  assert.match(errors[4], /^materials\.moss\.biomes must be an array of biome names \(known: .*temperateForest/);
+});
+
+test('needs a material that applies everywhere', () => {
+  const library = createLibrary();
+  library.materials.ground.biomes = ['desert'];
+  
+  assert.deepStrictEqual(validateMaterialLibrary(library), ['at least one material must apply everywhere (no biomes and no onlyWithKeyword)']);
+  assert.throws(() => resolveMaterialLibrary(library, {}, 'studio.json'),
+    { message: 'Invalid material library studio.json:\n  - at least one material must apply everywhere (no biomes and no onlyWithKeyword)' });
+});
+
+test('merges an extending library over its base material by material', () => {
+  const base = { ...createLibrary({ rock: { color: [90, 90, 90], heightRange: [0, 1], slopeRange: [0.5, 1], weight: 1 } }), description: 'Base', keywords: ['base'] };
+  const resolved = resolveMaterialLibrary({
+    name: 'custom',
+    extends: 'studio',
+    materials: {
+      ground: { textureId: 'custom_ground' },
+      rock: null,
+      snow: { color: [250, 250, 250], heightRange: [0.8, 1], slopeRange: [0, 0.5], weight: 1 }
+    }
+  }, { studio: base });
+  
+  assert.strictEqual(resolved.name, 'custom');
+  assert.strictEqual(resolved.description, 'Base');
+  assert.deepStrictEqual(resolved.keywords, []);
+  assert.ok(!('extends' in resolved));
+  assert.deepStrictEqual(Object.keys(resolved.materials), ['ground', 'snow']);
+  assert.deepStrictEqual(resolved.materials.ground, { ...base.materials.ground, textureId: 'custom_ground' });
+  // The base library is left untouched
+  assert.strictEqual(base.materials.ground.textureId, 'studio_ground');
+  assert.ok(base.materials.rock);
+});
+
+test('rejects a library that extends an unknown one', () => {
+  assert.throws(() => resolveMaterialLibrary({ name: 'custom', extends: 'lunar', materials: {} }, { studio: createLibrary() }, 'custom.json'),
+    { message: 'Invalid material library custom.json: extends unknown library "lunar" (known: studio)' });
+});
+
+test('loads library files for a run without registering them', async () => {
+  const libraryPath = path.join(workDir, 'snowy.json');
+  fs.writeFileSync(libraryPath, JSON.stringify({ name: 'snowy', extends: 'alpine', keywords: ['snowy'], materials: { lichen: null } }));
+  const libraries = await loadMaterialLibraries(libraryPath);
+  
+  assert.ok(libraries.snowy);
+  assert.ok(!('lichen' in libraries.snowy.materials));
+  assert.ok(libraries.alpine.materials.lichen);
+  assert.ok(!materialLibraries.snowy);
+});
+
+test('reports library files that cannot be read', async () => {
+  const libraryPath = path.join(workDir, 'broken.json');
+  fs.writeFileSync(libraryPath, '{ "name": ');
+  
+  await assert.rejects(loadMaterialLibraries([libraryPath]), /^Error: Cannot read material library .*broken\.json: /);
+});
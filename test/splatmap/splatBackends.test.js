@@ -0,0 +1,177 @@
+/**
+ * Splat Backends tests
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { generateMaterialWeights, calculateMaterialWeights } = require('../../src/splatmap/splatBackends');
+const { createHeightField } = require('../../src/utils/heightMapLoader');
+const { BIOME_NAMES } = require('../../src/biome/biomeClassifier');
+
+let originalLog;
+
+const heightMap = createHeightField(2, 2, new Float32Array(4));
+const colorData = { materials: [{ name: 'grass', heightRange: [0, 1], slopeRange: [0, 1] }] };
+
+// Two materials meeting halfway up a ramp that rises from west to east
+const ramp = createHeightField(8, 8, Float32Array.from({ length: 64 }, (value, index) => (index % 8) / 7));
+const rampColors = {
+  materials: [
+    { name: 'sand', heightRange: [0, 0.5], slopeRange: [0, 1], weight: 1 },
+    { name: 'rock', heightRange: [0.5, 1], slopeRange: [0, 1], weight: 1 }
+  ]
+};
+
+// 33x33 maps: a ridge along the middle row (row 0 is north), waves rising and
+// falling from west to east, and flat ground
+const SIZE = 33;
+const ridge = createHeightField(SIZE, SIZE, Float32Array.from({ length: SIZE * SIZE }, (value, index) => 1 - Math.abs(Math.floor(index / SIZE) - 16) / 16));
+const waves = createHeightField(SIZE, SIZE, Float32Array.from({ length: SIZE * SIZE }, (value, index) => 0.5 + 0.1 * Math.sin((index % SIZE) * Math.PI / 16)));
+const flat = createHeightField(SIZE, SIZE, new Float32Array(SIZE * SIZE).fill(0.5));
+const ground = { name: 'ground', heightRange: [0, 1], slopeRange: [0, 1], weight: 1 };
+
+const referenceTool = path.join(__dirname, '../../src/splatmap/referenceSplatTool.js');
+
+// Writes an all-zero weight map for every material
+const zeroTool = `
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const rules = JSON.parse(fs.readFileSync(process.argv[1], 'utf8'));
+for (const material of rules.materials) {
+  const png = new PNG({ width: rules.width, height: rules.height, colorType: 0, inputColorType: 0, inputHasAlpha: false });
+  png.data = Buffer.alloc(rules.width * rules.height);
+  fs.writeFileSync(path.join(rules.outputDir, material.output), PNG.sync.write(png, { colorType: 0, inputColorType: 0, inputHasAlpha: false }));
+}
+`;
+
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+});
+
+function runExternal(splatCommand, colors = colorData, field = heightMap) {
+  return generateMaterialWeights(colors, field, { splatBackend: 'external', splatCommand });
+}
+
+test('reads the weights the reference tool writes', async () => {
+  const weightData = await runExternal({ command: process.execPath, args: [referenceTool, '{rules}'] }, rampColors, ramp);
+  const expected = calculateMaterialWeights(rampColors, ramp);
+  
+  assert.strictEqual(weightData.width, 8);
+  assert.strictEqual(weightData.materials, rampColors.materials);
+  for (let m = 0; m < 2; m++) {
+    for (let idx = 0; idx < 64; idx++) {
+      assert.ok(Math.abs(weightData.weights[m][idx] - expected.weights[m][idx]) < 1e-3, `material ${m}, pixel ${idx}`);
+    }
+  }
+});
+
+test('gives pixels without any weight the closest material', async () => {
+  const weightData = await runExternal({ command: process.execPath, args: ['-e', zeroTool, '{rules}'] }, rampColors, ramp);
+  
+  assert.deepStrictEqual([weightData.weights[0][0], weightData.weights[1][0]], [1, 0]);
+  assert.deepStrictEqual([weightData.weights[0][7], weightData.weights[1][7]], [0, 1]);
+});
+
+test('reports an external command that cannot be started', async () => {
+  await assert.rejects(runExternal({ command: '/no/such/splat-tool' }),
+    { message: 'External splat tool could not be started: /no/such/splat-tool (ENOENT)' });
+});
+
+test('names the working directory when the command cannot be started in it', async () => {
+  await assert.rejects(runExternal({ command: process.execPath, cwd: '/no/such/dir' }),
+    { message: `External splat tool could not be started in /no/such/dir: ${process.execPath} (ENOENT)` });
+});
+
+test('reports the exit code of a failing external command', async () => {
+  await assert.rejects(runExternal({ command: process.execPath, args: ['-e', 'console.error("bad rules"); process.exit(3)'] }),
+    { message: 'External splat tool exited with code 3: bad rules' });
+});
+
+// Weights of a material along a row or column of a 33x33 map
+function weightsAlong(weightData, material, { row, column }) {
+  return Array.from({ length: SIZE }, (value, i) => weightData.weights[material][row !== undefined ? row * SIZE + i : i * SIZE + column]);
+}
+
+test('mixes neighboring materials across their range borders', () => {
+  const blended = calculateMaterialWeights(rampColors, ramp, { blendWidth: 0.3 });
+  const hard = calculateMaterialWeights(rampColors, ramp, { blendWidth: 0 });
+  
+  for (let idx = 0; idx < 64; idx++) {
+    assert.ok(Math.abs(blended.weights[0][idx] + blended.weights[1][idx] - 1) < 1e-6, `pixel ${idx}`);
+  }
+  // Heights 3/7 and 4/7 lie in the blend zone around 0.5
+  assert.ok(blended.weights[1][3] > 0 && blended.weights[1][3] < 0.5);
+  assert.ok(blended.weights[1][4] > 0.5 && blended.weights[1][4] < 1);
+  assert.deepStrictEqual([hard.weights[1][3], hard.weights[1][4]], [0, 1]);
+});
+
+test('lets a material\'s softness replace the blend width', () => {
+  const colors = { materials: [rampColors.materials[0], { ...rampColors.materials[1], softness: 0.3 }] };
+  const weightData = calculateMaterialWeights(colors, ramp, { blendWidth: 0 });
+  
+  // Rock fades in softly below 0.5, sand still stops hard at it
+  assert.ok(weightData.weights[1][3] > 0 && weightData.weights[1][3] < 0.5);
+  assert.deepStrictEqual([weightData.weights[0][4], weightData.weights[1][4]], [0, 1]);
+});
+
+test('fades materials out across biome borders', () => {
+  const biome = Uint8Array.from({ length: SIZE * SIZE }, (value, index) => BIOME_NAMES.indexOf(index % SIZE < 16 ? 'desert' : 'grassland'));
+  const colors = {
+    materials: [{ ...ground, name: 'sand', biomes: ['desert'] }, { ...ground, name: 'grass', biomes: ['grassland'] }],
+    biomeMap: { biome }
+  };
+  // 2 m pixels, so the default 16 m blend spans 8 pixels either side of the border
+  const sand = weightsAlong(calculateMaterialWeights(colors, flat, { worldSize: 64 }), 0, { row: 16 });
+  const hardSand = weightsAlong(calculateMaterialWeights(colors, flat, { worldSize: 64, biomeBlend: 0 }), 0, { row: 16 });
+  
+  assert.deepStrictEqual([sand[0], sand[SIZE - 1]], [1, 0]);
+  for (let x = 9; x < 24; x++) {
+    assert.ok(sand[x] < sand[x - 1], `column ${x}`);
+  }
+  assert.deepStrictEqual([hardSand[15], hardSand[16]], [1, 0]);
+});
+
+test('moves range borders with seeded edge noise', () => {
+  const snowline = createHeightField(SIZE, SIZE, Float32Array.from({ length: SIZE * SIZE }, (value, index) => (index % SIZE) / (SIZE - 1)));
+  const snow = { name: 'snow', heightRange: [0.5, 1], slopeRange: [0, 1], weight: 1, edgeNoise: { scale: 200, height: 0.2 } };
+  // First column of every row with snow
+  const borders = (material, seed) => {
+    const weightData = calculateMaterialWeights({ materials: [material, ground] }, snowline, { blendWidth: 0, seed });
+    return Array.from({ length: SIZE }, (value, y) => weightsAlong(weightData, 0, { row: y }).findIndex(weight => weight > 0));
+  };
+  
+  assert.deepStrictEqual(new Set(borders({ ...snow, edgeNoise: undefined }, 1)), new Set([16]));
+  assert.ok(new Set(borders(snow, 1)).size > 2);
+  assert.deepStrictEqual(borders(snow, 1), borders(snow, 1));
+  assert.notDeepStrictEqual(borders(snow, 1), borders(snow, 2));
+});
+
+test('shifts ranges on slopes facing the aspect shift direction', () => {
+  const snow = { name: 'snow', heightRange: [0.6, 1], slopeRange: [0, 1], weight: 1 };
+  // Rows of the middle column with snow
+  const snowRows = material => {
+    const weights = weightsAlong(calculateMaterialWeights({ materials: [material, ground] }, ridge, { blendWidth: 0 }), 0, { column: 16 });
+    return [weights.findIndex(weight => weight > 0), SIZE - 1 - [...weights].reverse().findIndex(weight => weight > 0)];
+  };
+  
+  assert.deepStrictEqual(snowRows(snow), [10, 22]);
+  // The snow line comes down on the north face and goes up on the south face
+  assert.deepStrictEqual(snowRows({ ...snow, aspectShift: { direction: 'north', height: -0.2 } }), [7, 19]);
+});
+
+test('favors the curvature a material prefers', () => {
+  const rock = { ...ground, name: 'rock', curvature: { prefer: 'convex' } };
+  // 1 m pixels and 10 m of relief, so the waves bend well beyond the smoothing radius
+  const weights = weightsAlong(calculateMaterialWeights({ materials: [rock, ground] }, waves, { worldSize: 32, heightScale: 10 }), 0, { row: 16 });
+  
+  // Crest at column 8, trough at column 24
+  assert.ok(weights[8] > 0.6, `crest ${weights[8]}`);
+  assert.ok(weights[24] < 0.3, `trough ${weights[24]}`);
+});
@@ -0,0 +1,22 @@
+/**
+ * Splat Map Generator tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SplatMapGenerator = require('../../src/splatmap/splatMapGenerator');
+
+test('rejects an unknown splat output before doing any work', async () => {
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  
+  try {
+    await assert.rejects(SplatMapGenerator.generate('green hills', 'missing-heightmap.png', { splatOutput: 'weight' }),
+      { message: 'Unknown splat output: weight (expected preview, weights, both)' });
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+});